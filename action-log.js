@@ -0,0 +1,140 @@
+// Spherical Catan - Action Log
+//
+// Every game action is an event { type, args, player, turn } naming an engine
+// command and its arguments. Events are only ever appended; undo and redo are
+// events too. Because dice and steals draw from the seeded generator in the
+// state, replaying the events from the initial state reproduces the game.
+
+import * as rules from './catan-engine.js';
+
+// Engine commands that can be logged, by name
+const COMMANDS = {
+  buildRoad: rules.buildRoad,
+  buildSettlement: rules.buildSettlement,
+  upgradeToCity: rules.upgradeToCity,
+  buyDevCard: rules.buyDevCard,
+  playDevCard: rules.playDevCard,
+  rollDice: rules.rollDice,
+  pickGold: rules.pickGold,
+  discard: rules.discard,
+  moveRobber: rules.moveRobber,
+  steal: rules.steal,
+  bankTrade: rules.bankTrade,
+  proposeTrade: rules.proposeTrade,
+  respondToTrade: rules.respondToTrade,
+  acceptCounter: rules.acceptCounter,
+  cancelTrade: rules.cancelTrade,
+  endTurn: rules.endTurn
+};
+
+// Actions answered by a player other than the one whose turn it is; their
+// first argument names that player
+export const ANSWER_ACTIONS = ['pickGold', 'discard', 'respondToTrade'];
+
+// Misclicks worth taking back. Dice, steals and card draws reveal something
+// and are never undone, which also keeps undo from reaching past them.
+const UNDOABLE = ['buildRoad', 'buildSettlement', 'upgradeToCity', 'bankTrade'];
+
+export class ActionLog {
+  constructor(initialState) {
+    this.initial = initialState;
+    this.events = [];
+    // Effective actions and the state after each; undo moves them to `undone`
+    this.history = [{ action: null, state: initialState }];
+    this.undone = [];
+  }
+
+  get state() {
+    return this.history[this.history.length - 1].state;
+  }
+
+  // Run an engine command on the current state; returns the engine result
+  // and logs the action when it succeeded
+  perform(type, ...args) {
+    const command = COMMANDS[type];
+    if (!command) {
+      throw new Error(`Unknown action "${type}"`);
+    }
+    const result = command(this.state, ...args);
+    if (result.ok) {
+      const player = ANSWER_ACTIONS.includes(type) ? args[0] : this.state.currentPlayer;
+      const action = { type, args: structuredClone(args), player, turn: this.state.turnNumber };
+      this.events.push(action);
+      this.history.push({ action, state: result.state });
+      this.undone = [];
+    }
+    return result;
+  }
+
+  // Same result shape as the engine checks
+  canUndo() {
+    const last = this.history[this.history.length - 1];
+    if (!last.action) {
+      return { ok: false, reason: 'Nothing to undo' };
+    }
+    if (!UNDOABLE.includes(last.action.type)) {
+      return { ok: false, reason: 'Dice, steals, cards and trades with players cannot be undone' };
+    }
+    const before = this.history[this.history.length - 2].state;
+    if (before.currentPlayer !== last.state.currentPlayer || before.turnNumber !== last.state.turnNumber) {
+      return { ok: false, reason: 'Only moves of the current turn can be undone' };
+    }
+    if (last.state.phase === 'end') {
+      return { ok: false, reason: 'The game is over' };
+    }
+    return { ok: true };
+  }
+
+  canRedo() {
+    return this.undone.length > 0 ? { ok: true } : { ok: false, reason: 'Nothing to redo' };
+  }
+
+  undo() {
+    const check = this.canUndo();
+    if (!check.ok) return check;
+    this.undone.push(this.history.pop());
+    this.events.push({ type: 'undo' });
+    return { ok: true, state: this.state };
+  }
+
+  redo() {
+    const check = this.canRedo();
+    if (!check.ok) return check;
+    this.history.push(this.undone.pop());
+    this.events.push({ type: 'redo' });
+    return { ok: true, state: this.state };
+  }
+
+  // Apply a logged event; throws when it no longer fits the state
+  apply(event, index = this.events.length) {
+    const result = event.type === 'undo' ? this.undo() :
+      event.type === 'redo' ? this.redo() :
+      this.perform(event.type, ...event.args);
+    if (!result.ok) {
+      throw new Error(`Event ${index} (${event.type}) cannot be replayed: ${result.reason}`);
+    }
+  }
+
+  // Every event with the state it led to, starting with the initial state
+  timeline() {
+    const replay = new ActionLog(this.initial);
+    const steps = [{ event: null, state: this.initial }];
+    this.events.forEach((event, index) => {
+      replay.apply(event, index);
+      steps.push({ event, state: replay.state });
+    });
+    return steps;
+  }
+
+  toJSON() {
+    const { topology, ...initial } = this.initial;
+    return { initial, events: this.events };
+  }
+
+  // Rebuild a log from toJSON() output by replaying its events
+  static fromJSON({ initial, events }, topology) {
+    const log = new ActionLog({ ...initial, topology });
+    events.forEach((event, index) => log.apply(event, index));
+    return log;
+  }
+}
@@ -0,0 +1,106 @@
+// Spherical Catan - Action Log Tests
+//
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as rules from './catan-engine.js';
+import { BOARD_SIZES, buildGoldbergBoard } from './board-geometry.js';
+import { ActionLog } from './action-log.js';
+
+const PLAYERS = [{ name: 'Ann', color: 0 }, { name: 'Bo', color: 0 }, { name: 'Cy', color: 0 }];
+
+// A log with every setup piece placed on the first spot that allows it
+function logAfterSetup(players = PLAYERS) {
+  const { faces } = buildGoldbergBoard(BOARD_SIZES.standard);
+  const log = new ActionLog(rules.createGameState({
+    faces,
+    layout: rules.generateLayout(faces.length),
+    players,
+    seed: 'log-test'
+  }));
+  while (log.state.phase === 'setup') {
+    const { topology } = log.state;
+    const vertex = [...Array(topology.vertexCount).keys()].find(v => rules.canBuildSettlement(log.state, v).ok);
+    log.perform('buildSettlement', vertex);
+    log.perform('buildRoad', topology.vertexEdges[vertex].find(id => rules.canBuildRoad(log.state, id).ok));
+  }
+  return log;
+}
+
+// The simplest move that keeps the game going
+function nextMove(state) {
+  switch (state.turnStep) {
+    case 'roll': return ['rollDice'];
+    case 'discard': {
+      const player = Number(Object.keys(state.discards)[0]);
+      const hand = state.players[player].resources;
+      let owed = state.discards[player];
+      const cards = {};
+      rules.RESOURCE_TYPES.forEach(resource => {
+        cards[resource] = Math.min(hand[resource], owed);
+        owed -= cards[resource];
+      });
+      return ['discard', player, cards];
+    }
+    case 'robber': return ['moveRobber', state.robber === 0 ? 1 : 0];
+    case 'steal': return ['steal', state.robberVictims[0]];
+    default: return ['endTurn'];
+  }
+}
+
+test('only successful actions are logged, under the player who made them', () => {
+  const log = logAfterSetup();
+  const events = log.events.length;
+
+  assert.equal(log.perform('endTurn').ok, false);
+  assert.equal(log.events.length, events);
+  assert.equal(log.perform('rollDice').ok, true);
+  assert.deepEqual(log.events.at(-1), { type: 'rollDice', args: [], player: 0, turn: 0 });
+  assert.throws(() => log.perform('cheat'), /Unknown action "cheat"/);
+});
+
+test('answers are logged under the player who gave them', () => {
+  const state = { ...logAfterSetup().state, turnStep: 'trade' };
+  const log = new ActionLog({
+    ...state,
+    players: state.players.map(player => ({ ...player, resources: { ...player.resources, wood: 1 } }))
+  });
+
+  assert.equal(log.perform('proposeTrade', { to: [1, 2], give: { wood: 1 }, get: { ore: 1 } }).ok, true);
+  assert.equal(log.perform('respondToTrade', 2, 'reject').ok, true);
+  assert.deepEqual(log.events.map(({ type, player }) => [type, player]), [['proposeTrade', 0], ['respondToTrade', 2]]);
+});
+
+test('a build can be undone and redone, the dice cannot', () => {
+  // Ann starts with the cards for a road
+  const log = logAfterSetup([{ ...PLAYERS[0], resources: { wood: 1, brick: 1 } }, ...PLAYERS.slice(1)]);
+  const { settlements, roads } = log.state.buildings;
+  const settlement = Object.keys(settlements).find(vertex => settlements[vertex] === 0);
+  const edge = log.state.topology.vertexEdges[settlement].find(id => roads[id] === undefined);
+
+  log.perform('rollDice');
+  assert.equal(log.undo().reason, 'Dice, steals, cards and trades with players cannot be undone');
+
+  const before = log.state;
+  assert.equal(log.perform('buildRoad', edge).ok, true);
+  assert.equal(log.undo().state, before);
+  assert.equal(log.redo().state.buildings.roads[edge], 0);
+  assert.deepEqual(log.events.slice(-2), [{ type: 'undo' }, { type: 'redo' }]);
+  assert.equal(log.redo().reason, 'Nothing to redo');
+
+  log.perform('endTurn');
+  assert.equal(log.undo().reason, 'Dice, steals, cards and trades with players cannot be undone');
+});
+
+test('replaying the logged events rebuilds the game', () => {
+  const log = logAfterSetup();
+  for (let move = 0; move < 40; move++) {
+    assert.equal(log.perform(...nextMove(log.state)).ok, true);
+  }
+
+  const copy = ActionLog.fromJSON(JSON.parse(JSON.stringify(log)), log.state.topology);
+  assert.deepEqual(copy.state, log.state);
+  assert.equal(log.timeline().length, log.events.length + 1);
+  assert.deepEqual(log.timeline().at(-1).state, log.state);
+});
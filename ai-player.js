@@ -0,0 +1,539 @@
+// Spherical Catan - AI Players
+//
+// Rule-based computer players. aiMove looks at the game from one player's
+// side and returns their next command as [action, ...args], the shape the
+// action log and the game server use, or null when the player has nothing to
+// do right now. Like the rules engine this stays free of three.js and the
+// DOM, so AI games can also be played headless.
+//
+// The AI only reads what its player could see at the table: its own hand,
+// the board, public scores and the card counts of the others. It plays from
+// the playerView of its own seat as well as from the full state. Online, a
+// seat sends one move and waits for the server's answer before the next: a
+// broadcast that crosses an answer in flight still shows that answer as owed.
+
+import * as rules from './catan-engine.js';
+import { pips } from './board-balance.js';
+import { hashSeed, stepRandom } from './seeded-random.js';
+
+// How each level weighs its options:
+//   noise      - share of random preference mixed into every choice
+//   city, settlement, road, devCard - worth of building each piece
+//   diversity  - worth of a resource a spot adds to the player's production
+//   harbor     - worth of a harbor spot
+//   leader     - how much the robber, steals and trade answers mind the
+//                leading players
+export const AI_LEVELS = {
+  easy: { noise: 0.8, city: 1, settlement: 1, road: 1, devCard: 1, diversity: 0, harbor: 0, leader: 0 },
+  normal: { noise: 0.3, city: 1.6, settlement: 1.5, road: 0.8, devCard: 0.9, diversity: 1, harbor: 0.5, leader: 0.5 },
+  hard: { noise: 0.05, city: 2, settlement: 1.8, road: 0.7, devCard: 1, diversity: 1.5, harbor: 1, leader: 1 }
+};
+
+export const DEFAULT_AI_LEVEL = 'normal';
+
+// Stand-in hand for asking the engine where a piece could go, whatever it costs
+const PLENTY = { wood: 99, brick: 99, wheat: 99, sheep: 99, ore: 99 };
+
+// Volcanoes may wipe out what is built next to them
+const VOLCANO_RISK = 0.7;
+
+// The next command for player at level, or null while they wait for others
+export function aiMove(state, player, level = DEFAULT_AI_LEVEL) {
+  const weights = AI_LEVELS[level];
+  if (!weights) {
+    throw new Error(`Unknown AI level "${level}"`);
+  }
+  if (state.phase === 'end') return null;
+  if (state.phase === 'setup') {
+    return player === state.currentPlayer ? setupMove(state, player, weights) : null;
+  }
+  // Another seat's view, without the hand every decision is made from
+  if (!state.players[player].resources) return null;
+
+  // Answers owed outside the player's own turn come first
+  if (state.turnStep === 'gold' && state.goldPicks[player]) {
+    return ['pickGold', player, pickGold(state, player, weights, state.goldPicks[player])];
+  }
+  if (state.turnStep === 'discard' && state.discards[player]) {
+    return ['discard', player, pickDiscards(state, player, weights, state.discards[player])];
+  }
+  const offer = state.tradeOffer;
+  if (offer && offer.responses[player] === 'pending') {
+    return ['respondToTrade', player, answerOffer(state, player, weights, offer) ? 'accept' : 'reject'];
+  }
+  if (player !== state.currentPlayer) return null;
+
+  switch (state.turnStep) {
+    case 'roll':
+      return knightMove(state, player, weights) || ['rollDice'];
+    case 'robber':
+      return ['moveRobber', robberTile(state, player, weights)];
+    case 'steal':
+      return ['steal', stealVictim(state, weights)];
+    case 'trade':
+    case 'build':
+      return turnMove(state, player, weights);
+    default:
+      return null;
+  }
+}
+
+// What a settlement on the vertex would be worth to the player: the pips of
+// its tiles, the resources it adds to their production and its harbor
+export function spotValue(state, vertex, player, weights = AI_LEVELS[DEFAULT_AI_LEVEL]) {
+  const production = playerProduction(state, player);
+  const added = new Set();
+  let value = 0;
+  state.topology.vertexTiles[vertex].forEach(tileIndex => {
+    const dots = expectedYield(state, tileIndex);
+    if (dots === 0) return;
+    value += dots;
+    const resource = state.tiles[tileIndex].resource;
+    if (!production[resource]) added.add(resource);
+  });
+  value += weights.diversity * added.size;
+
+  state.harbors
+    .filter(harbor => harbor.vertices.includes(vertex))
+    .forEach(harbor => {
+      // A 2:1 harbor pays off with the resource it takes coming in
+      const feeds = harbor.type === 'generic' ? 1.5 : 1 + (production[harbor.type] || 0) / 5;
+      value += weights.harbor * feeds;
+    });
+  return value;
+}
+
+// The simplest legal move: the first legal placement, the cards the hand
+// holds most of for discards and fewest of for gold, and otherwise whatever
+// brings the turn to its end. Timed-out turns online are played out with it,
+// and AI seats fall back on it when the engine rejects their move. With a
+// player given, only that player's answers or turn count; null when they
+// have nothing to do.
+export function idleMove(state, player = null) {
+  const { topology } = state;
+  const moving = player === null || player === state.currentPlayer;
+  if (state.phase === 'end') return null;
+  if (state.phase === 'setup') {
+    if (!moving) return null;
+    if (state.setup.step === 'robber') {
+      return ['moveRobber', state.tiles.find(tile => tile.resource === 'desert').index];
+    }
+    if (state.setup.step === 'settlement') {
+      const vertices = [...Array(topology.vertexCount).keys()];
+      return ['buildSettlement', vertices.find(vertex => rules.canBuildSettlement(state, vertex).ok)];
+    }
+    return ['buildRoad', topology.edgeIds.find(id => rules.canBuildRoad(state, id).ok)];
+  }
+
+  // Whoever still owes an answer, the player if they do
+  const debtor = owed => player === null ? Number(Object.keys(owed)[0]) : owed[player] ? player : null;
+  switch (state.turnStep) {
+    case 'gold': {
+      const from = debtor(state.goldPicks);
+      return from === null ? null :
+        ['pickGold', from, pickCards(state.players[from].resources, state.goldPicks[from], 'fewest')];
+    }
+    case 'discard': {
+      const from = debtor(state.discards);
+      return from === null ? null :
+        ['discard', from, pickCards(state.players[from].resources, state.discards[from], 'most')];
+    }
+  }
+  const offer = state.tradeOffer;
+  if (player !== null && offer && offer.responses[player] === 'pending') {
+    return ['respondToTrade', player, 'reject'];
+  }
+
+  if (!moving) return null;
+  switch (state.turnStep) {
+    case 'roll':
+      return ['rollDice'];
+    case 'robber':
+      return ['moveRobber', state.tiles.find(tile => rules.moveRobber(state, tile.index).ok).index];
+    case 'steal':
+      return ['steal', state.robberVictims[0]];
+    default:
+      return state.tradeOffer ? ['cancelTrade'] : ['endTurn'];
+  }
+}
+
+// Setup: the best spot, then a road pointing at the best spot after it
+function setupMove(state, player, weights) {
+  const { topology } = state;
+  if (state.setup.step === 'robber') {
+    return ['moveRobber', state.tiles.find(tile => tile.resource === 'desert').index];
+  }
+  if (state.setup.step === 'settlement') {
+    const vertices = [...Array(topology.vertexCount).keys()]
+      .filter(vertex => rules.canBuildSettlement(state, vertex).ok);
+    return ['buildSettlement', best(state, player, weights, vertices, vertex =>
+      spotValue(state, vertex, player, weights), 'spot')];
+  }
+  const edges = topology.vertexEdges[state.setup.settlement]
+    .filter(id => rules.canBuildRoad(state, id).ok);
+  return ['buildRoad', best(state, player, weights, edges, id => roadValue(state, player, weights, id), 'road')];
+}
+
+// Own turn after the roll: play a card, build toward the chosen goal, trade
+// with the bank to get there, otherwise pass the turn on
+function turnMove(state, player, weights) {
+  if (state.tradeOffer) return ['cancelTrade'];
+  const hand = state.players[player].resources;
+
+  if (state.freeRoads > 0) {
+    const road = roadGoal(state, player, weights);
+    if (road) return road.move;
+  }
+
+  const goals = buildGoals(state, player, weights);
+  const goal = goals[0];
+  const card = devCardMove(state, player, weights, goal);
+  if (card) return card;
+
+  if (goal) {
+    if (affordable(hand, goal.cost)) return goal.move;
+    const trade = bankTradeToward(state, player, goal.cost);
+    if (trade) return trade;
+  }
+
+  // Holding many cards invites losing half of them to a 7
+  if (rules.handSize(state.players[player]) > rules.DISCARD_LIMIT) {
+    const spend = goals.find(other => affordable(hand, other.cost));
+    if (spend) return spend.move;
+  }
+  return ['endTurn'];
+}
+
+// Everything the player could work toward, most wanted first. A goal is
+// { cost, move, value }; roads only count while no settlement spot is in
+// reach.
+function buildGoals(state, player, weights) {
+  const hand = state.players[player].resources;
+  const rich = withPlenty(state, player);
+  const { vertexCount } = state.topology;
+  const goals = [];
+
+  const cities = Object.keys(state.buildings.settlements)
+    .map(Number)
+    .filter(vertex => rules.canUpgradeToCity(rich, vertex, player).ok);
+  if (cities.length > 0) {
+    const vertex = best(state, player, weights, cities, spot => vertexYield(state, spot), 'city');
+    goals.push({
+      cost: rules.BUILD_COSTS.city,
+      move: ['upgradeToCity', vertex],
+      value: weights.city * (1 + vertexYield(state, vertex) / 6)
+    });
+  }
+
+  const spots = [...Array(vertexCount).keys()].filter(vertex => rules.canBuildSettlement(rich, vertex, player).ok);
+  if (spots.length > 0) {
+    const vertex = best(state, player, weights, spots, spot => spotValue(state, spot, player, weights), 'spot');
+    goals.push({
+      cost: rules.BUILD_COSTS.settlement,
+      move: ['buildSettlement', vertex],
+      value: weights.settlement * (1 + spotValue(state, vertex, player, weights) / 6)
+    });
+  } else {
+    const road = roadGoal(state, player, weights);
+    if (road) goals.push(road);
+  }
+
+  if (rules.canBuyDevCard(rich, player).ok) {
+    goals.push({ cost: rules.BUILD_COSTS.devCard, move: ['buyDevCard'], value: weights.devCard * 0.8 });
+  }
+
+  // Goals the hand is closer to are worth more right now
+  goals.forEach(goal => {
+    const needed = cardCount(goal.cost);
+    const held = needed - cardCount(missingCards(hand, goal.cost));
+    goal.value *= (0.5 + held / needed) * jitter(state, player, weights, `goal:${goal.move[0]}`);
+  });
+  return goals.sort((a, b) => b.value - a.value);
+}
+
+// Development cards worth playing right now, if any
+function devCardMove(state, player, weights, goal) {
+  const playable = type => !state.devCardPlayed && rules.canPlayDevCard(state, type, player).ok;
+
+  const knight = knightMove(state, player, weights);
+  if (knight) return knight;
+  if (playable('roadBuilding') && bestRoad(state, player, weights)) {
+    return ['playDevCard', 'roadBuilding'];
+  }
+  if (!goal) return null;
+
+  const missing = missingCards(state.players[player].resources, goal.cost);
+  const wanted = rules.RESOURCE_TYPES.filter(resource => missing[resource] > 0)
+    .sort((a, b) => missing[b] - missing[a]);
+  if (wanted.length === 0) return null;
+  if (playable('yearOfPlenty')) {
+    return ['playDevCard', 'yearOfPlenty', { resources: [wanted[0], wanted[1] || wanted[0]] }];
+  }
+  if (playable('monopoly') && cardCount(missing) >= 2) {
+    return ['playDevCard', 'monopoly', { resource: wanted[0] }];
+  }
+  return null;
+}
+
+// A knight to chase the robber off the player's own tiles, or (for players
+// that care about the leaders) to take Largest Army
+function knightMove(state, player, weights) {
+  if (state.devCardPlayed || !rules.canPlayDevCard(state, 'knight', player).ok) return null;
+  const blocked = state.robber !== null && pips(state.tiles[state.robber].number) > 0 &&
+    state.topology.tileVertices[state.robber].some(vertex => rules.buildingOwner(state, vertex) === player);
+  const army = state.players[player].knightsPlayed + 1;
+  const takesArmy = weights.leader > 0 && army >= rules.LARGEST_ARMY_MIN &&
+    (!state.largestArmy || (state.largestArmy.player !== player && army > state.largestArmy.size));
+  return blocked || takesArmy ? ['playDevCard', 'knight'] : null;
+}
+
+// One bank trade that brings the goal closer, only made when enough trades
+// are left in the hand to reach it this turn
+function bankTradeToward(state, player, cost) {
+  const hand = state.players[player].resources;
+  const missing = missingCards(hand, cost);
+  const spare = rules.RESOURCE_TYPES.map(resource => ({
+    resource,
+    ratio: rules.tradeRatio(state, player, resource),
+    surplus: hand[resource] - (cost[resource] || 0)
+  })).filter(({ resource, ratio, surplus }) => missing[resource] === 0 && surplus >= ratio);
+
+  const trades = spare.reduce((sum, { ratio, surplus }) => sum + Math.floor(surplus / ratio), 0);
+  if (spare.length === 0 || trades < cardCount(missing)) return null;
+
+  const give = spare.reduce((most, other) => other.surplus - other.ratio > most.surplus - most.ratio ? other : most);
+  const get = rules.RESOURCE_TYPES.find(resource => missing[resource] > 0);
+  return ['bankTrade', give.resource, get];
+}
+
+// Gold buys whatever the wanted goal still misses, then what the hand holds
+// least of
+function pickGold(state, player, weights, owed) {
+  const hand = { ...state.players[player].resources };
+  const goal = buildGoals(state, player, weights)[0];
+  const cards = rules.emptyResources();
+  for (let i = 0; i < owed; i++) {
+    const missing = goal ? missingCards(hand, goal.cost) : rules.emptyResources();
+    const resource = rules.RESOURCE_TYPES.find(type => missing[type] > 0) ||
+      rules.RESOURCE_TYPES.reduce((fewest, type) => hand[type] < hand[fewest] ? type : fewest);
+    hand[resource]++;
+    cards[resource]++;
+  }
+  return cards;
+}
+
+// Discards come from the resources the wanted goal needs least
+function pickDiscards(state, player, weights, owed) {
+  const hand = { ...state.players[player].resources };
+  const goal = buildGoals(state, player, weights)[0];
+  const keep = goal ? goal.cost : {};
+  const cards = rules.emptyResources();
+  for (let i = 0; i < owed; i++) {
+    const resource = rules.RESOURCE_TYPES
+      .filter(type => hand[type] > 0)
+      .reduce((most, type) => hand[type] - (keep[type] || 0) > hand[most] - (keep[most] || 0) ? type : most);
+    hand[resource]--;
+    cards[resource]++;
+  }
+  return cards;
+}
+
+// Take an offer that pays at least as many cards as it asks for, out of
+// cards the player can spare, and that does not help someone about to win
+function answerOffer(state, player, weights, offer) {
+  const hand = state.players[player].resources;
+  if (!affordable(hand, offer.get)) return false;
+  if (cardCount(offer.give) < cardCount(offer.get)) return false;
+  if (weights.leader > 0 &&
+      rules.victoryPoints(state, offer.from, { includeHidden: false }) >= state.targetScore - 2) {
+    return false;
+  }
+  const goal = buildGoals(state, player, weights)[0];
+  const keep = goal ? goal.cost : {};
+  return Object.entries(offer.get).every(([resource, amount]) => hand[resource] - (keep[resource] || 0) >= amount);
+}
+
+// The robber goes where it blocks the most production of the others,
+// weighted toward the leaders, and never onto the player's own buildings
+function robberTile(state, player, weights) {
+  const tiles = state.tiles.map(tile => tile.index).filter(index => index !== state.robber);
+  return best(state, player, weights, tiles, index => {
+    let value = 0;
+    state.topology.tileVertices[index].forEach(vertex => {
+      const owner = rules.buildingOwner(state, vertex);
+      if (owner === undefined) return;
+      const size = state.buildings.cities[vertex] !== undefined ? 2 : 1;
+      value += owner === player ? -2 * size : size * (1 + weights.leader * leadShare(state, owner));
+    });
+    // Offset keeps empty tiles above the player's own
+    return 10 + value * (1 + expectedYield(state, index));
+  }, 'robber');
+}
+
+function stealVictim(state, weights) {
+  return state.robberVictims.reduce((most, victim) => {
+    const score = index => rules.handSize(state.players[index]) + weights.leader * 5 * leadShare(state, index);
+    return score(victim) > score(most) ? victim : most;
+  });
+}
+
+// The road that best opens up new settlement spots
+function bestRoad(state, player, weights) {
+  const rich = withPlenty(state, player);
+  const edges = state.topology.edgeIds.filter(id => rules.canBuildRoad(rich, id, player).ok);
+  const scored = edges.filter(id => roadValue(state, player, weights, id) > 0);
+  return scored.length > 0 ?
+    best(state, player, weights, scored, id => roadValue(state, player, weights, id), 'road') :
+    null;
+}
+
+// The road to build while no settlement spot is in reach: toward the next
+// open spot, otherwise wherever it makes the longest road longer. Such a
+// road is worth a lot when it takes Longest Road or keeps it from a rival
+// who caught up, and otherwise only spends the hand.
+function roadGoal(state, player, weights) {
+  const cost = rules.BUILD_COSTS.road;
+  const edge = bestRoad(state, player, weights);
+  if (edge) {
+    return { cost, move: ['buildRoad', edge], value: weights.road * (0.5 + roadValue(state, player, weights, edge) / 12) };
+  }
+
+  const rich = withPlenty(state, player);
+  const edges = state.topology.edgeIds.filter(id => rules.canBuildRoad(rich, id, player).ok);
+  if (edges.length === 0) return null;
+  const lengthWith = id => rules.longestRoadLength({
+    ...state,
+    buildings: { ...state.buildings, roads: { ...state.buildings.roads, [id]: player } }
+  }, player);
+  const longer = best(state, player, weights, edges, lengthWith, 'longest');
+
+  const length = lengthWith(longer);
+  const rival = Math.max(...state.players.map((other, index) =>
+    index === player ? 0 : rules.longestRoadLength(state, index)));
+  const holds = state.longestRoad !== null && state.longestRoad.player === player;
+  const award = length >= rules.LONGEST_ROAD_MIN && length > rival &&
+    (!holds || rival >= rules.longestRoadLength(state, player));
+  return { cost, move: ['buildRoad', longer], value: award ? 2 * weights.settlement : 0.5 * weights.road };
+}
+
+// Open spots a road reaches: at its own ends, and half as much one edge further
+function roadValue(state, player, weights, edgeKey) {
+  const { topology } = state;
+  let value = 0;
+  topology.edges[edgeKey].vertices.forEach(vertex => {
+    if (openSpot(state, vertex)) value = Math.max(value, spotValue(state, vertex, player, weights));
+    topology.vertexNeighbors[vertex].forEach(next => {
+      if (openSpot(state, next)) value = Math.max(value, spotValue(state, next, player, weights) / 2);
+    });
+  });
+  return value;
+}
+
+// Free vertex that keeps the distance rule
+function openSpot(state, vertex) {
+  return rules.buildingOwner(state, vertex) === undefined &&
+    state.topology.vertexNeighbors[vertex].every(next => rules.buildingOwner(state, next) === undefined);
+}
+
+// Cards a tile pays per 36 rolls to one settlement next to it: its pips,
+// nothing while the robber sits on it, twice as much on doubling pentagons.
+// The hover tooltips show the same numbers the AI plays by.
+export function tileYield(state, tileIndex) {
+  const tile = state.tiles[tileIndex];
+  if (tile.resource === 'desert' || tileIndex === state.robber) return 0;
+  const doubled = state.pentagonRule === 'double' && tile.type === 'pentagon';
+  return pips(tile.number) * (doubled ? 2 : 1);
+}
+
+// What the AI expects of a tile: its yield, less on a volcano
+function expectedYield(state, tileIndex) {
+  const volcano = state.pentagonRule === 'volcano' && state.tiles[tileIndex].type === 'pentagon';
+  return tileYield(state, tileIndex) * (volcano ? VOLCANO_RISK : 1);
+}
+
+function vertexYield(state, vertex) {
+  return state.topology.vertexTiles[vertex].reduce((sum, tile) => sum + expectedYield(state, tile), 0);
+}
+
+// Pips the player collects per resource (gold counting as its own)
+function playerProduction(state, player) {
+  const production = {};
+  const { settlements, cities } = state.buildings;
+  [[settlements, 1], [cities, 2]].forEach(([owners, amount]) => {
+    Object.entries(owners)
+      .filter(([, owner]) => owner === player)
+      .forEach(([vertex]) => state.topology.vertexTiles[vertex].forEach(tileIndex => {
+        const resource = state.tiles[tileIndex].resource;
+        production[resource] = (production[resource] || 0) + amount * expectedYield(state, tileIndex);
+      }));
+  });
+  return production;
+}
+
+// Public score of a player as a share of the points needed to win
+function leadShare(state, player) {
+  return rules.victoryPoints(state, player, { includeHidden: false }) / state.targetScore;
+}
+
+// The state with the player to move and able to pay for anything, to ask
+// the engine only about placement
+function withPlenty(state, player) {
+  return {
+    ...state,
+    currentPlayer: player,
+    turnStep: 'build',
+    players: state.players.map((other, index) => index === player ? { ...other, resources: PLENTY } : other)
+  };
+}
+
+// Highest scoring option, with the level's noise mixed in
+function best(state, player, weights, options, score, kind) {
+  let top = options[0];
+  let topScore = -Infinity;
+  options.forEach(option => {
+    const value = score(option) * jitter(state, player, weights, `${kind}:${option}`);
+    if (value > topScore) {
+      top = option;
+      topScore = value;
+    }
+  });
+  return top;
+}
+
+// Noise factor around 1. It is drawn from the game, the turn and the option,
+// so the player keeps its mind within a turn and games replay the same.
+function jitter(state, player, weights, key) {
+  const turn = state.setup ? `setup${state.setup.index}` : state.turnNumber;
+  const { value } = stepRandom(hashSeed(`${state.seed}/${turn}/${player}/${key}`));
+  return 1 + weights.noise * (2 * value - 1);
+}
+
+function missingCards(hand, cost) {
+  const missing = rules.emptyResources();
+  Object.entries(cost).forEach(([resource, amount]) => {
+    missing[resource] = Math.max(0, amount - hand[resource]);
+  });
+  return missing;
+}
+
+function affordable(hand, cost) {
+  return cardCount(missingCards(hand, cost)) === 0;
+}
+
+// `owed` cards one at a time from the resource the hand holds most (or
+// fewest) of
+function pickCards(hand, owed, prefer) {
+  const counts = { ...hand };
+  const cards = rules.emptyResources();
+  for (let i = 0; i < owed; i++) {
+    const resource = rules.RESOURCE_TYPES.reduce((best, other) =>
+      (prefer === 'most' ? counts[other] > counts[best] : counts[other] < counts[best]) ? other : best);
+    counts[resource] += prefer === 'most' ? -1 : 1;
+    cards[resource]++;
+  }
+  return cards;
+}
+
+function cardCount(cards) {
+  return Object.values(cards).reduce((sum, amount) => sum + amount, 0);
+}
@@ -0,0 +1,144 @@
+// Spherical Catan - AI Player Tests
+//
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as rules from './catan-engine.js';
+import { pips } from './board-balance.js';
+import { BOARD_SIZES, buildGoldbergBoard } from './board-geometry.js';
+import { createInitialState, defaultGameOptions } from './game-setup.js';
+import { aiMove, idleMove, spotValue, tileYield } from './ai-player.js';
+
+const PLAYERS = [{ name: 'Ann', color: 0 }, { name: 'Bo', color: 0 }, { name: 'Cy', color: 0 }];
+
+// A game whose setup the AI played out, about to roll
+function gameAfterSetup(pentagonRule = 'normal') {
+  const { faces } = buildGoldbergBoard(BOARD_SIZES.standard);
+  let state = createInitialState(faces, PLAYERS, defaultGameOptions({ seed: 'ai-test', pentagonRule }));
+  while (state.phase === 'setup') {
+    const [action, ...args] = aiMove(state, state.currentPlayer);
+    state = rules[action](state, ...args).state;
+  }
+  return state;
+}
+
+function withHands(state, hands) {
+  return {
+    ...state,
+    players: state.players.map((player, index) => ({ ...player, resources: { ...rules.emptyResources(), ...hands[index] } }))
+  };
+}
+
+test('setup gives every player two settlements and two roads', () => {
+  const state = gameAfterSetup();
+
+  assert.equal(state.phase, 'main');
+  PLAYERS.forEach((player, index) => {
+    assert.equal(Object.values(state.buildings.settlements).filter(owner => owner === index).length, 2);
+    assert.equal(Object.values(state.buildings.roads).filter(owner => owner === index).length, 2);
+  });
+});
+
+test('a tile yields its pips, nothing under the robber and twice as much on a doubling pentagon', () => {
+  const state = gameAfterSetup('double');
+  const pentagon = state.tiles.find(({ type, number }) => type === 'pentagon' && number);
+  const hexagon = state.tiles.find(({ type, number, index }) => type === 'hexagon' && number && index !== state.robber);
+  const desert = state.tiles.find(({ resource }) => resource === 'desert');
+
+  assert.equal(tileYield(state, pentagon.index), 2 * (6 - Math.abs(7 - pentagon.number)));
+  assert.equal(tileYield(state, hexagon.index), pips(hexagon.number));
+  assert.equal(tileYield(state, desert.index), 0);
+  assert.equal(tileYield({ ...state, robber: pentagon.index }, pentagon.index), 0);
+  assert.equal(tileYield({ ...state, robber: hexagon.index }, hexagon.index), 0);
+});
+
+test('a volcano yields its plain pips, the eruption risk only weighs on the AI\'s spots', () => {
+  const volcano = gameAfterSetup('volcano');
+  const normal = { ...volcano, pentagonRule: 'normal' };
+  const pentagon = volcano.tiles.find(({ type, number }) => type === 'pentagon' && number);
+  const corner = volcano.topology.tileVertices[pentagon.index][0];
+
+  assert.equal(tileYield(volcano, pentagon.index), pips(pentagon.number));
+  assert.ok(spotValue(volcano, corner, 0) < spotValue(normal, corner, 0));
+});
+
+test('a spot is worth less once the robber blocks one of its tiles', () => {
+  const state = gameAfterSetup();
+  const vertex = state.topology.vertexTiles.findIndex(tiles => tiles.every(tile => state.tiles[tile].number));
+  const robbed = { ...state, robber: state.topology.vertexTiles[vertex][0] };
+
+  assert.ok(spotValue(robbed, vertex, 0) < spotValue(state, vertex, 0));
+});
+
+test('players only move on their turn or for answers they owe', () => {
+  const state = withHands({ ...gameAfterSetup(), turnStep: 'discard', discards: { 1: 4 } }, [{}, { ore: 5, wood: 3 }, {}]);
+
+  assert.equal(aiMove(state, 0), null);
+  assert.equal(aiMove(state, 2), null);
+  const [action, ...args] = aiMove(state, 1);
+  assert.equal(action, 'discard');
+  assert.equal(rules.discard(state, ...args).ok, true);
+  assert.throws(() => aiMove(state, 1, 'genius'), /Unknown AI level "genius"/);
+});
+
+test('answers planned from a seat\'s own view are the ones the engine accepts', () => {
+  const state = withHands(gameAfterSetup('gold'), [{ wood: 5, ore: 4 }, { brick: 8 }, { wheat: 2 }]);
+  const situations = [
+    { ...state, turnStep: 'discard', discards: { 0: 4, 1: 4 } },
+    { ...state, turnStep: 'gold', goldPicks: { 1: 2, 2: 1 } }
+  ];
+
+  situations.forEach(situation => [1, 2].forEach(seat => {
+    const owed = situation.discards[seat] || situation.goldPicks[seat];
+    const move = aiMove(rules.playerView(situation, seat), seat);
+    if (!owed) {
+      assert.equal(move, null);
+      return;
+    }
+    assert.deepEqual(move, aiMove(situation, seat));
+    const [action, ...args] = move;
+    assert.equal(rules[action](situation, ...args).ok, true);
+  }));
+});
+
+test('a seat whose hand is hidden makes no move', () => {
+  const state = { ...gameAfterSetup(), turnStep: 'discard', discards: { 1: 4 } };
+
+  assert.equal(aiMove(rules.playerView(state, 0), 1), null);
+});
+
+test('AI seats play a game to its end, with a legal fallback at every step', () => {
+  let state = gameAfterSetup('volcano');
+  const levels = ['easy', 'normal', 'hard'];
+  while (state.phase !== 'end') {
+    const seat = PLAYERS.findIndex((player, index) => aiMove(state, index, levels[index]));
+    const fallback = idleMove(state, seat);
+    assert.equal(rules[fallback[0]](state, ...fallback.slice(1)).ok, true, `${fallback[0]} in ${state.turnStep}`);
+
+    const [action, ...args] = aiMove(state, seat, levels[seat]);
+    const result = rules[action](state, ...args);
+    assert.equal(result.ok, true, result.reason);
+    state = result.state;
+  }
+  assert.ok(state.winner !== null);
+});
+
+test('a rejected robber move falls back on a tile the robber may go to', () => {
+  const state = { ...gameAfterSetup(), turnStep: 'robber' };
+  assert.equal(rules.moveRobber(state, state.robber).ok, false);
+
+  const [action, tile] = idleMove(state, state.currentPlayer);
+  assert.equal(action, 'moveRobber');
+  assert.notEqual(tile, state.robber);
+  assert.equal(rules.moveRobber(state, tile).ok, true);
+});
+
+test('the fallback only answers for the given player', () => {
+  const state = withHands({ ...gameAfterSetup(), turnStep: 'discard', discards: { 1: 4 } }, [{}, { ore: 8 }, {}]);
+
+  assert.equal(idleMove(state, 2), null);
+  assert.equal(idleMove(state, 0), null);
+  assert.deepEqual(idleMove(state, 1), ['discard', 1, { ...rules.emptyResources(), ore: 4 }]);
+  assert.deepEqual(idleMove(state), idleMove(state, 1));
+});
@@ -0,0 +1,155 @@
+// Spherical Catan - Balanced Boards
+//
+// Generates layouts that satisfy fairness constraints on the face adjacency
+// of the board, and scores how fair a layout is. The search starts from a
+// plain shuffled layout and keeps swapping tiles (or just their numbers) as
+// long as that does not add violations, restarting from a fresh shuffle when
+// it gets stuck.
+
+import { RESOURCE_TYPES, generateLayout } from './catan-engine.js';
+
+export const DEFAULT_BALANCE = {
+  noAdjacentRed: true,           // 6 and 8 never share an edge
+  noSameResourceNeighbors: true, // neighbouring tiles never produce the same resource
+  maxVertexPips: 11,             // pips of the tiles around one vertex, null for no limit
+  minResourceCoverage: 0.75,     // share of tiles that have or touch each resource
+  maxAttempts: 50                // fresh shuffles before giving up
+};
+
+const RED_NUMBERS = [6, 8];
+
+// Dots under a number: how many of the 36 dice outcomes roll it
+export function pips(number) {
+  return number ? 6 - Math.abs(7 - number) : 0;
+}
+
+// Returns { layout, balanced, attempts, report }. When no layout meets every
+// constraint, the one with the fewest violations is returned unbalanced.
+// Faces reserved by the pentagon rule keep their place, see generateLayout.
+export function generateBalancedLayout(topology, random = Math.random, constraints = {}, reserved = {}) {
+  const options = { ...DEFAULT_BALANCE, ...constraints };
+  const steps = 50 * topology.tileCount;
+  let best = null;
+
+  for (let attempt = 1; attempt <= options.maxAttempts; attempt++) {
+    const layout = generateLayout(topology.tileCount, random, reserved);
+    let cost = violations(topology, layout, options);
+
+    for (let step = 0; step < steps && cost > 0; step++) {
+      // Move a whole tile, or only trade numbers between two producing tiles
+      const swapTiles = random() < 0.5;
+      const a = Math.floor(random() * layout.length);
+      const b = Math.floor(random() * layout.length);
+      if (a === b) continue;
+      if (swapTiles && (reserved[a] || reserved[b])) continue;
+      if (!swapTiles && (!layout[a].number || !layout[b].number)) continue;
+
+      swap(layout, a, b, swapTiles);
+      const nextCost = violations(topology, layout, options);
+      if (nextCost <= cost) {
+        cost = nextCost;
+      } else {
+        swap(layout, a, b, swapTiles);
+      }
+    }
+
+    if (!best || cost < best.cost) {
+      best = { layout, cost, attempts: attempt };
+    }
+    if (cost === 0) break;
+  }
+
+  return {
+    layout: best.layout,
+    balanced: best.cost === 0,
+    attempts: best.attempts,
+    report: evaluateLayout(topology, best.layout, options)
+  };
+}
+
+// Constraint counts plus a 0-100 fairness score: half for how evenly pips are
+// spread over the vertices, half for how well each resource covers the board.
+export function evaluateLayout(topology, layout, constraints = {}) {
+  const options = { ...DEFAULT_BALANCE, ...constraints };
+  const vertexPips = vertexPipTotals(topology, layout);
+  const coverage = resourceCoverage(topology, layout);
+
+  const mean = vertexPips.reduce((sum, value) => sum + value, 0) / vertexPips.length;
+  const variance = vertexPips.reduce((sum, value) => sum + (value - mean) ** 2, 0) / vertexPips.length;
+  const pipEvenness = Math.max(0, 1 - Math.sqrt(variance) / mean);
+  const spread = RESOURCE_TYPES.reduce((sum, resource) => sum + coverage[resource], 0) / RESOURCE_TYPES.length;
+
+  return {
+    score: Math.round(50 * pipEvenness + 50 * spread),
+    redNeighbors: neighborPairs(topology, layout, sameRed),
+    sameResourceNeighbors: neighborPairs(topology, layout, sameResource),
+    maxVertexPips: Math.max(...vertexPips),
+    minResourceCoverage: Math.min(...RESOURCE_TYPES.map(resource => coverage[resource])),
+    violations: violations(topology, layout, options)
+  };
+}
+
+function violations(topology, layout, options) {
+  let count = 0;
+  if (options.noAdjacentRed) {
+    count += neighborPairs(topology, layout, sameRed);
+  }
+  if (options.noSameResourceNeighbors) {
+    count += neighborPairs(topology, layout, sameResource);
+  }
+  if (options.maxVertexPips !== null) {
+    vertexPipTotals(topology, layout).forEach(total => {
+      count += Math.max(0, total - options.maxVertexPips);
+    });
+  }
+  if (options.minResourceCoverage) {
+    const needed = Math.ceil(options.minResourceCoverage * topology.tileCount);
+    const coverage = resourceCoverage(topology, layout);
+    RESOURCE_TYPES.forEach(resource => {
+      count += Math.max(0, needed - Math.round(coverage[resource] * topology.tileCount));
+    });
+  }
+  return count;
+}
+
+function sameRed(a, b) {
+  return RED_NUMBERS.includes(a.number) && RED_NUMBERS.includes(b.number);
+}
+
+function sameResource(a, b) {
+  return a.resource !== 'desert' && a.resource === b.resource;
+}
+
+// Number of board edges whose two tiles match the test
+function neighborPairs(topology, layout, test) {
+  return topology.edgeIds.filter(id => {
+    const [a, b] = topology.edges[id].tiles;
+    return test(layout[a], layout[b]);
+  }).length;
+}
+
+function vertexPipTotals(topology, layout) {
+  return topology.vertexTiles.map(tiles =>
+    tiles.reduce((sum, tile) => sum + pips(layout[tile].number), 0));
+}
+
+// Per resource, the share of tiles that produce it or border a tile that does
+function resourceCoverage(topology, layout) {
+  const coverage = {};
+  RESOURCE_TYPES.forEach(resource => {
+    const covered = layout.filter((tile, index) =>
+      tile.resource === resource ||
+      topology.tileNeighbors[index].some(other => layout[other].resource === resource)
+    ).length;
+    coverage[resource] = covered / topology.tileCount;
+  });
+  return coverage;
+}
+
+function swap(layout, a, b, swapTiles) {
+  if (swapTiles) {
+    [layout[a], layout[b]] = [layout[b], layout[a]];
+  } else {
+    [layout[a].number, layout[b].number] = [layout[b].number, layout[a].number];
+  }
+}
@@ -0,0 +1,47 @@
+// Spherical Catan - Balanced Board Tests
+//
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { pentagonReservations } from './catan-engine.js';
+import { buildTopology } from './board-topology.js';
+import { createRandom } from './seeded-random.js';
+import { evaluateLayout, generateBalancedLayout, pips } from './board-balance.js';
+import { sphereBoard } from './board-fixtures.js';
+
+const { faces } = sphereBoard();
+const topology = buildTopology(faces);
+
+test('pips count the dice outcomes of a number', () => {
+  assert.deepEqual([2, 3, 6, 8, 11, 12].map(pips), [1, 2, 5, 5, 2, 1]);
+  assert.equal(pips(null), 0);
+});
+
+test('a balanced layout meets every constraint', () => {
+  const { layout, balanced, report } = generateBalancedLayout(topology, createRandom('balance-test'));
+
+  assert.equal(balanced, true);
+  assert.equal(report.violations, 0);
+  assert.equal(report.redNeighbors, 0);
+  assert.equal(report.sameResourceNeighbors, 0);
+  assert.deepEqual(generateBalancedLayout(topology, createRandom('balance-test')).layout, layout);
+});
+
+test('the search keeps the faces the pentagon rule reserves', () => {
+  const reserved = pentagonReservations(faces, topology, 'poles');
+  const { layout } = generateBalancedLayout(topology, createRandom('balance-test'), { maxAttempts: 2 }, reserved);
+
+  Object.keys(reserved).forEach(tile => assert.equal(layout[tile].resource, 'desert'));
+  assert.equal(layout.filter(tile => tile.resource === 'desert').length, 2);
+});
+
+test('constraints that cannot be met return the closest layout, unbalanced', () => {
+  const constraints = { maxVertexPips: 3, maxAttempts: 1 };
+  const { layout, balanced, attempts, report } = generateBalancedLayout(topology, createRandom('balance-test'), constraints);
+
+  assert.equal(balanced, false);
+  assert.equal(attempts, 1);
+  assert.ok(report.violations > 0);
+  assert.deepEqual(evaluateLayout(topology, layout, constraints), report);
+});
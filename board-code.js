@@ -0,0 +1,95 @@
+// Spherical Catan - Board Codes
+//
+// A compact, copy-pasteable code for a board layout:
+//
+//   B2.<one char per face>.<one char per harbor>
+//
+// Each face char encodes its resource and number, each harbor char the edge
+// of its pentagon it sits on and its type. The board geometry itself is
+// deterministic, so faces and harbors line up by index when decoding, and the
+// number of faces tells which board size the code is for.
+
+import { RESOURCE_TYPES, GENERIC_HARBOR_RATIO, RESOURCE_HARBOR_RATIO } from './catan-engine.js';
+
+const VERSION = 'B2'; // B1 codes used the truncated icosahedron's face order
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+const NUMBERS = [2, 3, 4, 5, 6, 8, 9, 10, 11, 12];
+const HARBOR_TYPES = ['generic', ...RESOURCE_TYPES];
+const TILE_RESOURCES = [...RESOURCE_TYPES, 'gold'];
+
+export function encodeBoard(state) {
+  const faces = state.tiles.map(tile => {
+    if (tile.resource === 'desert') return ALPHABET[0];
+    return ALPHABET[1 + TILE_RESOURCES.indexOf(tile.resource) * NUMBERS.length + NUMBERS.indexOf(tile.number)];
+  });
+
+  const harbors = state.harbors.map(harbor => {
+    const edgeIndex = state.topology.tileEdges[harbor.tile].indexOf(harbor.edge);
+    return ALPHABET[edgeIndex * HARBOR_TYPES.length + HARBOR_TYPES.indexOf(harbor.type)];
+  });
+
+  return `${VERSION}.${faces.join('')}.${harbors.join('')}`;
+}
+
+// Number of tiles on the board a code was made for, which picks the board size
+export function boardCodeTileCount(code) {
+  return parseCode(code).faceChars.length;
+}
+
+// Turn a code back into a face layout and harbors for createGameState.
+// Throws when the code is malformed or made for a different board.
+export function decodeBoard(code, faces, topology) {
+  const { faceChars, harborChars } = parseCode(code);
+  if (faceChars.length !== faces.length) {
+    throw new Error(`Board code is for ${faceChars.length} tiles, this board has ${faces.length}`);
+  }
+
+  const layout = [...faceChars].map(char => {
+    const value = decodeChar(char);
+    if (value === 0) return { resource: 'desert', number: null };
+    const resource = TILE_RESOURCES[Math.floor((value - 1) / NUMBERS.length)];
+    if (!resource) throw new Error(`Invalid tile "${char}" in board code`);
+    return { resource, number: NUMBERS[(value - 1) % NUMBERS.length] };
+  });
+
+  const pentagons = faces
+    .map((face, index) => face.type === 'pentagon' ? index : -1)
+    .filter(index => index !== -1);
+  if (harborChars.length !== pentagons.length) {
+    throw new Error(`Board code has ${harborChars.length} harbors, expected ${pentagons.length}`);
+  }
+
+  const harbors = [...harborChars].map((char, i) => {
+    const value = decodeChar(char);
+    const tile = pentagons[i];
+    const edge = topology.tileEdges[tile][Math.floor(value / HARBOR_TYPES.length)];
+    const type = HARBOR_TYPES[value % HARBOR_TYPES.length];
+    if (!edge) throw new Error(`Invalid harbor "${char}" in board code`);
+    return {
+      tile,
+      edge,
+      vertices: [...topology.edges[edge].vertices],
+      type,
+      ratio: type === 'generic' ? GENERIC_HARBOR_RATIO : RESOURCE_HARBOR_RATIO
+    };
+  });
+
+  return { layout, harbors };
+}
+
+function parseCode(code) {
+  const [version, faceChars, harborChars] = String(code).trim().split('.');
+  if (!/^B\d+$/.test(version) || faceChars === undefined || harborChars === undefined) {
+    throw new Error('Not a board code');
+  }
+  if (version !== VERSION) {
+    throw new Error('This board code is from an older version of the game');
+  }
+  return { faceChars, harborChars };
+}
+
+function decodeChar(char) {
+  const value = ALPHABET.indexOf(char);
+  if (value === -1) throw new Error(`Invalid character "${char}" in board code`);
+  return value;
+}
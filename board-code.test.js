@@ -0,0 +1,61 @@
+// Spherical Catan - Board Code Tests
+//
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as rules from './catan-engine.js';
+import { buildTopology } from './board-topology.js';
+import { createRandom } from './seeded-random.js';
+import { BOARD_SIZES, boardTileCount, buildGoldbergBoard } from './board-geometry.js';
+import { boardCodeTileCount, decodeBoard, encodeBoard } from './board-code.js';
+import { createInitialState, decodeBoardForRule, defaultGameOptions } from './game-setup.js';
+
+const PLAYERS = [{ name: 'Ann', color: 0 }, { name: 'Bo', color: 0 }];
+
+function newGame(faces, pentagonRule = 'normal', seed = 'code-test') {
+  const reserved = rules.pentagonReservations(faces, buildTopology(faces), pentagonRule);
+  const layout = rules.generateLayout(faces.length, createRandom(seed), reserved);
+  return rules.createGameState({ faces, layout, players: PLAYERS, seed, pentagonRule });
+}
+
+test('a board code brings back the same layout, gold fields and harbors on every board size', () => {
+  Object.values(BOARD_SIZES).forEach(size => {
+    const { faces } = buildGoldbergBoard(size);
+    const state = newGame(faces, 'gold');
+    const code = encodeBoard(state);
+    const { layout, harbors } = decodeBoard(code, faces, state.topology);
+
+    assert.equal(boardCodeTileCount(code), boardTileCount(size));
+    assert.deepEqual(layout, state.tiles.map(({ resource, number }) => ({ resource, number })));
+    assert.deepEqual(harbors, state.harbors);
+    assert.equal(layout.filter(tile => tile.resource === 'gold').length, 12);
+  });
+});
+
+test('codes for another board, another version or no board at all are refused', () => {
+  const { faces } = buildGoldbergBoard(BOARD_SIZES.standard);
+  const state = newGame(faces);
+  const code = encodeBoard(state);
+  const [, faceChars, harborChars] = code.split('.');
+  const large = buildGoldbergBoard(BOARD_SIZES.large).faces;
+
+  assert.throws(() => decodeBoard(code, large, state.topology), /this board has 42/);
+  assert.throws(() => decodeBoard(code.replace('B2', 'B1'), faces, state.topology), /older version/);
+  assert.throws(() => decodeBoard('hello', faces, state.topology), /Not a board code/);
+  assert.throws(() => decodeBoard(`B2.${faceChars}.${harborChars.slice(1)}`, faces, state.topology), /harbors/);
+  assert.throws(() => decodeBoard(`B2.${faceChars.slice(1)}!.${harborChars}`, faces, state.topology),
+    /Invalid character "!"/);
+});
+
+test('a board code only starts a game under a pentagon rule it fits', () => {
+  const { faces } = buildGoldbergBoard(BOARD_SIZES.standard);
+  const topology = buildTopology(faces);
+  const gold = encodeBoard(newGame(faces, 'gold'));
+  const normal = encodeBoard(newGame(faces));
+
+  assert.equal(decodeBoardForRule(gold, faces, topology, 'gold').layout[0].resource, 'gold');
+  assert.throws(() => decodeBoardForRule(gold, faces, topology, 'normal'), /does not fit the "normal" pentagon rule/);
+  assert.throws(() => decodeBoardForRule(normal, faces, topology, 'gold'), /does not fit the "gold" pentagon rule/);
+  assert.throws(() => createInitialState(faces, PLAYERS, defaultGameOptions({ boardCode: gold })), /does not fit/);
+});
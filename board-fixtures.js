@@ -0,0 +1,80 @@
+// Spherical Catan - Test Boards
+//
+// Small boards for the tests, so the rules can be checked without
+// building the sphere in Three.js.
+
+// The classic board: 19 hexagons in rings around a centre hexagon. Faces list
+// their corner vertex indices in cyclic order, like the sphere's faces do.
+export function classicBoard() {
+  const vertices = new Map(); // rounded position -> vertex index
+  const faces = [];
+
+  for (let q = -2; q <= 2; q++) {
+    for (let r = -2; r <= 2; r++) {
+      if (Math.abs(q + r) > 2) continue;
+      const centerX = Math.sqrt(3) * (q + r / 2);
+      const centerY = 1.5 * r;
+      const corners = [];
+      for (let i = 0; i < 6; i++) {
+        const angle = Math.PI / 180 * (60 * i - 30);
+        const key = `${Math.round((centerX + Math.cos(angle)) * 1000)},${Math.round((centerY + Math.sin(angle)) * 1000)}`;
+        if (!vertices.has(key)) vertices.set(key, vertices.size);
+        corners.push(vertices.get(key));
+      }
+      faces.push({ type: 'hexagon', vertices: corners });
+    }
+  }
+
+  return { faces, vertexCount: vertices.size };
+}
+
+// A layout giving every face the same resource and number, so a roll of that
+// number pays every building on the board
+export function uniformLayout(faceCount, resource = 'wood', number = 8) {
+  return Array.from({ length: faceCount }, () => ({ resource, number }));
+}
+
+// A closed board: the truncated icosahedron the standard sphere is built on,
+// with 12 pentagons and 20 hexagons
+export function sphereBoard() {
+  const phi = (1 + Math.sqrt(5)) / 2;
+  const corners = [];
+  [-1, 1].forEach(s1 => [-1, 1].forEach(s2 => {
+    corners.push([0, s1, s2 * phi], [s1, s2 * phi, 0], [s2 * phi, 0, s1]);
+  }));
+  const minus = (p, q) => p.map((value, i) => value - q[i]);
+  const dot = (p, q) => p.reduce((sum, value, i) => sum + value * q[i], 0);
+  const cross = (p, q) => [p[1] * q[2] - p[2] * q[1], p[2] * q[0] - p[0] * q[2], p[0] * q[1] - p[1] * q[0]];
+  // Icosahedron edges are 2 long
+  const neighbors = corners.map((p, a) =>
+    [...corners.keys()].filter(b => b !== a && Math.abs(Math.hypot(...minus(p, corners[b])) - 2) < 1e-9));
+
+  // Cutting off the corners leaves two vertices on every icosahedron edge
+  const vertices = new Map(); // "corner,towards" -> vertex index
+  const near = (a, b) => {
+    const key = `${a},${b}`;
+    if (!vertices.has(key)) vertices.set(key, vertices.size);
+    return vertices.get(key);
+  };
+
+  // One pentagon per corner, its vertices sorted by angle around the corner
+  const faces = corners.map((normal, a) => {
+    const u = minus(corners[neighbors[a][0]], normal);
+    const w = cross(normal, u);
+    const angle = b => Math.atan2(dot(minus(corners[b], normal), w), dot(minus(corners[b], normal), u));
+    const around = [...neighbors[a]].sort((b1, b2) => angle(b1) - angle(b2));
+    return { type: 'pentagon', vertices: around.map(b => near(a, b)) };
+  });
+
+  // One hexagon per triangle of the icosahedron
+  neighbors.forEach((aNeighbors, a) => aNeighbors.forEach(b => neighbors[b].forEach(c => {
+    if (a < b && b < c && aNeighbors.includes(c)) {
+      faces.push({
+        type: 'hexagon',
+        vertices: [near(a, b), near(b, a), near(b, c), near(c, b), near(c, a), near(a, c)]
+      });
+    }
+  })));
+
+  return { faces, vertexCount: vertices.size };
+}
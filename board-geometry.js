@@ -0,0 +1,154 @@
+// Spherical Catan - Board Geometry
+//
+// Builds Goldberg polyhedra GP(m, n): 12 pentagons plus 10(T - 1) hexagons,
+// with T = m² + mn + n². The board is the dual of a geodesic sphere: a
+// triangular lattice is laid over each icosahedron face and projected onto
+// the sphere, every lattice point becomes a tile, and every lattice triangle
+// becomes a vertex of the board. Lattice neighbours are simply the nearest
+// points (five for the icosahedron corners, six for the rest), so nothing
+// depends on tuned edge lengths.
+//
+// Plain [x, y, z] arrays on the unit sphere keep this usable without three.js.
+
+export const BOARD_SIZES = {
+  standard: { m: 1, n: 1, label: 'Standard' },
+  large: { m: 2, n: 0, label: 'Large' },
+  huge: { m: 2, n: 1, label: 'Huge' },
+  giant: { m: 3, n: 0, label: 'Giant' }
+};
+
+export const DEFAULT_BOARD_SIZE = 'standard';
+
+export function boardTileCount({ m, n }) {
+  return 10 * (m * m + m * n + n * n) + 2;
+}
+
+// Returns { vertices: [[x, y, z]], faces: [{ type, vertices }] } with face
+// vertices in cyclic order.
+export function buildGoldbergBoard({ m, n }) {
+  const points = geodesicPoints(m, n);
+
+  // Triangles of the geodesic sphere, found around each point in turn. The
+  // ordered ring of triangles around a point is the outline of its tile.
+  const vertices = [];
+  const triangleIds = new Map();
+  const faces = points.map((point, index) => {
+    const ring = orderAround(points, index, nearest(points, index, point.corner ? 5 : 6));
+    const outline = ring.map((neighbor, i) => {
+      const next = ring[(i + 1) % ring.length];
+      const key = [index, neighbor, next].sort((a, b) => a - b).join(',');
+      if (!triangleIds.has(key)) {
+        triangleIds.set(key, vertices.length);
+        vertices.push(normalize(centroid([point, points[neighbor], points[next]].map(p => p.position))));
+      }
+      return triangleIds.get(key);
+    });
+    return { type: point.corner ? 'pentagon' : 'hexagon', vertices: outline };
+  });
+
+  return { vertices, faces };
+}
+
+// Lattice points of every icosahedron face, projected onto the sphere.
+// Corners of the icosahedron are flagged, they become the pentagons.
+function geodesicPoints(m, n) {
+  const { corners, triangles } = icosahedron();
+
+  // Lattice basis e1 = (1, 0), e2 = (1/2, √3/2); each face is the equilateral
+  // triangle (0, 0), m·e1 + n·e2 and that corner turned by 60°
+  const toPlane = (i, j) => [i + j / 2, j * Math.sqrt(3) / 2];
+  const p1 = toPlane(m, n);
+  const p2 = toPlane(-n, m + n);
+  const det = p1[0] * p2[1] - p1[1] * p2[0];
+  const epsilon = 1e-9;
+
+  const points = [];
+  triangles.forEach(([a, b, c]) => {
+    for (let i = -n; i <= m; i++) {
+      for (let j = 0; j <= m + n; j++) {
+        const [x, y] = toPlane(i, j);
+        const weightB = (x * p2[1] - y * p2[0]) / det;
+        const weightC = (p1[0] * y - p1[1] * x) / det;
+        const weightA = 1 - weightB - weightC;
+        if (weightA < -epsilon || weightB < -epsilon || weightC < -epsilon) continue;
+
+        const position = normalize([0, 1, 2].map(axis =>
+          weightA * corners[a][axis] + weightB * corners[b][axis] + weightC * corners[c][axis]));
+        // Points on shared face edges and corners turn up more than once
+        if (points.some(other => distance(other.position, position) < 1e-6)) continue;
+        points.push({ position, corner: Math.max(weightA, weightB, weightC) > 1 - epsilon });
+      }
+    }
+  });
+  return points;
+}
+
+// The 12 corners and 20 faces of an icosahedron, faces wound counterclockwise
+// seen from outside so neighbouring face lattices line up
+function icosahedron() {
+  const phi = (1 + Math.sqrt(5)) / 2;
+  const corners = [];
+  [-1, 1].forEach(s1 => [-phi, phi].forEach(s2 => {
+    corners.push(normalize([0, s1, s2]), normalize([s1, s2, 0]), normalize([s2, 0, s1]));
+  }));
+
+  const points = corners.map(position => ({ position }));
+  const neighbors = corners.map((corner, index) => nearest(points, index, 5));
+  const triangles = [];
+  corners.forEach((corner, a) => {
+    neighbors[a].forEach(b => neighbors[a].forEach(c => {
+      if (a < b && b < c && neighbors[b].includes(c)) {
+        const normal = cross(subtract(corners[b], corner), subtract(corners[c], corner));
+        triangles.push(dot(normal, corner) > 0 ? [a, b, c] : [a, c, b]);
+      }
+    }));
+  });
+  return { corners, triangles };
+}
+
+// Indices of the count points closest to points[index]
+function nearest(points, index, count) {
+  return points
+    .map((point, other) => ({ other, distance: distance(point.position, points[index].position) }))
+    .filter(({ other }) => other !== index)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, count)
+    .map(({ other }) => other);
+}
+
+// Sort neighbour indices counterclockwise around points[index], seen from outside
+function orderAround(points, index, neighbors) {
+  const normal = points[index].position;
+  const tangent = normalize(subtract(points[neighbors[0]].position, normal));
+  const bitangent = cross(normal, tangent);
+  const angle = other => {
+    const offset = subtract(points[other].position, normal);
+    return Math.atan2(dot(offset, bitangent), dot(offset, tangent));
+  };
+  return [...neighbors].sort((a, b) => angle(a) - angle(b));
+}
+
+function centroid(positions) {
+  return [0, 1, 2].map(axis => positions.reduce((sum, p) => sum + p[axis], 0) / positions.length);
+}
+
+function normalize(v) {
+  const length = Math.hypot(...v);
+  return v.map(component => component / length);
+}
+
+function subtract(a, b) {
+  return a.map((component, axis) => component - b[axis]);
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function distance(a, b) {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
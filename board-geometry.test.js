@@ -0,0 +1,33 @@
+// Spherical Catan - Board Geometry Tests
+//
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BOARD_SIZES, boardTileCount, buildGoldbergBoard } from './board-geometry.js';
+import { buildTopology } from './board-topology.js';
+
+Object.entries(BOARD_SIZES).forEach(([name, size]) => {
+  test(`the ${name} board is a closed Goldberg polyhedron`, () => {
+    const { vertices, faces } = buildGoldbergBoard(size);
+    const topology = buildTopology(faces);
+    const t = size.m * size.m + size.m * size.n + size.n * size.n;
+
+    assert.equal(faces.length, boardTileCount(size));
+    assert.equal(faces.filter(face => face.type === 'pentagon').length, 12);
+    faces.forEach(face => assert.equal(face.vertices.length, face.type === 'pentagon' ? 5 : 6));
+    assert.equal(topology.vertexCount, vertices.length);
+    assert.equal(vertices.length, 20 * t);
+    assert.equal(topology.edgeIds.length, 30 * t);
+    // Euler's formula for a sphere
+    assert.equal(vertices.length - topology.edgeIds.length + faces.length, 2);
+
+    vertices.forEach(vertex => assert.ok(Math.abs(Math.hypot(...vertex) - 1) < 1e-9));
+    topology.vertexTiles.forEach(tiles => assert.equal(tiles.length, 3));
+    topology.edgeIds.forEach(id => assert.equal(topology.edges[id].tiles.length, 2));
+  });
+});
+
+test('the same size always builds the same board', () => {
+  assert.deepEqual(buildGoldbergBoard(BOARD_SIZES.large), buildGoldbergBoard(BOARD_SIZES.large));
+});
@@ -0,0 +1,72 @@
+// Spherical Catan - Board Topology
+//
+// Adjacency between tiles, vertices and edges, derived once from the board
+// faces. Faces list their vertex indices in cyclic order, so every pair of
+// consecutive vertices around a face is an edge of the board.
+
+// Canonical edge ID: "3,7" and "7,3" always name the same edge
+export function edgeId(v1, v2) {
+  return v1 < v2 ? `${v1},${v2}` : `${v2},${v1}`;
+}
+
+export function parseEdgeId(id) {
+  return id.split(',').map(Number);
+}
+
+export function buildTopology(faces) {
+  const vertexCount = Math.max(...faces.flatMap(face => face.vertices)) + 1;
+
+  const tileVertices = faces.map(face => [...face.vertices]);
+  const tileEdges = faces.map(() => []);
+  const vertexTiles = Array.from({ length: vertexCount }, () => []);
+  const vertexEdges = Array.from({ length: vertexCount }, () => []);
+  const vertexNeighbors = Array.from({ length: vertexCount }, () => []);
+  const edges = {}; // edgeId -> { id, vertices: [v1, v2], tiles: [...] }
+
+  faces.forEach((face, tileIndex) => {
+    const count = face.vertices.length;
+    face.vertices.forEach((vertex, i) => {
+      vertexTiles[vertex].push(tileIndex);
+
+      const next = face.vertices[(i + 1) % count];
+      const id = edgeId(vertex, next);
+      if (!edges[id]) {
+        edges[id] = { id, vertices: parseEdgeId(id), tiles: [] };
+        vertexEdges[vertex].push(id);
+        vertexEdges[next].push(id);
+        vertexNeighbors[vertex].push(next);
+        vertexNeighbors[next].push(vertex);
+      }
+      edges[id].tiles.push(tileIndex);
+      tileEdges[tileIndex].push(id);
+    });
+  });
+
+  // Tiles sharing an edge are neighbours
+  const tileNeighbors = faces.map((face, tileIndex) =>
+    tileEdges[tileIndex]
+      .flatMap(id => edges[id].tiles)
+      .filter(other => other !== tileIndex)
+  );
+
+  return deepFreeze({
+    vertexCount,
+    tileCount: faces.length,
+    edges,
+    edgeIds: Object.keys(edges),
+    tileVertices,
+    tileEdges,
+    tileNeighbors,
+    vertexTiles,
+    vertexEdges,
+    vertexNeighbors
+  });
+}
+
+// The topology is shared between game states, so make sure nobody edits it
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') deepFreeze(value);
+  });
+  return Object.freeze(object);
+}
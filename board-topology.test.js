@@ -0,0 +1,43 @@
+// Spherical Catan - Board Topology Tests
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildTopology, edgeId, parseEdgeId } from './board-topology.js';
+import { classicBoard } from './board-fixtures.js';
+
+test('edge IDs are the same whichever end comes first', () => {
+  assert.equal(edgeId(7, 3), '3,7');
+  assert.equal(edgeId(3, 7), '3,7');
+  assert.deepEqual(parseEdgeId('3,7'), [3, 7]);
+});
+
+test('the classic board has 19 tiles, 54 vertices and 72 edges', () => {
+  const topology = buildTopology(classicBoard().faces);
+
+  assert.equal(topology.tileCount, 19);
+  assert.equal(topology.vertexCount, 54);
+  assert.equal(topology.edgeIds.length, 72);
+});
+
+test('adjacency is consistent in both directions', () => {
+  const topology = buildTopology(classicBoard().faces);
+
+  topology.edgeIds.forEach(id => {
+    const [v1, v2] = topology.edges[id].vertices;
+    assert.ok(topology.vertexNeighbors[v1].includes(v2));
+    assert.ok(topology.vertexNeighbors[v2].includes(v1));
+    assert.ok(topology.vertexEdges[v1].includes(id));
+    topology.edges[id].tiles.forEach(tile => assert.ok(topology.tileEdges[tile].includes(id)));
+  });
+  topology.vertexTiles.forEach(tiles => assert.ok(tiles.length >= 1 && tiles.length <= 3));
+  // Only the centre and the first ring are surrounded on all six sides
+  assert.equal(topology.tileNeighbors.filter(neighbors => neighbors.length === 6).length, 7);
+});
+
+test('the topology cannot be edited', () => {
+  const topology = buildTopology(classicBoard().faces);
+
+  assert.ok(Object.isFrozen(topology));
+  assert.ok(Object.isFrozen(topology.vertexNeighbors[0]));
+  assert.throws(() => topology.vertexNeighbors[0].push(1));
+});
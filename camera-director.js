@@ -0,0 +1,91 @@
+// Spherical Catan - Camera Director
+//
+// Flies the camera around the sphere: to what just happened in the game when
+// the player follows events, and to whatever they ask to see. Flights keep
+// the current zoom and turn around the board center, where OrbitControls
+// looks. The view a flight left is kept so the player can go back to it.
+
+const FOLLOW_KEY = 'spherical-catan:camera-follow';
+
+// Whether this browser follows game events; on unless switched off.
+// localStorage may be unavailable, the setting then only lasts for the page.
+function readFollowSetting() {
+  try {
+    return localStorage.getItem(FOLLOW_KEY) !== 'off';
+  } catch (error) {
+    return true;
+  }
+}
+
+function saveFollowSetting(following) {
+  try {
+    localStorage.setItem(FOLLOW_KEY, following ? 'on' : 'off');
+  } catch (error) {
+    console.warn('Could not remember the camera setting:', error);
+  }
+}
+
+export class CameraDirector {
+  constructor(THREE, camera, controls) {
+    this.THREE = THREE;
+    this.camera = camera;
+
+    // Time a flight takes
+    this.FLIGHT_MS = 1200;
+
+    this.following = readFollowSetting();
+    this.lastView = null; // camera position before the latest flight
+    this.flight = null;
+
+    // Grabbing the camera ends a flight where it is
+    controls.addEventListener('start', () => {
+      this.flight = null;
+    });
+  }
+
+  setFollowing(following) {
+    this.following = following;
+    saveFollowSetting(following);
+  }
+
+  // Flights for game events, only when the player follows them
+  follow(point) {
+    if (this.following) this.flyTo(point);
+  }
+
+  // Orbit until the camera looks at point (any vector from the board center)
+  // from its current distance. remember keeps the view left behind for
+  // returnToLastView; a chain of flights keeps the view before the first.
+  flyTo(point, { remember = true } = {}) {
+    if (!point || point.lengthSq() === 0) return;
+    if (remember && !this.flight) this.lastView = this.camera.position.clone();
+
+    const from = this.camera.position.clone();
+    this.flight = {
+      from,
+      distance: from.length(),
+      turn: new this.THREE.Quaternion().setFromUnitVectors(from.clone().normalize(), point.clone().normalize()),
+      start: performance.now()
+    };
+  }
+
+  // Back to the view the latest flight left; false when there is none
+  returnToLastView() {
+    if (!this.lastView) return false;
+    const view = this.lastView;
+    this.flyTo(view, { remember: false });
+    this.lastView = null;
+    return true;
+  }
+
+  // Called every frame
+  update(now) {
+    const flight = this.flight;
+    if (!flight) return;
+    const t = Math.min((now - flight.start) / this.FLIGHT_MS, 1);
+    const eased = t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2;
+    const step = new this.THREE.Quaternion().slerpQuaternions(new this.THREE.Quaternion(), flight.turn, eased);
+    this.camera.position.copy(flight.from).applyQuaternion(step).setLength(flight.distance);
+    if (t === 1) this.flight = null;
+  }
+}
@@ -0,0 +1,60 @@
+// Spherical Catan - Camera Director Tests
+//
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { CameraDirector } from './camera-director.js';
+
+// A director over a camera at (0, 0, 10) and controls the test can grab
+function directed() {
+  const camera = new THREE.PerspectiveCamera();
+  camera.position.set(0, 0, 10);
+  const listeners = {};
+  const controls = { addEventListener: (type, listener) => { listeners[type] = listener; } };
+  return { camera, director: new CameraDirector(THREE, camera, controls), grab: () => listeners.start() };
+}
+
+function close(actual, expected) {
+  assert.ok(actual.distanceTo(expected) < 1e-9, `${actual.toArray()} is not ${expected.toArray()}`);
+}
+
+test('a flight turns the camera to look at the point from the same distance', () => {
+  const { camera, director } = directed();
+  director.flyTo(new THREE.Vector3(3, 0, 0));
+  const { start } = director.flight;
+
+  director.update(start + director.FLIGHT_MS / 2);
+  assert.ok(Math.abs(camera.position.length() - 10) < 1e-9);
+  director.update(start + director.FLIGHT_MS);
+  close(camera.position, new THREE.Vector3(10, 0, 0));
+  assert.equal(director.flight, null);
+});
+
+test('the view before a chain of flights is the one to go back to', () => {
+  const { camera, director } = directed();
+  director.flyTo(new THREE.Vector3(1, 0, 0));
+  director.flyTo(new THREE.Vector3(0, 1, 0));
+  director.update(director.flight.start + director.FLIGHT_MS);
+
+  assert.equal(director.returnToLastView(), true);
+  director.update(director.flight.start + director.FLIGHT_MS);
+  close(camera.position, new THREE.Vector3(0, 0, 10));
+  assert.equal(director.returnToLastView(), false);
+});
+
+test('grabbing the camera ends a flight, and events only fly it while followed', () => {
+  const { camera, director, grab } = directed();
+  director.flyTo(new THREE.Vector3(1, 0, 0));
+  grab();
+  director.update(performance.now() + director.FLIGHT_MS);
+  close(camera.position, new THREE.Vector3(0, 0, 10));
+
+  director.following = false;
+  director.follow(new THREE.Vector3(1, 0, 0));
+  assert.equal(director.flight, null);
+  director.following = true;
+  director.follow(new THREE.Vector3(1, 0, 0));
+  assert.notEqual(director.flight, null);
+});
@@ -0,0 +1,1198 @@
+// Spherical Catan - Rules Engine
+//
+// Headless game state and rules. Nothing in here touches Three.js or the DOM,
+// so games can be played, tested and simulated without a WebGL canvas.
+//
+// Every command takes the current state and returns either
+//   { ok: true, state }     - a new state object (the input is never mutated)
+//   { ok: false, reason }   - a human readable rejection reason
+//
+// Commands that need chance (dice, steals) draw from the seeded generator
+// kept in the state, so a game is reproducible from its seed. Passing an
+// explicit random function overrides it.
+
+import { buildTopology, edgeId } from './board-topology.js';
+import { createRandom, hashSeed, randomSeed, stepRandom } from './seeded-random.js';
+
+export const RESOURCE_TYPES = ['wood', 'brick', 'wheat', 'sheep', 'ore'];
+
+export const BUILD_COSTS = {
+  road: { wood: 1, brick: 1 },
+  settlement: { wood: 1, brick: 1, wheat: 1, sheep: 1 },
+  city: { wheat: 2, ore: 3 },
+  devCard: { ore: 1, wheat: 1, sheep: 1 }
+};
+
+export const DEV_CARD_TYPES = ['knight', 'roadBuilding', 'yearOfPlenty', 'monopoly', 'victoryPoint'];
+
+// The classic 25-card deck is made for 19 tiles; bigger boards get
+// proportionally more cards
+const BASE_DEV_DECK = { knight: 14, roadBuilding: 2, yearOfPlenty: 2, monopoly: 2, victoryPoint: 5 };
+const BASE_TILE_COUNT = 19;
+
+// The sphere has 32 tiles instead of 19, so games run longer than the classic 10
+export const DEFAULT_TARGET_SCORE = 12;
+
+// Bank trades without a harbor, at a generic harbor and at a resource harbor
+export const BANK_TRADE_RATIO = 4;
+export const GENERIC_HARBOR_RATIO = 3;
+export const RESOURCE_HARBOR_RATIO = 2;
+
+// Minimums to claim the special cards, each worth 2 victory points
+export const LONGEST_ROAD_MIN = 5;
+export const LARGEST_ARMY_MIN = 3;
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 6;
+
+// Players holding more cards than this discard half when a 7 is rolled
+export const DISCARD_LIMIT = 7;
+
+// How the 12 pentagons play, picked when the game is created:
+//   normal  - ordinary resource tiles
+//   gold    - gold fields, the producer picks any resource
+//   double  - pentagons pay out twice
+//   volcano - on its roll a volcano hits one of its corners, destroying a
+//             settlement or reducing a city to a settlement. A player's last
+//             settlement is spared.
+//   poles   - the two deserts sit on opposite pentagons
+export const PENTAGON_RULES = ['normal', 'gold', 'double', 'volcano', 'poles'];
+
+// Create a fresh game state from the board faces (arrays of vertex indices in
+// cyclic order) and the resource/number layout assigned to each face.
+// robberStart is 'random' (a random desert) or 'choose' (the first player
+// picks a desert before the setup placements). Harbors are generated from the
+// seed unless given, e.g. from a board code.
+export function createGameState({
+  faces,
+  layout,
+  players,
+  robberStart = 'random',
+  targetScore = DEFAULT_TARGET_SCORE,
+  seed = randomSeed(),
+  harbors = null,
+  pentagonRule = 'normal',
+  random = createRandom(seed)
+}) {
+  if (players.length < MIN_PLAYERS || players.length > MAX_PLAYERS) {
+    throw new Error(`Catan needs ${MIN_PLAYERS}-${MAX_PLAYERS} players, got ${players.length}`);
+  }
+  if (!PENTAGON_RULES.includes(pentagonRule)) {
+    throw new Error(`Unknown pentagon rule "${pentagonRule}"`);
+  }
+
+  const topology = buildTopology(faces);
+  const deserts = layout
+    .map((tile, index) => tile.resource === 'desert' ? index : -1)
+    .filter(index => index !== -1);
+  const robber = robberStart === 'random' && deserts.length > 0 ?
+    deserts[Math.floor(random() * deserts.length)] :
+    null;
+
+  return {
+    // Static adjacency graph, shared (not copied) between states
+    topology,
+    tiles: faces.map((face, index) => ({
+      index,
+      type: face.type,
+      resource: layout[index].resource,
+      number: layout[index].number
+    })),
+    players: players.map(player => ({
+      name: player.name,
+      color: player.color,
+      resources: { ...emptyResources(), ...player.resources },
+      devCards: [],     // { type, boughtTurn }
+      knightsPlayed: 0
+    })),
+    harbors: harbors || generateHarbors(faces, topology, random),
+    devDeck: createDevDeck(faces.length, random),
+    seed,
+    rngState: hashSeed(`${seed}/game`), // generator for dice, steals and eruptions
+    pentagonRule,
+    turnNumber: 0,
+    devCardPlayed: false, // only one development card per turn
+    freeRoads: 0,         // roads left to place from Road Building
+    currentPlayer: 0,
+    phase: 'setup', // setup, main, end
+    targetScore,
+    winner: null,
+    longestRoad: null, // { player, length }
+    largestArmy: null, // { player, size }
+    turnStep: 'roll', // roll, gold, discard, robber, steal, trade, build
+    dice: null,
+    production: [], // payouts of the last roll: { tile, player, resource, amount }
+    goldPicks: {},  // player index -> resources still to pick from gold fields
+    eruptions: [],  // volcanoes of the last roll: { tile, vertex, player, destroyed }
+    robber,         // tile index the robber stands on
+    discards: {},   // player index -> cards still to discard after a 7
+    robberVictims: [], // players the current player may steal from
+    robberReturnStep: 'trade', // turn step to resume once the robber is done
+    // Open offer from the current player:
+    // { from, to: [players], give, get, responses: { player: 'pending' | 'rejected' | 'countered' }, counters: { player: { give, get } } }
+    tradeOffer: null,
+    tradeLog: [], // executed trades: { turn, from, to (player index or 'bank'), give, get }
+    // Snake draft: players place in order 1..N, then N..1
+    setup: {
+      order: [...players.keys(), ...[...players.keys()].reverse()],
+      index: 0,
+      step: robber === null ? 'robber' : 'settlement', // robber, settlement, road
+      settlement: null    // vertex the next setup road must touch
+    },
+    buildings: {
+      roads: {},       // edgeId -> player index
+      settlements: {}, // vertexIndex -> player index
+      cities: {}       // vertexIndex -> player index
+    }
+  };
+}
+
+// Shuffle resources and dice numbers over the faces. Deserts get no number.
+// Both pools follow the face count, so every board size works: two deserts,
+// the other faces split evenly between the resources, and 2-12 (without 7)
+// repeated until every producing face has a number.
+// reserved maps face indices to a resource fixed by the pentagon rule
+// ('gold' or 'desert'); those faces are left out of the shuffle.
+export function generateLayout(faceCount, random = Math.random, reserved = {}) {
+  const resources = [];
+  const reservedDeserts = Object.values(reserved).filter(resource => resource === 'desert').length;
+  const deserts = Math.max(0, 2 - reservedDeserts);
+  const open = faceCount - Object.keys(reserved).length;
+  const perResource = Math.floor((open - deserts) / RESOURCE_TYPES.length);
+  RESOURCE_TYPES.forEach(resource => {
+    for (let i = 0; i < perResource; i++) resources.push(resource);
+  });
+  // Faces left over when the pool does not split evenly
+  while (resources.length < open - deserts) {
+    resources.push(RESOURCE_TYPES[Math.floor(random() * RESOURCE_TYPES.length)]);
+  }
+  while (resources.length < open) resources.push('desert');
+  shuffle(resources, random);
+
+  // Cycle through 2-12 (excluding 7) until every producing face has a number
+  const numbers = [];
+  const producing = [...resources, ...Object.values(reserved)]
+    .filter(resource => resource !== 'desert').length;
+  for (let i = 0; numbers.length < producing; i++) {
+    const num = 2 + (i % 11);
+    if (num !== 7) numbers.push(num);
+  }
+  shuffle(numbers, random);
+
+  let numberIndex = 0;
+  let resourceIndex = 0;
+  return Array.from({ length: faceCount }, (_, index) => {
+    const resource = reserved[index] || resources[resourceIndex++];
+    return { resource, number: resource === 'desert' ? null : numbers[numberIndex++] };
+  });
+}
+
+// Faces the pentagon rule fixes before the layout is shuffled: every pentagon
+// is a gold field, or the deserts sit on the first pentagon and the one
+// farthest away from it
+export function pentagonReservations(faces, topology, pentagonRule) {
+  const pentagons = faces
+    .map((face, index) => face.type === 'pentagon' ? index : -1)
+    .filter(index => index !== -1);
+
+  if (pentagonRule === 'gold') {
+    return Object.fromEntries(pentagons.map(tile => [tile, 'gold']));
+  }
+  if (pentagonRule === 'poles') {
+    const distances = tileDistances(topology, pentagons[0]);
+    const opposite = pentagons.reduce((best, tile) => distances[tile] > distances[best] ? tile : best);
+    return { [pentagons[0]]: 'desert', [opposite]: 'desert' };
+  }
+  return {};
+}
+
+// A sphere has no coastline, so harbors sit on one edge of every pentagon.
+// Each resource gets one 2:1 harbor; the remaining harbors are 3:1.
+export function generateHarbors(faces, topology, random = Math.random) {
+  const pentagons = faces
+    .map((face, index) => face.type === 'pentagon' ? index : -1)
+    .filter(index => index !== -1);
+
+  const types = [...RESOURCE_TYPES];
+  while (types.length < pentagons.length) types.push('generic');
+  shuffle(types, random);
+
+  return pentagons.map((tile, i) => {
+    const edges = topology.tileEdges[tile];
+    const edge = edges[Math.floor(random() * edges.length)];
+    return {
+      tile,
+      edge,
+      vertices: [...topology.edges[edge].vertices],
+      type: types[i], // 'generic' or a resource
+      ratio: types[i] === 'generic' ? GENERIC_HARBOR_RATIO : RESOURCE_HARBOR_RATIO
+    };
+  });
+}
+
+export function createDevDeck(tileCount, random = Math.random) {
+  const scale = tileCount / BASE_TILE_COUNT;
+  const deck = [];
+  Object.entries(BASE_DEV_DECK).forEach(([type, count]) => {
+    for (let i = 0; i < Math.round(count * scale); i++) deck.push(type);
+  });
+  return shuffle(deck, random);
+}
+
+export function emptyResources() {
+  return { wood: 0, brick: 0, wheat: 0, sheep: 0, ore: 0 };
+}
+
+// Placement checks - same result shape as commands, without a state
+
+// Roads must extend your own road network or start at your own building.
+// An opponent's building on a vertex cuts the network at that vertex.
+export function canBuildRoad(state, edgeKey, player = state.currentPlayer) {
+  const turn = checkBuildTurn(state, player, 'road');
+  if (!turn.ok) return turn;
+
+  const id = canonicalEdge(edgeKey);
+  const edge = state.topology.edges[id];
+  if (!edge) {
+    return reject(`${edgeKey} is not an edge of the board`);
+  }
+  if (state.buildings.roads[id] !== undefined) {
+    return reject('There is already a road here');
+  }
+
+  if (state.phase === 'setup') {
+    return edge.vertices.includes(state.setup.settlement) ?
+      { ok: true } :
+      reject('Your setup road must touch the settlement you just placed');
+  }
+
+  const connected = edge.vertices.some(vertex => {
+    const owner = buildingOwner(state, vertex);
+    if (owner !== undefined) return owner === player;
+    return state.topology.vertexEdges[vertex].some(other => state.buildings.roads[other] === player);
+  });
+  if (!connected) {
+    return reject('Roads must connect to your own road, settlement or city');
+  }
+
+  if (state.freeRoads > 0) {
+    return { ok: true };
+  }
+  return checkCost(state.players[player], BUILD_COSTS.road);
+}
+
+// Distance rule: no building on this vertex or any neighbouring vertex.
+// Outside the setup phase the vertex must also touch one of your roads.
+export function canBuildSettlement(state, vertexIndex, player = state.currentPlayer) {
+  const turn = checkBuildTurn(state, player, 'settlement');
+  if (!turn.ok) return turn;
+
+  const place = canPlaceSettlement(state, vertexIndex, player);
+  if (!place.ok) return place;
+  // Setup settlements are free
+  if (state.phase === 'setup') {
+    return { ok: true };
+  }
+  return checkCost(state.players[player], BUILD_COSTS.settlement);
+}
+
+// Whether the vertex is a spot for the player's next settlement, whatever
+// the turn and their hand
+export function canPlaceSettlement(state, vertexIndex, player = state.currentPlayer) {
+  if (!isBoardVertex(state, vertexIndex)) {
+    return reject(`${vertexIndex} is not a vertex of the board`);
+  }
+  if (buildingOwner(state, vertexIndex) !== undefined) {
+    return reject('This spot is already taken');
+  }
+  if (state.topology.vertexNeighbors[vertexIndex].some(v => buildingOwner(state, v) !== undefined)) {
+    return reject('Too close to another settlement or city');
+  }
+  // Setup settlements need no road
+  if (state.phase !== 'setup' &&
+      !state.topology.vertexEdges[vertexIndex].some(id => state.buildings.roads[id] === player)) {
+    return reject('Settlements must connect to one of your roads');
+  }
+  return { ok: true };
+}
+
+export function canUpgradeToCity(state, vertexIndex, player = state.currentPlayer) {
+  const turn = checkBuildTurn(state, player, 'city');
+  if (!turn.ok) return turn;
+
+  if (state.buildings.settlements[vertexIndex] === undefined) {
+    return reject('Cities can only replace a settlement');
+  }
+  if (state.buildings.settlements[vertexIndex] !== player) {
+    return reject('You can only upgrade your own settlement');
+  }
+
+  return checkCost(state.players[player], BUILD_COSTS.city);
+}
+
+// Commands
+
+export function buildRoad(state, edgeKey) {
+  const check = canBuildRoad(state, edgeKey);
+  if (!check.ok) return check;
+
+  const next = cloneState(state);
+  next.buildings.roads[canonicalEdge(edgeKey)] = next.currentPlayer;
+  if (next.phase === 'setup') {
+    advanceSetup(next);
+    return acceptScored(next);
+  }
+
+  if (next.freeRoads > 0) {
+    next.freeRoads--;
+    return acceptScored(next);
+  }
+
+  startBuilding(next);
+  payCost(next.players[next.currentPlayer], BUILD_COSTS.road);
+  return acceptScored(next);
+}
+
+export function buildSettlement(state, vertexIndex) {
+  const check = canBuildSettlement(state, vertexIndex);
+  if (!check.ok) return check;
+
+  const next = cloneState(state);
+  next.buildings.settlements[vertexIndex] = next.currentPlayer;
+  if (next.phase === 'setup') {
+    // The second setup settlement pays one card from each adjacent tile.
+    // Gold fields only pay out on a roll, when their picks can be made.
+    if (next.setup.index >= next.players.length) {
+      next.topology.vertexTiles[vertexIndex].forEach(tileIndex => {
+        const tile = next.tiles[tileIndex];
+        if (RESOURCE_TYPES.includes(tile.resource)) {
+          next.players[next.currentPlayer].resources[tile.resource] += 1;
+        }
+      });
+    }
+    next.setup.step = 'road';
+    next.setup.settlement = vertexIndex;
+    return accept(next);
+  }
+
+  startBuilding(next);
+  payCost(next.players[next.currentPlayer], BUILD_COSTS.settlement);
+  return acceptScored(next);
+}
+
+export function upgradeToCity(state, vertexIndex) {
+  const check = canUpgradeToCity(state, vertexIndex);
+  if (!check.ok) return check;
+
+  const next = cloneState(state);
+  delete next.buildings.settlements[vertexIndex];
+  next.buildings.cities[vertexIndex] = next.currentPlayer;
+  startBuilding(next);
+  payCost(next.players[next.currentPlayer], BUILD_COSTS.city);
+  return acceptScored(next);
+}
+
+export function canBuyDevCard(state, player = state.currentPlayer) {
+  const turn = checkBuildTurn(state, player, 'devCard');
+  if (!turn.ok) return turn;
+
+  if (state.devDeck.length === 0) {
+    return reject('The development card deck is empty');
+  }
+  return checkCost(state.players[player], BUILD_COSTS.devCard);
+}
+
+export function buyDevCard(state) {
+  const check = canBuyDevCard(state);
+  if (!check.ok) return check;
+
+  const next = cloneState(state);
+  const player = next.players[next.currentPlayer];
+  player.devCards.push({ type: next.devDeck.pop(), boughtTurn: next.turnNumber });
+  payCost(player, BUILD_COSTS.devCard);
+  startBuilding(next);
+  return acceptScored(next);
+}
+
+// One card per turn, never one bought this turn. Knights may also be played
+// before rolling; the other cards only once the dice are rolled.
+export function canPlayDevCard(state, type, player = state.currentPlayer) {
+  if (state.phase !== 'main' || player !== state.currentPlayer) {
+    return reject('You can only play development cards on your own turn');
+  }
+  if (type === 'victoryPoint') {
+    return reject('Victory point cards stay hidden in your hand');
+  }
+  if (state.devCardPlayed) {
+    return reject('You already played a development card this turn');
+  }
+
+  const playable = state.players[player].devCards
+    .some(card => card.type === type && card.boughtTurn < state.turnNumber);
+  if (!playable) {
+    return reject(state.players[player].devCards.some(card => card.type === type) ?
+      'Cards cannot be played the turn they were bought' :
+      'You do not have that card');
+  }
+
+  const allowedSteps = type === 'knight' ? ['roll', 'trade', 'build'] : ['trade', 'build'];
+  if (!allowedSteps.includes(state.turnStep)) {
+    return reject(waitingReason(state));
+  }
+  return { ok: true };
+}
+
+// options: { resources: [r1, r2] } for Year of Plenty, { resource } for Monopoly
+export function playDevCard(state, type, options = {}) {
+  const check = canPlayDevCard(state, type);
+  if (!check.ok) return check;
+
+  if (type === 'yearOfPlenty' &&
+      !(options.resources && options.resources.length === 2 &&
+        options.resources.every(resource => RESOURCE_TYPES.includes(resource)))) {
+    return reject('Pick two resources to take from the bank');
+  }
+  if (type === 'monopoly' && !RESOURCE_TYPES.includes(options.resource)) {
+    return reject('Pick a resource to monopolize');
+  }
+
+  const next = cloneState(state);
+  const player = next.players[next.currentPlayer];
+  const cardIndex = player.devCards.findIndex(card => card.type === type && card.boughtTurn < next.turnNumber);
+  player.devCards.splice(cardIndex, 1);
+  next.devCardPlayed = true;
+
+  switch (type) {
+    case 'knight':
+      player.knightsPlayed++;
+      next.robberReturnStep = next.turnStep;
+      next.turnStep = 'robber';
+      break;
+
+    case 'roadBuilding':
+      next.freeRoads = 2;
+      break;
+
+    case 'yearOfPlenty':
+      options.resources.forEach(resource => player.resources[resource]++);
+      break;
+
+    case 'monopoly':
+      next.players.forEach((other, index) => {
+        if (index === next.currentPlayer) return;
+        player.resources[options.resource] += other.resources[options.resource];
+        other.resources[options.resource] = 0;
+      });
+      break;
+  }
+
+  return acceptScored(next);
+}
+
+export function rollDice(state, random = null) {
+  if (state.phase !== 'main') {
+    return reject('Dice are only rolled once setup is over');
+  }
+  if (state.turnStep !== 'roll') {
+    return reject('The dice have already been rolled this turn');
+  }
+
+  const next = cloneState(state);
+  const roll = random || stateRandom(next);
+  const die1 = Math.floor(roll() * 6) + 1;
+  const die2 = Math.floor(roll() * 6) + 1;
+  next.dice = [die1, die2];
+  next.goldPicks = {};
+  next.eruptions = [];
+  if (die1 + die2 === 7) {
+    next.production = [];
+    startRobber(next);
+    return accept(next);
+  }
+
+  next.production = distributeResources(next, die1 + die2);
+  next.turnStep = Object.keys(next.goldPicks).length > 0 ? 'gold' : 'trade';
+  if (next.pentagonRule === 'volcano') {
+    next.eruptions = eruptVolcanoes(next, die1 + die2, roll);
+    // Lost buildings can hand over Longest Road
+    return acceptScored(next);
+  }
+  return accept(next);
+}
+
+// Choose the resources paid out by gold fields. cards is a { resource: amount }
+// selection that must add up to exactly the number of picks owed.
+export function pickGold(state, player, cards) {
+  if (!isPlayer(state, player)) {
+    return reject(`${player} is not a player of this game`);
+  }
+  const owed = state.goldPicks[player];
+  if (state.phase !== 'main' || state.turnStep !== 'gold' || !owed) {
+    return reject(`${state.players[player].name} has no gold to spend`);
+  }
+
+  const total = Object.values(cards).reduce((sum, amount) => sum + amount, 0);
+  if (total !== owed) {
+    return reject(`Pick exactly ${owed} resources`);
+  }
+  const invalid = Object.entries(cards).some(([resource, amount]) =>
+    !RESOURCE_TYPES.includes(resource) || !Number.isInteger(amount) || amount < 0);
+  if (invalid) {
+    return reject('Gold only buys the five resources');
+  }
+
+  const next = cloneState(state);
+  gainCards(next.players[player], cards);
+  delete next.goldPicks[player];
+  if (Object.keys(next.goldPicks).length === 0) {
+    next.turnStep = 'trade';
+  }
+  return accept(next);
+}
+
+// Discard cards after a 7. cards is a { resource: amount } selection that
+// must add up to exactly the number of cards the player owes.
+export function discard(state, player, cards) {
+  if (!isPlayer(state, player)) {
+    return reject(`${player} is not a player of this game`);
+  }
+  const owed = state.discards[player];
+  if (state.phase !== 'main' || state.turnStep !== 'discard' || !owed) {
+    return reject(`${state.players[player].name} has nothing to discard`);
+  }
+
+  const total = Object.values(cards).reduce((sum, amount) => sum + amount, 0);
+  if (total !== owed) {
+    return reject(`Discard exactly ${owed} cards`);
+  }
+  const invalid = Object.entries(cards).some(([resource, amount]) =>
+    !RESOURCE_TYPES.includes(resource) || !Number.isInteger(amount) || amount < 0 ||
+    amount > state.players[player].resources[resource]);
+  if (invalid) {
+    return reject('You can only discard cards you hold');
+  }
+
+  const next = cloneState(state);
+  payCost(next.players[player], cards);
+  delete next.discards[player];
+  if (Object.keys(next.discards).length === 0) {
+    next.turnStep = 'robber';
+  }
+  return accept(next);
+}
+
+// Move the robber to a tile. Also places the starting robber on a desert
+// when the players chose to pick it during setup.
+export function moveRobber(state, tileIndex, random = null) {
+  if (!isBoardTile(state, tileIndex)) {
+    return reject(`${tileIndex} is not a tile of the board`);
+  }
+  const tile = state.tiles[tileIndex];
+
+  if (state.phase === 'setup') {
+    if (state.setup.step !== 'robber') {
+      return reject(`Setup: place a ${state.setup.step}`);
+    }
+    if (tile.resource !== 'desert') {
+      return reject('The robber starts on a desert');
+    }
+    const next = cloneState(state);
+    next.robber = tileIndex;
+    next.setup.step = 'settlement';
+    return accept(next);
+  }
+
+  if (state.phase !== 'main' || state.turnStep !== 'robber') {
+    return reject('The robber can only be moved after a 7 or a knight');
+  }
+  if (tileIndex === state.robber) {
+    return reject('The robber has to move to a different tile');
+  }
+
+  const next = cloneState(state);
+  next.robber = tileIndex;
+
+  // Opponents with a building on the tile and cards to lose
+  const victims = new Set();
+  next.topology.tileVertices[tileIndex].forEach(vertex => {
+    const owner = buildingOwner(next, vertex);
+    if (owner !== undefined && owner !== next.currentPlayer && handSize(next.players[owner]) > 0) {
+      victims.add(owner);
+    }
+  });
+  next.robberVictims = [...victims];
+
+  if (next.robberVictims.length === 1) {
+    takeRandomCard(next, next.robberVictims[0], random || stateRandom(next));
+  } else if (next.robberVictims.length > 1) {
+    next.turnStep = 'steal';
+    return accept(next);
+  }
+
+  finishRobber(next);
+  return accept(next);
+}
+
+export function steal(state, victim, random = null) {
+  if (state.phase !== 'main' || state.turnStep !== 'steal') {
+    return reject('There is nobody to steal from right now');
+  }
+  if (!isPlayer(state, victim)) {
+    return reject(`${victim} is not a player of this game`);
+  }
+  if (!state.robberVictims.includes(victim)) {
+    return reject(`You cannot steal from ${state.players[victim].name}`);
+  }
+
+  const next = cloneState(state);
+  takeRandomCard(next, victim, random || stateRandom(next));
+  finishRobber(next);
+  return accept(next);
+}
+
+// Trading
+
+// Ratio the player pays the bank for one card when giving this resource:
+// the best harbor they have a settlement or city on, else 4:1
+export function tradeRatio(state, player, resource) {
+  return state.harbors
+    .filter(harbor => harbor.type === 'generic' || harbor.type === resource)
+    .filter(harbor => harbor.vertices.some(vertex => buildingOwner(state, vertex) === player))
+    .reduce((best, harbor) => Math.min(best, harbor.ratio), BANK_TRADE_RATIO);
+}
+
+// Bank trades are allowed at any point of your turn after rolling
+export function bankTrade(state, give, get) {
+  if (state.phase !== 'main' || !['trade', 'build'].includes(state.turnStep)) {
+    return reject('Bank trades happen on your turn after rolling');
+  }
+  if (!RESOURCE_TYPES.includes(give) || !RESOURCE_TYPES.includes(get) || give === get) {
+    return reject('Pick two different resources');
+  }
+
+  const ratio = tradeRatio(state, state.currentPlayer, give);
+  const check = checkCost(state.players[state.currentPlayer], { [give]: ratio });
+  if (!check.ok) return check;
+
+  const next = cloneState(state);
+  const player = next.players[next.currentPlayer];
+  player.resources[give] -= ratio;
+  player.resources[get] += 1;
+  next.tradeLog.push({ turn: next.turnNumber, from: next.currentPlayer, to: 'bank', give: { [give]: ratio }, get: { [get]: 1 } });
+  return accept(next);
+}
+
+// Offer some of your cards (give) for some of theirs (get) to the listed opponents
+export function proposeTrade(state, { to, give, get }) {
+  if (state.phase !== 'main' || state.turnStep !== 'trade') {
+    return reject('Offers can only be made during your trade step');
+  }
+  const check = checkTradeSides(give, get);
+  if (!check.ok) return check;
+
+  const opponents = [...new Set(Array.isArray(to) ? to : [])]
+    .filter(player => isPlayer(state, player) && player !== state.currentPlayer);
+  if (opponents.length === 0) {
+    return reject('Pick at least one player to trade with');
+  }
+  const owned = checkCost(state.players[state.currentPlayer], give);
+  if (!owned.ok) return owned;
+
+  const next = cloneState(state);
+  next.tradeOffer = {
+    from: next.currentPlayer,
+    to: opponents,
+    give: { ...give },
+    get: { ...get },
+    responses: Object.fromEntries(opponents.map(player => [player, 'pending'])),
+    counters: {}
+  };
+  return accept(next);
+}
+
+// An opponent's answer: 'accept' executes the trade, 'reject' declines it and
+// 'counter' proposes different terms (give/get from the responder's side)
+export function respondToTrade(state, player, response, counter = null) {
+  const offer = state.tradeOffer;
+  if (!offer || !offer.to.includes(player)) {
+    return reject('There is no offer for this player');
+  }
+
+  if (response === 'accept') {
+    return executeTrade(state, offer.from, player, offer.give, offer.get);
+  }
+
+  const next = cloneState(state);
+  if (response === 'reject') {
+    next.tradeOffer.responses[player] = 'rejected';
+    delete next.tradeOffer.counters[player];
+    return accept(next);
+  }
+  if (response === 'counter') {
+    const check = checkTradeSides(counter && counter.give, counter && counter.get);
+    if (!check.ok) return check;
+    next.tradeOffer.responses[player] = 'countered';
+    next.tradeOffer.counters[player] = { give: { ...counter.give }, get: { ...counter.get } };
+    return accept(next);
+  }
+  return reject(`Unknown response ${response}`);
+}
+
+// The offering player takes an opponent up on their counter-offer
+export function acceptCounter(state, player) {
+  const offer = state.tradeOffer;
+  const counter = offer && offer.counters[player];
+  if (!counter) {
+    return reject('There is no counter-offer from this player');
+  }
+  return executeTrade(state, offer.from, player, counter.get, counter.give);
+}
+
+export function cancelTrade(state) {
+  if (!state.tradeOffer) {
+    return reject('There is no open offer');
+  }
+
+  const next = cloneState(state);
+  next.tradeOffer = null;
+  return accept(next);
+}
+
+// Swap cards between two players in one step: either both sides have the
+// cards and everything moves, or nothing does
+function executeTrade(state, from, to, give, get) {
+  if (state.phase !== 'main' || state.turnStep !== 'trade') {
+    return reject('Trades can only happen during the trade step');
+  }
+  const fromCheck = checkCost(state.players[from], give);
+  if (!fromCheck.ok) return reject(`${state.players[from].name}: ${fromCheck.reason}`);
+  const toCheck = checkCost(state.players[to], get);
+  if (!toCheck.ok) return reject(`${state.players[to].name}: ${toCheck.reason}`);
+
+  const next = cloneState(state);
+  payCost(next.players[from], give);
+  payCost(next.players[to], get);
+  gainCards(next.players[from], get);
+  gainCards(next.players[to], give);
+  next.tradeOffer = null;
+  next.tradeLog.push({ turn: next.turnNumber, from, to, give: { ...give }, get: { ...get } });
+  return accept(next);
+}
+
+function checkTradeSides(give, get) {
+  const valid = side => side && Object.entries(side).every(([resource, amount]) =>
+    RESOURCE_TYPES.includes(resource) && Number.isInteger(amount) && amount >= 0);
+  if (!valid(give) || !valid(get)) {
+    return reject('Trades are made of resource cards');
+  }
+  const total = side => Object.values(side).reduce((sum, amount) => sum + amount, 0);
+  if (total(give) === 0 || total(get) === 0) {
+    return reject('Both sides of a trade need at least one card');
+  }
+  return { ok: true };
+}
+
+// Done trading; only building is left this turn
+export function finishTrading(state) {
+  if (state.phase !== 'main' || state.turnStep !== 'trade') {
+    return reject('You can only finish trading during the trade step');
+  }
+
+  const next = cloneState(state);
+  startBuilding(next);
+  return accept(next);
+}
+
+export function endTurn(state) {
+  if (state.phase === 'end') {
+    return reject('The game is over');
+  }
+  if (state.phase !== 'main') {
+    return reject('Finish placing your setup pieces first');
+  }
+  if (state.turnStep === 'roll') {
+    return reject('Roll the dice before ending your turn');
+  }
+  if (state.turnStep === 'gold') {
+    return reject('Pick the gold field resources before ending your turn');
+  }
+  if (!['trade', 'build'].includes(state.turnStep)) {
+    return reject('Deal with the robber before ending your turn');
+  }
+
+  const next = cloneState(state);
+  next.currentPlayer = (next.currentPlayer + 1) % next.players.length;
+  next.turnStep = 'roll';
+  next.dice = null;
+  next.production = [];
+  next.eruptions = [];
+  next.turnNumber++;
+  next.devCardPlayed = false;
+  next.freeRoads = 0;
+  next.tradeOffer = null;
+  return accept(next);
+}
+
+// Pay settlements 1 and cities 2 of each adjacent tile showing the rolled number.
+// Mutates the given (already cloned) state and returns the payouts made.
+function distributeResources(state, diceTotal) {
+  const payouts = [];
+  state.tiles
+    .filter(tile => tile.number === diceTotal)
+    .forEach(tile => {
+      state.topology.tileVertices[tile.index].forEach(vertex => {
+        const settlementOwner = state.buildings.settlements[vertex];
+        const cityOwner = state.buildings.cities[vertex];
+        const owner = settlementOwner !== undefined ? settlementOwner : cityOwner;
+        if (tile.index === state.robber) return;
+        if (owner === undefined) return;
+
+        const doubled = state.pentagonRule === 'double' && tile.type === 'pentagon';
+        const amount = (settlementOwner !== undefined ? 1 : 2) * (doubled ? 2 : 1);
+        if (tile.resource === 'gold') {
+          state.goldPicks[owner] = (state.goldPicks[owner] || 0) + amount;
+        } else {
+          state.players[owner].resources[tile.resource] += amount;
+        }
+        payouts.push({ tile: tile.index, player: owner, resource: tile.resource, amount });
+      });
+    });
+  return payouts;
+}
+
+// Each volcano whose number came up hits one of its corners at random. The
+// robber blocks a volcano's production, not its eruption. A player's last
+// settlement survives the hit, so eruptions never leave a player without a
+// building to produce from.
+function eruptVolcanoes(state, diceTotal, random) {
+  const { settlements, cities } = state.buildings;
+  return state.tiles
+    .filter(tile => tile.type === 'pentagon' && tile.number === diceTotal)
+    .map(tile => {
+      const corners = state.topology.tileVertices[tile.index];
+      const vertex = corners[Math.floor(random() * corners.length)];
+      if (settlements[vertex] !== undefined) {
+        const player = settlements[vertex];
+        if (Object.values(settlements).filter(owner => owner === player).length === 1) {
+          return { tile: tile.index, vertex, player, destroyed: null };
+        }
+        delete settlements[vertex];
+        return { tile: tile.index, vertex, player, destroyed: 'settlement' };
+      }
+      if (cities[vertex] !== undefined) {
+        const player = cities[vertex];
+        delete cities[vertex];
+        settlements[vertex] = player;
+        return { tile: tile.index, vertex, player, destroyed: 'city' };
+      }
+      return { tile: tile.index, vertex, player: null, destroyed: null };
+    });
+}
+
+// Scoring
+
+// Victory points of a player. Hidden victory point cards only count when
+// includeHidden is set - everyone else sees the public score.
+export function victoryPoints(state, player, { includeHidden = true } = {}) {
+  const count = owners => Object.values(owners).filter(owner => owner === player).length;
+  let points = count(state.buildings.settlements) + 2 * count(state.buildings.cities);
+  if (state.longestRoad && state.longestRoad.player === player) points += 2;
+  if (state.largestArmy && state.largestArmy.player === player) points += 2;
+  if (includeHidden) {
+    points += state.players[player].devCards.filter(card => card.type === 'victoryPoint').length;
+  }
+  return points;
+}
+
+// Longest trail of the player's roads that uses each road at most once.
+// An opponent's settlement or city breaks the trail at its vertex.
+export function longestRoadLength(state, player) {
+  const { edges, vertexEdges } = state.topology;
+  const roads = state.buildings.roads;
+  const blocked = vertex => {
+    const owner = buildingOwner(state, vertex);
+    return owner !== undefined && owner !== player;
+  };
+
+  const walk = (vertex, used) => {
+    let longest = used.size;
+    if (used.size > 0 && blocked(vertex)) return longest;
+
+    vertexEdges[vertex].forEach(id => {
+      if (roads[id] !== player || used.has(id)) return;
+      const [v1, v2] = edges[id].vertices;
+      used.add(id);
+      longest = Math.max(longest, walk(v1 === vertex ? v2 : v1, used));
+      used.delete(id);
+    });
+    return longest;
+  };
+
+  let best = 0;
+  Object.keys(roads)
+    .filter(id => roads[id] === player)
+    .forEach(id => edges[id].vertices.forEach(vertex => {
+      best = Math.max(best, walk(vertex, new Set()));
+    }));
+  return best;
+}
+
+// Re-award Longest Road and Largest Army. Holders keep a card on a tie; a
+// holder whose road got cut loses it to a single longest road, or to nobody
+// when the longest roads tie. Mutates the given (already cloned) state.
+function updateAwards(state) {
+  const lengths = state.players.map((player, index) => longestRoadLength(state, index));
+  const longest = Math.max(...lengths);
+  const holder = state.longestRoad && state.longestRoad.player;
+  if (longest < LONGEST_ROAD_MIN) {
+    state.longestRoad = null;
+  } else if (holder !== null && lengths[holder] === longest) {
+    state.longestRoad = { player: holder, length: longest };
+  } else {
+    const leaders = lengths
+      .map((length, index) => length === longest ? index : -1)
+      .filter(index => index !== -1);
+    state.longestRoad = leaders.length === 1 ? { player: leaders[0], length: longest } : null;
+  }
+
+  state.players.forEach((player, index) => {
+    const size = player.knightsPlayed;
+    const current = state.largestArmy ? state.largestArmy.size : LARGEST_ARMY_MIN - 1;
+    if (size > current) {
+      state.largestArmy = { player: index, size };
+    }
+  });
+}
+
+// Only the player whose turn it is can win
+function checkWinner(state) {
+  if (state.phase === 'main' &&
+      victoryPoints(state, state.currentPlayer) >= state.targetScore) {
+    state.phase = 'end';
+    state.winner = state.currentPlayer;
+  }
+}
+
+// Helpers
+
+// Steps from one tile to every other tile across shared edges
+function tileDistances(topology, start) {
+  const distances = Array(topology.tileCount).fill(Infinity);
+  distances[start] = 0;
+  const queue = [start];
+  while (queue.length > 0) {
+    const tile = queue.shift();
+    topology.tileNeighbors[tile].forEach(neighbor => {
+      if (distances[neighbor] === Infinity) {
+        distances[neighbor] = distances[tile] + 1;
+        queue.push(neighbor);
+      }
+    });
+  }
+  return distances;
+}
+
+export function shuffle(array, random = Math.random) {
+  let currentIndex = array.length, randomIndex;
+
+  // While there remain elements to shuffle
+  while (currentIndex !== 0) {
+    // Pick a remaining element
+    randomIndex = Math.floor(random() * currentIndex);
+    currentIndex--;
+
+    // And swap it with the current element
+    [array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
+  }
+
+  return array;
+}
+
+export function handSize(player) {
+  // Hands hidden by playerView only keep their size
+  if (!player.resources) return player.cardCount;
+  return Object.values(player.resources).reduce((sum, amount) => sum + amount, 0);
+}
+
+// The state as one player may see it: other players' hands only as card
+// counts, their development cards and the deck face down, and neither seed
+// nor generator state to predict the dice with. A viewer of null sees no
+// hand at all. Once the game is over everything is revealed.
+export function playerView(state, viewer) {
+  const view = cloneState(state);
+  if (state.phase === 'end') return view;
+
+  view.seed = null;
+  view.rngState = null;
+  view.devDeck = view.devDeck.map(() => 'hidden');
+  view.players.forEach((player, index) => {
+    if (index === viewer) return;
+    player.cardCount = handSize(player);
+    player.resources = null;
+    player.devCards = player.devCards.map(({ boughtTurn }) => ({ type: 'hidden', boughtTurn }));
+  });
+  return view;
+}
+
+// After a 7: everyone over the limit discards half (rounded down) before the
+// current player moves the robber. Mutates the given (already cloned) state.
+function startRobber(state) {
+  state.discards = {};
+  state.players.forEach((player, index) => {
+    const cards = handSize(player);
+    if (cards > DISCARD_LIMIT) {
+      state.discards[index] = Math.floor(cards / 2);
+    }
+  });
+  state.turnStep = Object.keys(state.discards).length > 0 ? 'discard' : 'robber';
+  state.robberReturnStep = 'trade';
+}
+
+// Resume the turn where the 7 or the knight interrupted it
+function finishRobber(state) {
+  state.robberVictims = [];
+  state.turnStep = state.robberReturnStep;
+}
+
+// Random function drawing from (and advancing) the state's seeded generator.
+// Only use it on an already cloned state.
+function stateRandom(state) {
+  return () => {
+    const { value, next } = stepRandom(state.rngState);
+    state.rngState = next;
+    return value;
+  };
+}
+
+function takeRandomCard(state, victim, random) {
+  const hand = RESOURCE_TYPES.flatMap(resource =>
+    Array(state.players[victim].resources[resource]).fill(resource));
+  if (hand.length === 0) return;
+
+  const resource = hand[Math.floor(random() * hand.length)];
+  state.players[victim].resources[resource]--;
+  state.players[state.currentPlayer].resources[resource]++;
+}
+
+function isPlayer(state, player) {
+  return Number.isInteger(player) &&
+    player >= 0 && player < state.players.length;
+}
+
+function isBoardTile(state, tileIndex) {
+  return Number.isInteger(tileIndex) &&
+    tileIndex >= 0 && tileIndex < state.tiles.length;
+}
+
+function isBoardVertex(state, vertexIndex) {
+  return Number.isInteger(vertexIndex) &&
+    vertexIndex >= 0 && vertexIndex < state.topology.vertexCount;
+}
+
+// Accept "7,3" as well as "3,7"; the state only ever stores the canonical ID
+function canonicalEdge(edgeKey) {
+  if (typeof edgeKey !== 'string') return null;
+  const [v1, v2] = edgeKey.split(',').map(Number);
+  return edgeId(v1, v2);
+}
+
+// Owner of the settlement or city on a vertex, or undefined when empty
+export function buildingOwner(state, vertexIndex) {
+  const settlementOwner = state.buildings.settlements[vertexIndex];
+  return settlementOwner !== undefined ? settlementOwner : state.buildings.cities[vertexIndex];
+}
+
+// Move to the next setup placement once a setup road is down. Mutates the
+// given (already cloned) state; the last setup road starts the main game.
+function advanceSetup(state) {
+  state.setup.index++;
+  if (state.setup.index >= state.setup.order.length) {
+    state.phase = 'main';
+    state.setup = null;
+    state.currentPlayer = 0;
+    state.turnStep = 'roll';
+    return;
+  }
+
+  state.currentPlayer = state.setup.order[state.setup.index];
+  state.setup.step = 'settlement';
+  state.setup.settlement = null;
+}
+
+// Building happens on your own turn, after rolling. During setup only the
+// piece the snake draft expects next may be placed.
+function checkBuildTurn(state, player, piece) {
+  if (state.phase === 'end') {
+    return reject('The game is over');
+  }
+  if (player !== state.currentPlayer) {
+    return reject(`It is ${state.players[state.currentPlayer].name}'s turn`);
+  }
+  if (state.phase === 'setup') {
+    return piece === state.setup.step ? { ok: true } : reject(`Setup: place a ${state.setup.step}`);
+  }
+  if (!['trade', 'build'].includes(state.turnStep)) {
+    return reject(waitingReason(state));
+  }
+  return { ok: true };
+}
+
+// Why the current player cannot act yet
+function waitingReason(state) {
+  if (state.turnStep === 'roll') return 'Roll the dice first';
+  if (state.turnStep === 'gold') return 'Pick the gold field resources first';
+  return 'Deal with the robber first';
+}
+
+function checkCost(player, cost) {
+  // A playerView only shows the viewer's own hand
+  if (!player.resources) {
+    return reject(`${player.name}'s cards are hidden`);
+  }
+  const missing = Object.entries(cost)
+    .filter(([resource, amount]) => player.resources[resource] < amount)
+    .map(([resource, amount]) => `${amount - player.resources[resource]} ${resource}`);
+  if (missing.length > 0) {
+    return reject(`Not enough resources (missing ${missing.join(', ')})`);
+  }
+  return { ok: true };
+}
+
+// Building ends the trade step, and with it any open offer
+function startBuilding(state) {
+  state.turnStep = 'build';
+  state.tradeOffer = null;
+}
+
+function payCost(player, cost) {
+  Object.entries(cost).forEach(([resource, amount]) => {
+    player.resources[resource] -= amount;
+  });
+}
+
+function gainCards(player, cards) {
+  Object.entries(cards).forEach(([resource, amount]) => {
+    player.resources[resource] += amount;
+  });
+}
+
+// Deep copy everything except the frozen topology
+function cloneState(state) {
+  const { topology, ...rest } = state;
+  return { topology, ...structuredClone(rest) };
+}
+
+// Accept a state after an action that can change the score
+function acceptScored(state) {
+  updateAwards(state);
+  checkWinner(state);
+  return accept(state);
+}
+
+function accept(state) {
+  return { ok: true, state };
+}
+
+function reject(reason) {
+  return { ok: false, reason };
+}
@@ -0,0 +1,865 @@
+// Spherical Catan - Rules Engine Tests
+//
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as rules from './catan-engine.js';
+import { buildTopology, edgeId } from './board-topology.js';
+import { BOARD_SIZES, buildGoldbergBoard } from './board-geometry.js';
+import { classicBoard, uniformLayout } from './board-fixtures.js';
+
+const PLENTY = { wood: 9, brick: 9, wheat: 9, sheep: 9, ore: 9 };
+const PLAYERS = [
+  { name: 'Ann', color: 0, resources: PLENTY },
+  { name: 'Bo', color: 0, resources: PLENTY },
+  { name: 'Cy', color: 0, resources: PLENTY }
+];
+
+// The last tile, on the far side from vertex 0, is a desert for the robber
+const DESERT = 18;
+
+function setupGame(players = PLAYERS) {
+  const { faces } = classicBoard();
+  const layout = uniformLayout(faces.length);
+  layout[DESERT] = { resource: 'desert', number: null };
+  return rules.createGameState({ faces, layout, players });
+}
+
+// A game past setup, in Ann's build step, with the given buildings
+function newGame(buildings = {}, players = PLAYERS) {
+  return {
+    ...setupGame(players),
+    phase: 'main',
+    turnStep: 'build',
+    setup: null,
+    buildings: { settlements: {}, cities: {}, roads: {}, ...buildings }
+  };
+}
+
+function withHands(...hands) {
+  return PLAYERS.map((player, index) => ({ ...player, resources: hands[index] }));
+}
+
+// Give Ann development cards bought on an earlier turn
+function withDevCards(state, ...types) {
+  const players = [...state.players];
+  players[0] = { ...players[0], devCards: types.map(type => ({ type, boughtTurn: -1 })) };
+  return { ...state, players };
+}
+
+function as(state, player) {
+  return { ...state, currentPlayer: player };
+}
+
+// A path of vertices a - b - c - d along the board's edges
+const [a, b, c, d] = (() => {
+  const { vertexNeighbors } = setupGame().topology;
+  const path = [0, vertexNeighbors[0][0]];
+  while (path.length < 4) {
+    path.push(vertexNeighbors[path.at(-1)].find(v => v !== path.at(-2)));
+  }
+  return path;
+})();
+
+// A trail of `count` vertices from `start`, never touching `avoid`
+function trail(start, count, avoid = []) {
+  const { vertexNeighbors } = setupGame().topology;
+  const path = [start];
+  while (path.length < count) {
+    path.push(vertexNeighbors[path.at(-1)].find(v => !path.includes(v) && !avoid.includes(v)));
+  }
+  return path;
+}
+
+function roadsAlong(path, player) {
+  return Object.fromEntries(path.slice(1).map((v, i) => [edgeId(path[i], v), player]));
+}
+
+// Dice showing the given faces
+function dice(die1, die2) {
+  const values = [(die1 - 0.5) / 6, (die2 - 0.5) / 6];
+  return () => values.shift();
+}
+
+test('commands return a new state and leave the input alone', () => {
+  const state = newGame({ settlements: { [a]: 0 } });
+  const before = structuredClone(state);
+  const result = rules.buildRoad(state, edgeId(a, b));
+
+  assert.equal(result.ok, true);
+  assert.equal(result.state.buildings.roads[edgeId(a, b)], 0);
+  assert.deepEqual(state, before);
+});
+
+test('building is rejected off the board and on taken spots', () => {
+  const state = newGame({ settlements: { [a]: 0 }, roads: { [edgeId(a, b)]: 0 } });
+
+  assert.equal(rules.buildSettlement(state, 999).ok, false);
+  assert.equal(rules.buildSettlement(state, a).reason, 'This spot is already taken');
+  assert.equal(rules.buildRoad(state, `${a},999`).ok, false);
+  assert.equal(rules.buildRoad(state, edgeId(a, b)).reason, 'There is already a road here');
+  assert.equal(rules.upgradeToCity(state, b).ok, false);
+});
+
+test('roads are stored under their canonical edge ID', () => {
+  const state = newGame({ settlements: { [a]: 0 } });
+  const next = rules.buildRoad(state, `${Math.max(a, b)},${Math.min(a, b)}`).state;
+
+  assert.deepEqual(next.buildings.roads, { [edgeId(a, b)]: 0 });
+});
+
+test('settlements keep their distance from every other building', () => {
+  const state = as(newGame({ settlements: { [a]: 0 }, roads: { [edgeId(b, c)]: 1 } }), 1);
+
+  assert.equal(rules.buildSettlement(state, b).reason, 'Too close to another settlement or city');
+  assert.equal(rules.buildSettlement(state, c).ok, true);
+});
+
+test('settlements need one of your roads', () => {
+  const state = newGame({ settlements: { [a]: 0 }, roads: { [edgeId(a, b)]: 0 } });
+
+  assert.equal(rules.buildSettlement(state, c).reason, 'Settlements must connect to one of your roads');
+  const next = rules.buildRoad(state, edgeId(b, c)).state;
+  assert.equal(rules.buildSettlement(next, c).ok, true);
+  assert.equal(rules.buildSettlement(as(next, 1), c).ok, false);
+});
+
+test("roads connect to your own network and stop at an opponent's building", () => {
+  assert.equal(rules.buildRoad(newGame({ settlements: { [a]: 0 } }), edgeId(b, c)).reason,
+    'Roads must connect to your own road, settlement or city');
+
+  const state = newGame({
+    settlements: { [a]: 0, [c]: 1 },
+    roads: { [edgeId(a, b)]: 0, [edgeId(b, c)]: 0 }
+  });
+  assert.equal(rules.buildRoad(state, edgeId(c, d)).ok, false);
+  assert.equal(rules.buildRoad(as(state, 1), edgeId(c, d)).ok, true);
+});
+
+test('only your own settlements can become cities', () => {
+  const state = newGame({ settlements: { [a]: 0 } });
+
+  assert.equal(rules.upgradeToCity(as(state, 1), a).reason, 'You can only upgrade your own settlement');
+  assert.equal(rules.upgradeToCity(state, a).ok, true);
+});
+
+test('building pays its cost and needs the cards for it', () => {
+  const state = newGame({ settlements: { [a]: 0 }, roads: { [edgeId(a, b)]: 0, [edgeId(b, c)]: 0 } });
+  const next = rules.buildSettlement(state, c).state;
+
+  assert.deepEqual(next.players[0].resources, { wood: 8, brick: 8, wheat: 8, sheep: 8, ore: 9 });
+  const broke = { ...state, players: [{ ...state.players[0], resources: { ...PLENTY, wood: 0, sheep: 0 } }] };
+  assert.equal(rules.buildSettlement(broke, c).reason, 'Not enough resources (missing 1 wood, 1 sheep)');
+  assert.equal(rules.buildRoad(broke, edgeId(c, d)).reason, 'Not enough resources (missing 1 wood)');
+});
+
+test('a settlement spot is checked apart from the turn and the hand', () => {
+  const state = {
+    ...newGame({ settlements: { [a]: 0 }, roads: { [edgeId(a, b)]: 0, [edgeId(b, c)]: 0 } }),
+    turnStep: 'roll',
+    players: withHands({ ...PLENTY, wood: 0 })
+  };
+
+  assert.equal(rules.buildSettlement(state, c).ok, false);
+  assert.equal(rules.canPlaceSettlement(state, c).ok, true);
+  assert.equal(rules.canPlaceSettlement(state, c, 1).reason, 'Settlements must connect to one of your roads');
+  assert.equal(rules.canPlaceSettlement(state, b).reason, 'Too close to another settlement or city');
+});
+
+test('a city replaces its settlement', () => {
+  const next = rules.upgradeToCity(newGame({ settlements: { [a]: 0 } }), a).state;
+
+  assert.equal(next.buildings.settlements[a], undefined);
+  assert.equal(next.buildings.cities[a], 0);
+});
+
+test('a roll pays settlements one card and cities two', () => {
+  const state = { ...newGame({ settlements: { 0: 0 }, cities: { 20: 0 } }), turnStep: 'roll' };
+  const next = rules.rollDice(state, dice(3, 5)).state;
+
+  const tilesAt = vertex => next.topology.vertexTiles[vertex].length;
+  assert.deepEqual(next.dice, [3, 5]);
+  assert.equal(next.players[0].resources.wood - PLENTY.wood, tilesAt(0) + 2 * tilesAt(20));
+});
+
+test('a roll pays only the tiles showing its number and lists the payouts', () => {
+  const state = newGame();
+  const [v0, , v2] = state.topology.tileVertices[0];
+  const tiles = state.tiles.map(tile => tile.index === 0 ? { ...tile, resource: 'ore', number: 6 } : tile);
+  const game = { ...newGame({ settlements: { [v0]: 0 }, cities: { [v2]: 1 } }), tiles, turnStep: 'roll' };
+  const next = rules.rollDice(game, dice(2, 4)).state;
+
+  assert.deepEqual(next.production, [
+    { tile: 0, player: 0, resource: 'ore', amount: 1 },
+    { tile: 0, player: 1, resource: 'ore', amount: 2 }
+  ]);
+  assert.equal(next.players[1].resources.ore, PLENTY.ore + 2);
+  assert.equal(next.players[0].resources.wood, PLENTY.wood);
+  assert.deepEqual(rules.endTurn(next).state.production, []);
+});
+
+test('deserts never pay', () => {
+  const state = newGame({ settlements: { 0: 0 } });
+  const tiles = state.tiles.map(tile => ({ ...tile, resource: 'desert', number: null }));
+  const next = rules.rollDice({ ...state, tiles, turnStep: 'roll' }, dice(3, 5)).state;
+
+  assert.deepEqual(next.production, []);
+  assert.deepEqual(next.players[0].resources, PLENTY);
+});
+
+test('games need two to six players', () => {
+  assert.throws(() => setupGame(PLAYERS.slice(0, 1)), /2-6 players/);
+  assert.throws(() => setupGame([...PLAYERS, ...PLAYERS, ...PLAYERS]), /2-6 players/);
+  assert.equal(setupGame([...PLAYERS, ...PLAYERS]).players.length, 6);
+});
+
+test('a turn goes roll, trade, build and then passes on', () => {
+  let state = { ...newGame(), turnStep: 'roll' };
+  assert.equal(rules.endTurn(state).reason, 'Roll the dice before ending your turn');
+  assert.equal(rules.buildRoad(state, edgeId(a, b)).reason, 'Roll the dice first');
+
+  state = rules.rollDice(state, dice(1, 1)).state;
+  assert.equal(state.turnStep, 'trade');
+  assert.equal(rules.rollDice(state).ok, false);
+  state = rules.finishTrading(state).state;
+  assert.equal(state.turnStep, 'build');
+  assert.equal(rules.finishTrading(state).ok, false);
+
+  state = rules.endTurn(state).state;
+  assert.equal(state.currentPlayer, 1);
+  assert.equal(state.turnStep, 'roll');
+  assert.equal(state.dice, null);
+});
+
+test('players only build on their own turn, which ends their trading', () => {
+  const state = { ...newGame({ settlements: { [a]: 0 } }), turnStep: 'trade' };
+
+  assert.equal(rules.canBuildRoad(state, edgeId(a, b), 1).reason, "It is Ann's turn");
+  assert.equal(rules.buildRoad(state, edgeId(a, b)).state.turnStep, 'build');
+});
+
+test('setup runs as a snake draft and hands the first turn back to the first player', () => {
+  let state = setupGame();
+  const placing = [];
+
+  while (state.phase === 'setup') {
+    placing.push(state.currentPlayer);
+    assert.equal(rules.buildRoad(state, state.topology.edgeIds[0]).reason, 'Setup: place a settlement');
+    const vertex = [...Array(state.topology.vertexCount).keys()].find(v => rules.canBuildSettlement(state, v).ok);
+    state = rules.buildSettlement(state, vertex).state;
+    const edge = state.topology.vertexEdges[vertex][0];
+    state = rules.buildRoad(state, edge).state;
+  }
+
+  assert.deepEqual(placing, [0, 1, 2, 2, 1, 0]);
+  assert.equal(state.currentPlayer, 0);
+  assert.equal(state.turnStep, 'roll');
+});
+
+test('setup pieces are free and the road touches the new settlement', () => {
+  let state = rules.buildSettlement(setupGame(), a).state;
+
+  assert.deepEqual(state.players[0].resources, PLENTY);
+  assert.equal(rules.buildSettlement(state, c).reason, 'Setup: place a road');
+  assert.equal(rules.buildRoad(state, edgeId(b, c)).reason,
+    'Your setup road must touch the settlement you just placed');
+  state = rules.buildRoad(state, edgeId(a, b)).state;
+  assert.deepEqual(state.players[0].resources, PLENTY);
+});
+
+test('only the second setup settlement pays one card per adjacent tile', () => {
+  const first = rules.buildSettlement(setupGame(), a).state;
+  const second = rules.buildSettlement({ ...first, setup: { ...first.setup, step: 'settlement', index: 3 } }, c).state;
+
+  assert.equal(first.players[0].resources.wood, PLENTY.wood);
+  assert.equal(second.players[0].resources.wood, PLENTY.wood + second.topology.vertexTiles[c].length);
+});
+
+test('gold fields leave no card in the second setup settlement\'s payout', () => {
+  const state = setupGame();
+  const corner = state.topology.tileVertices[0][0];
+  const tiles = state.tiles.map(tile => tile.index === 0 ? { ...tile, type: 'pentagon', resource: 'gold' } : tile);
+  const next = rules.buildSettlement({ ...state, tiles, setup: { ...state.setup, index: 3 } }, corner).state;
+
+  assert.deepEqual(Object.keys(next.players[0].resources), rules.RESOURCE_TYPES);
+  assert.equal(next.players[0].resources.wood, PLENTY.wood + next.topology.vertexTiles[corner].length - 1);
+});
+
+test('the robber starts on a desert, or waits for the first player to choose one', () => {
+  const { faces } = classicBoard();
+  const layout = uniformLayout(faces.length);
+  layout[DESERT] = { resource: 'desert', number: null };
+  assert.equal(setupGame().robber, DESERT);
+
+  const choosing = rules.createGameState({ faces, layout, players: PLAYERS, robberStart: 'choose' });
+  assert.equal(choosing.robber, null);
+  assert.equal(rules.buildSettlement(choosing, a).reason, 'Setup: place a robber');
+  assert.equal(rules.moveRobber(choosing, 0).reason, 'The robber starts on a desert');
+  const next = rules.moveRobber(choosing, DESERT).state;
+  assert.equal(next.robber, DESERT);
+  assert.equal(next.setup.step, 'settlement');
+});
+
+test('the robber blocks production on its tile', () => {
+  const v0 = newGame().topology.tileVertices[0][0];
+  const state = { ...newGame({ settlements: { [v0]: 0 } }), robber: 0, turnStep: 'roll' };
+  const next = rules.rollDice(state, dice(3, 5)).state;
+
+  assert.ok(next.production.every(({ tile }) => tile !== 0));
+  assert.equal(next.players[0].resources.wood, PLENTY.wood + next.topology.vertexTiles[v0].length - 1);
+});
+
+test('the robber only moves to integer tile indices', () => {
+  const state = { ...newGame(), turnStep: 'robber', robber: 5 };
+
+  assert.equal(rules.moveRobber(state, '5').ok, false);
+  assert.equal(rules.moveRobber(state, '6').reason, '6 is not a tile of the board');
+  assert.equal(rules.moveRobber(state, 6.5).ok, false);
+  assert.equal(rules.moveRobber(state, 6).state.robber, 6);
+});
+
+test('a 7 makes everyone over seven cards discard half before the robber moves', () => {
+  const state = { ...newGame({}, withHands({ wood: 9 }, { wood: 7 }, { ore: 5, sheep: 4 })), turnStep: 'roll' };
+  let next = rules.rollDice(state, dice(3, 4)).state;
+
+  assert.deepEqual(next.production, []);
+  assert.deepEqual(next.discards, { 0: 4, 2: 4 });
+  assert.equal(next.turnStep, 'discard');
+  assert.equal(rules.moveRobber(next, 0).reason, 'The robber can only be moved after a 7 or a knight');
+  assert.equal(rules.discard(next, 1, { wood: 3 }).reason, 'Bo has nothing to discard');
+  assert.equal(rules.discard(next, 0, { wood: 3 }).reason, 'Discard exactly 4 cards');
+  assert.equal(rules.discard(next, 2, { sheep: 4, wood: 0, ore: 0, brick: 0 }).ok, true);
+  assert.equal(rules.discard(next, 2, { ore: 4 }).ok, true);
+  assert.equal(rules.discard(next, 2, { wood: 4 }).reason, 'You can only discard cards you hold');
+
+  next = rules.discard(next, 0, { wood: 4 }).state;
+  assert.equal(next.turnStep, 'discard');
+  next = rules.discard(next, 2, { ore: 2, sheep: 2 }).state;
+  assert.equal(next.turnStep, 'robber');
+  assert.deepEqual(next.players[2].resources, { ...rules.emptyResources(), ore: 3, sheep: 2 });
+});
+
+test('discards are whole cards', () => {
+  const state = { ...newGame({}, withHands({}, { wood: 4, brick: 4 }, {})), turnStep: 'discard', discards: { 1: 4 } };
+
+  assert.equal(rules.discard(state, 1, { wood: 3.5, brick: 0.5 }).ok, false);
+  assert.equal(rules.discard(state, 1, { wood: 2, brick: 2 }).state.players[1].resources.wood, 2);
+});
+
+test('the robber steals only from opponents with a building on its tile', () => {
+  const [v0, , v2, , v4] = newGame().topology.tileVertices[0];
+  const [w] = newGame().topology.tileVertices[DESERT];
+  const hands = withHands({ wood: 1 }, { ore: 1 }, { sheep: 1 });
+  const state = {
+    ...newGame({ settlements: { [v0]: 0, [v2]: 1, [w]: 2 }, cities: { [v4]: 1 } }, hands),
+    turnStep: 'robber',
+    robber: DESERT
+  };
+
+  assert.equal(rules.moveRobber(state, DESERT).reason, 'The robber has to move to a different tile');
+  const next = rules.moveRobber(state, 0).state;
+  assert.equal(next.robber, 0);
+  assert.equal(next.turnStep, 'trade');
+  assert.deepEqual(next.players[0].resources, { ...rules.emptyResources(), wood: 1, ore: 1 });
+  assert.equal(rules.handSize(next.players[1]), 0);
+  assert.equal(rules.steal(next, 2).reason, 'There is nobody to steal from right now');
+});
+
+test('with several victims the player picks one to steal from', () => {
+  const [v0, , v2, , v4] = newGame().topology.tileVertices[0];
+  const hands = withHands({ wood: 1 }, { ore: 1 }, { sheep: 1 });
+  const state = {
+    ...newGame({ settlements: { [v0]: 0, [v2]: 1, [v4]: 2 } }, hands),
+    turnStep: 'robber'
+  };
+  const next = rules.moveRobber(state, 0).state;
+
+  assert.equal(next.turnStep, 'steal');
+  assert.deepEqual(next.robberVictims, [1, 2]);
+  assert.equal(rules.endTurn(next).reason, 'Deal with the robber before ending your turn');
+  assert.equal(rules.steal(next, 0).reason, 'You cannot steal from Ann');
+  const stolen = rules.steal(next, 2).state;
+  assert.equal(stolen.players[0].resources.sheep, 1);
+  assert.equal(stolen.turnStep, 'trade');
+});
+
+test('an opponent with an empty hand has nothing to steal', () => {
+  const [v0, , v2] = newGame().topology.tileVertices[0];
+  const state = {
+    ...newGame({ settlements: { [v0]: 0, [v2]: 1 } }, withHands({ wood: 1 }, {}, {})),
+    turnStep: 'robber'
+  };
+  const next = rules.moveRobber(state, 0).state;
+
+  assert.deepEqual(next.robberVictims, []);
+  assert.equal(next.turnStep, 'trade');
+  assert.deepEqual(next.players[0].resources, state.players[0].resources);
+});
+
+test('answers for players that do not exist are rejected', () => {
+  const state = newGame();
+
+  [3, -1, '1', 0.5, undefined].forEach(player => {
+    assert.equal(rules.discard({ ...state, turnStep: 'discard', discards: { 0: 4 } }, player, {}).ok, false);
+    assert.equal(rules.pickGold({ ...state, turnStep: 'gold', goldPicks: { 0: 1 } }, player, {}).ok, false);
+    assert.equal(rules.steal({ ...state, turnStep: 'steal', robberVictims: [1, 2] }, player).ok, false);
+  });
+  assert.equal(rules.discard(state, 3, {}).reason, '3 is not a player of this game');
+});
+
+test('the development deck holds 25 cards on a 19-tile board', () => {
+  const deck = setupGame().devDeck;
+
+  assert.equal(deck.length, 25);
+  assert.equal(deck.filter(type => type === 'knight').length, 14);
+  assert.equal(rules.createDevDeck(38).length, 50);
+});
+
+test('a bought card costs ore, wheat and sheep and waits a turn before it can be played', () => {
+  const state = rules.buyDevCard({ ...newGame(), devDeck: ['knight', 'monopoly'] }).state;
+
+  assert.deepEqual(state.players[0].resources, { ...PLENTY, ore: 8, wheat: 8, sheep: 8 });
+  assert.deepEqual(state.devDeck, ['knight']);
+  assert.deepEqual(state.players[0].devCards, [{ type: 'monopoly', boughtTurn: 0 }]);
+  assert.equal(rules.canPlayDevCard(state, 'monopoly').reason, 'Cards cannot be played the turn they were bought');
+  assert.equal(rules.canPlayDevCard({ ...state, turnNumber: 1 }, 'monopoly').ok, true);
+  assert.equal(rules.buyDevCard({ ...state, devDeck: [] }).reason, 'The development card deck is empty');
+});
+
+test('one development card per turn, and victory points are never played', () => {
+  const state = withDevCards(newGame(), 'yearOfPlenty', 'yearOfPlenty', 'victoryPoint');
+  const next = rules.playDevCard(state, 'yearOfPlenty', { resources: ['ore', 'brick'] }).state;
+
+  assert.equal(rules.canPlayDevCard(next, 'yearOfPlenty').reason, 'You already played a development card this turn');
+  assert.equal(rules.canPlayDevCard(state, 'victoryPoint').reason, 'Victory point cards stay hidden in your hand');
+  assert.equal(rules.canPlayDevCard(state, 'monopoly').reason, 'You do not have that card');
+  assert.equal(rules.canPlayDevCard(state, 'yearOfPlenty', 1).ok, false);
+  assert.equal(rules.canPlayDevCard({ ...state, turnStep: 'roll' }, 'yearOfPlenty').reason, 'Roll the dice first');
+});
+
+test('a knight moves the robber and resumes the turn where it was played', () => {
+  const state = { ...withDevCards(newGame(), 'knight'), turnStep: 'roll' };
+  let next = rules.playDevCard(state, 'knight').state;
+
+  assert.equal(next.turnStep, 'robber');
+  assert.equal(next.players[0].knightsPlayed, 1);
+  assert.equal(next.players[0].devCards.length, 0);
+  next = rules.moveRobber(next, 0).state;
+  assert.equal(next.turnStep, 'roll');
+});
+
+test('Road Building places two free roads', () => {
+  const state = withDevCards(newGame({ settlements: { [a]: 0 } }), 'roadBuilding');
+  let next = rules.playDevCard(state, 'roadBuilding').state;
+  assert.equal(next.freeRoads, 2);
+
+  next = rules.buildRoad(next, edgeId(a, b)).state;
+  next = rules.buildRoad(next, edgeId(b, c)).state;
+  assert.equal(next.freeRoads, 0);
+  assert.deepEqual(next.players[0].resources, PLENTY);
+  next = rules.buildRoad(next, edgeId(c, d)).state;
+  assert.deepEqual(next.players[0].resources, { ...PLENTY, wood: 8, brick: 8 });
+});
+
+test('Year of Plenty takes two cards of your choice from the bank', () => {
+  const state = withDevCards(newGame(), 'yearOfPlenty');
+
+  assert.equal(rules.playDevCard(state, 'yearOfPlenty', { resources: ['ore'] }).reason,
+    'Pick two resources to take from the bank');
+  assert.equal(rules.playDevCard(state, 'yearOfPlenty', { resources: ['ore', 'gold'] }).ok, false);
+  const next = rules.playDevCard(state, 'yearOfPlenty', { resources: ['ore', 'ore'] }).state;
+  assert.equal(next.players[0].resources.ore, PLENTY.ore + 2);
+});
+
+test('Monopoly takes every card of one resource from the other players', () => {
+  const state = withDevCards(newGame({}, withHands({ ore: 1 }, { ore: 2, wood: 1 }, { ore: 3 })), 'monopoly');
+
+  assert.equal(rules.playDevCard(state, 'monopoly', { resource: 'gold' }).reason, 'Pick a resource to monopolize');
+  const next = rules.playDevCard(state, 'monopoly', { resource: 'ore' }).state;
+  assert.equal(next.players[0].resources.ore, 6);
+  assert.equal(next.players[1].resources.ore, 0);
+  assert.equal(next.players[1].resources.wood, 1);
+  assert.equal(next.players[2].resources.ore, 0);
+});
+
+test('the longest road is the longest trail, loops included', () => {
+  const ring = setupGame().topology.tileVertices[9];
+  const spur = trail(ring[0], 2, ring);
+  const state = newGame({ roads: { ...roadsAlong([...ring, ring[0]], 0), ...roadsAlong(spur, 0) } });
+
+  assert.equal(rules.longestRoadLength(state, 0), 7);
+  assert.equal(rules.longestRoadLength(state, 1), 0);
+});
+
+test("an opponent's building cuts a road", () => {
+  const path = trail(0, 7);
+  const state = newGame({ roads: roadsAlong(path, 0) });
+  assert.equal(rules.longestRoadLength(state, 0), 6);
+
+  const cut = newGame({ roads: roadsAlong(path, 0), settlements: { [path[3]]: 1 } });
+  assert.equal(rules.longestRoadLength(cut, 0), 3);
+  const own = newGame({ roads: roadsAlong(path, 0), settlements: { [path[3]]: 0 } });
+  assert.equal(rules.longestRoadLength(own, 0), 6);
+});
+
+test('Longest Road needs five roads', () => {
+  const ann = trail(0, 6);
+  let state = newGame({ settlements: { [ann[0]]: 0 }, roads: roadsAlong(ann.slice(0, 4), 0) });
+
+  state = rules.buildRoad(state, edgeId(ann[3], ann[4])).state;
+  assert.equal(state.longestRoad, null);
+  state = rules.buildRoad(state, edgeId(ann[4], ann[5])).state;
+  assert.deepEqual(state.longestRoad, { player: 0, length: 5 });
+  assert.equal(rules.victoryPoints(state, 0), 3);
+});
+
+test('Longest Road stays with its holder on a tie and moves on when the road is cut', () => {
+  const ann = trail(0, 6);
+  const bo = trail(52, 6, ann.flatMap(v => [v, ...setupGame().topology.vertexNeighbors[v]]));
+  const state = {
+    ...newGame({ roads: { ...roadsAlong(ann, 0), ...roadsAlong(bo, 1) } }),
+    longestRoad: { player: 0, length: 5 }
+  };
+
+  assert.deepEqual(rules.buyDevCard(state).state.longestRoad, { player: 0, length: 5 });
+  const cut = { ...state, buildings: { ...state.buildings, settlements: { [ann[2]]: 2 } } };
+  assert.deepEqual(rules.buyDevCard(cut).state.longestRoad, { player: 1, length: 5 });
+});
+
+test('Largest Army goes to the first player with three knights, and only more knights take it', () => {
+  const state = withDevCards(newGame(), 'knight');
+  const players = state.players.map((player, index) => ({ ...player, knightsPlayed: index === 0 ? 2 : 0 }));
+  let next = rules.playDevCard({ ...state, players }, 'knight').state;
+  assert.deepEqual(next.largestArmy, { player: 0, size: 3 });
+  assert.equal(rules.victoryPoints(next, 0), 2);
+
+  const tied = next.players.map((player, index) => index === 1 ? { ...player, knightsPlayed: 3 } : player);
+  assert.deepEqual(rules.buyDevCard({ ...next, players: tied, turnStep: 'build' }).state.largestArmy,
+    { player: 0, size: 3 });
+});
+
+test('the current player wins on reaching the target score, counting hidden points', () => {
+  const state = {
+    ...withDevCards(newGame({
+      settlements: { [a]: 0 },
+      roads: { [edgeId(a, b)]: 0, [edgeId(b, c)]: 0 }
+    }), 'victoryPoint'),
+    targetScore: 3
+  };
+  assert.equal(rules.victoryPoints(state, 0, { includeHidden: false }), 1);
+  assert.equal(rules.victoryPoints(state, 0), 2);
+
+  const next = rules.buildSettlement(state, c).state;
+  assert.equal(next.phase, 'end');
+  assert.equal(next.winner, 0);
+  assert.equal(rules.buildRoad(next, edgeId(c, d)).reason, 'The game is over');
+});
+
+test('nobody wins on another player\'s turn', () => {
+  const state = { ...newGame({ settlements: { [a]: 1, [c]: 1 }, roads: { [edgeId(b, c)]: 0 } }), targetScore: 2 };
+  const next = rules.buyDevCard(state).state;
+
+  assert.equal(next.phase, 'main');
+  assert.equal(next.winner, null);
+});
+
+test('no turn can be ended once the game is over', () => {
+  const state = { ...newGame(), phase: 'end', winner: 0 };
+
+  assert.deepEqual(rules.endTurn(state), { ok: false, reason: 'The game is over' });
+});
+
+// Ann's trade step, with the given hands
+function tradeGame(...hands) {
+  return { ...newGame({}, withHands(...hands)), turnStep: 'trade' };
+}
+
+test('the bank trades four of a kind for one card', () => {
+  const state = tradeGame({ wood: 4 }, {}, {});
+  const next = rules.bankTrade(state, 'wood', 'ore').state;
+
+  assert.deepEqual(next.players[0].resources, { ...rules.emptyResources(), ore: 1 });
+  assert.deepEqual(next.tradeLog, [{ turn: 0, from: 0, to: 'bank', give: { wood: 4 }, get: { ore: 1 } }]);
+  assert.equal(rules.bankTrade(tradeGame({ wood: 3 }, {}, {}), 'wood', 'ore').reason,
+    'Not enough resources (missing 1 wood)');
+  assert.equal(rules.bankTrade(state, 'wood', 'wood').reason, 'Pick two different resources');
+  assert.equal(rules.bankTrade({ ...state, turnStep: 'roll' }, 'wood', 'ore').ok, false);
+});
+
+test('an accepted offer swaps both sides at once and closes the offer', () => {
+  let state = tradeGame({ wood: 2 }, { ore: 1 }, { ore: 1 });
+  state = rules.proposeTrade(state, { to: [1, 2], give: { wood: 2 }, get: { ore: 1 } }).state;
+  assert.deepEqual(state.tradeOffer.responses, { 1: 'pending', 2: 'pending' });
+
+  const next = rules.respondToTrade(state, 2, 'accept').state;
+  assert.deepEqual(next.players[0].resources, { ...rules.emptyResources(), ore: 1 });
+  assert.deepEqual(next.players[2].resources, { ...rules.emptyResources(), wood: 2 });
+  assert.deepEqual(next.players[1].resources, { ...rules.emptyResources(), ore: 1 });
+  assert.equal(next.tradeOffer, null);
+  assert.deepEqual(next.tradeLog, [{ turn: 0, from: 0, to: 2, give: { wood: 2 }, get: { ore: 1 } }]);
+});
+
+test('a trade nobody can pay for moves no cards at all', () => {
+  const state = rules.proposeTrade(tradeGame({ wood: 2 }, { ore: 1 }, {}),
+    { to: [1, 2], give: { wood: 2 }, get: { ore: 2 } }).state;
+
+  assert.equal(rules.respondToTrade(state, 1, 'accept').reason, 'Bo: Not enough resources (missing 1 ore)');
+  assert.equal(rules.respondToTrade(state, 2, 'accept').ok, false);
+  const short = tradeGame({ wood: 1 }, {}, {});
+  assert.equal(rules.proposeTrade(short, { to: [1], give: { wood: 2 }, get: { ore: 1 } }).reason,
+    'Not enough resources (missing 1 wood)');
+});
+
+test('declines and counter-offers keep the offer open', () => {
+  let state = rules.proposeTrade(tradeGame({ wood: 2, brick: 1 }, { ore: 1 }, { sheep: 1 }),
+    { to: [1, 2], give: { wood: 2 }, get: { ore: 1 } }).state;
+  state = rules.respondToTrade(state, 1, 'reject').state;
+  assert.equal(state.tradeOffer.responses[1], 'rejected');
+
+  assert.equal(rules.respondToTrade(state, 2, 'counter', { give: { sheep: 1 }, get: {} }).reason,
+    'Both sides of a trade need at least one card');
+  state = rules.respondToTrade(state, 2, 'counter', { give: { sheep: 1 }, get: { brick: 1 } }).state;
+  assert.equal(state.tradeOffer.responses[2], 'countered');
+  assert.equal(rules.acceptCounter(state, 1).reason, 'There is no counter-offer from this player');
+
+  const next = rules.acceptCounter(state, 2).state;
+  assert.deepEqual(next.players[0].resources, { ...rules.emptyResources(), wood: 2, sheep: 1 });
+  assert.deepEqual(next.players[2].resources, { ...rules.emptyResources(), brick: 1 });
+});
+
+test('offers need opponents and whole resource cards', () => {
+  const state = tradeGame({ wood: 2 }, { ore: 1 }, {});
+  const offer = (to, give, get) => rules.proposeTrade(state, { to, give, get }).reason;
+
+  assert.equal(offer([0], { wood: 1 }, { ore: 1 }), 'Pick at least one player to trade with');
+  assert.equal(offer([3, -1, '1', 1.5, 'length'], { wood: 1 }, { ore: 1 }), 'Pick at least one player to trade with');
+  assert.equal(offer(1, { wood: 1 }, { ore: 1 }), 'Pick at least one player to trade with');
+  assert.deepEqual(rules.proposeTrade(state, { to: [1, 'length', 1], give: { wood: 1 }, get: { ore: 1 } }).state.tradeOffer.to, [1]);
+  assert.equal(offer([1], { gold: 1 }, { ore: 1 }), 'Trades are made of resource cards');
+  assert.equal(offer([1], { wood: 0.5 }, { ore: 1 }), 'Trades are made of resource cards');
+  assert.equal(offer([1], {}, { ore: 1 }), 'Both sides of a trade need at least one card');
+  const building = { ...state, turnStep: 'build' };
+  assert.equal(rules.proposeTrade(building, { to: [1], give: { wood: 1 }, get: { ore: 1 } }).reason,
+    'Offers can only be made during your trade step');
+});
+
+test('building or ending the turn withdraws an open offer', () => {
+  const state = rules.proposeTrade(tradeGame({ wood: 2 }, { ore: 1 }, {}),
+    { to: [1], give: { wood: 1 }, get: { ore: 1 } }).state;
+
+  assert.equal(rules.finishTrading(state).state.tradeOffer, null);
+  assert.equal(rules.endTurn(state).state.tradeOffer, null);
+  assert.equal(rules.respondToTrade(rules.cancelTrade(state).state, 1, 'accept').reason,
+    'There is no offer for this player');
+});
+
+test('harbors sit on pentagon edges, one 2:1 harbor per resource and 3:1 for the rest', () => {
+  const { faces } = classicBoard();
+  const marked = faces.map((face, index) => index < 7 ? { ...face, type: 'pentagon' } : face);
+  const topology = setupGame().topology;
+  const harbors = rules.generateHarbors(marked, topology);
+
+  assert.equal(harbors.length, 7);
+  harbors.forEach(harbor => {
+    assert.ok(topology.tileEdges[harbor.tile].includes(harbor.edge));
+    assert.deepEqual(harbor.vertices, topology.edges[harbor.edge].vertices);
+  });
+  assert.deepEqual(harbors.filter(harbor => harbor.ratio === 2).map(harbor => harbor.type).sort(),
+    [...rules.RESOURCE_TYPES].sort());
+  assert.equal(harbors.filter(harbor => harbor.type === 'generic' && harbor.ratio === 3).length, 2);
+});
+
+test('bank trades use the best harbor the player has built on', () => {
+  const [t0, t1] = setupGame().topology.tileVertices;
+  const harbors = [
+    { tile: 0, edge: edgeId(t0[0], t0[1]), vertices: [t0[0], t0[1]], type: 'generic', ratio: 3 },
+    { tile: 1, edge: edgeId(t1[3], t1[4]), vertices: [t1[3], t1[4]], type: 'ore', ratio: 2 }
+  ];
+  const onGeneric = { ...newGame({ settlements: { [t0[1]]: 0 } }), harbors };
+  const onBoth = { ...newGame({ settlements: { [t0[1]]: 0 }, cities: { [t1[4]]: 0 } }), harbors };
+  const opponents = { ...newGame({ settlements: { [t0[1]]: 1 }, cities: { [t1[4]]: 2 } }), harbors };
+
+  assert.equal(rules.tradeRatio(opponents, 0, 'ore'), 4);
+  assert.equal(rules.tradeRatio(onGeneric, 0, 'ore'), 3);
+  assert.equal(rules.tradeRatio(onBoth, 0, 'ore'), 2);
+  assert.equal(rules.tradeRatio(onBoth, 0, 'wood'), 3);
+
+  const next = rules.bankTrade({ ...onBoth, turnStep: 'trade' }, 'ore', 'wood').state;
+  assert.equal(next.players[0].resources.ore, PLENTY.ore - 2);
+  assert.deepEqual(next.tradeLog[0].give, { ore: 2 });
+});
+
+test('a seed reproduces the board, the deck and every roll', () => {
+  const { faces } = classicBoard();
+  const marked = faces.map((face, index) => index < 7 ? { ...face, type: 'pentagon' } : face);
+  const play = () => {
+    const state = rules.createGameState({ faces: marked, layout: uniformLayout(19), players: PLAYERS, seed: 'same' });
+    let game = { ...state, phase: 'main', setup: null };
+    const rolls = [];
+    for (let turn = 0; turn < 5; turn++) {
+      game = rules.rollDice(game).state;
+      rolls.push(game.dice);
+      game = { ...game, turnStep: 'trade' };
+      game = rules.endTurn(game).state;
+    }
+    return { harbors: state.harbors, devDeck: state.devDeck, rolls };
+  };
+
+  assert.deepEqual(play(), play());
+});
+
+// Ann's roll, with tile 0 turned into a pentagon under the given rule and
+// buildings on two of its corners
+function pentagonGame(pentagonRule, resource, buildings) {
+  const state = newGame(buildings);
+  const tiles = state.tiles.map(tile => tile.index === 0 ? { ...tile, type: 'pentagon', resource, number: 6 } : tile);
+  return { ...state, tiles, pentagonRule, turnStep: 'roll' };
+}
+
+// Dice adding up to 6, then `after` for any further draws
+function roll6(...after) {
+  const values = [1.5 / 6, 3.5 / 6, ...after];
+  return () => values.shift();
+}
+
+test('the pentagon rule picks where gold fields and deserts go', () => {
+  const { faces } = buildGoldbergBoard(BOARD_SIZES.standard);
+  const topology = buildTopology(faces);
+  const pentagons = faces.map((face, index) => face.type === 'pentagon' ? index : -1).filter(index => index !== -1);
+
+  const gold = rules.pentagonReservations(faces, topology, 'gold');
+  assert.deepEqual(Object.keys(gold).map(Number), pentagons);
+  const layout = rules.generateLayout(faces.length, Math.random, gold);
+  pentagons.forEach(tile => assert.equal(layout[tile].resource, 'gold'));
+  assert.equal(layout.filter(tile => tile.resource === 'desert').length, 2);
+  assert.ok(layout.every(tile => (tile.resource === 'desert') === (tile.number === null)));
+
+  const poles = Object.keys(rules.pentagonReservations(faces, topology, 'poles')).map(Number);
+  assert.equal(poles.length, 2);
+  poles.forEach(tile => assert.ok(pentagons.includes(tile)));
+  // Opposite pentagons are far apart: no tile borders both
+  assert.ok(!topology.tileNeighbors[poles[0]].some(tile => topology.tileNeighbors[poles[1]].includes(tile)));
+  assert.deepEqual(rules.pentagonReservations(faces, topology, 'normal'), {});
+
+  assert.throws(() => rules.createGameState({ faces, layout, players: PLAYERS, pentagonRule: 'lava' }),
+    /Unknown pentagon rule "lava"/);
+});
+
+test('double pentagons pay settlements two cards and cities four', () => {
+  const [v0, , v2] = newGame().topology.tileVertices[0];
+  const state = pentagonGame('double', 'ore', { settlements: { [v0]: 0 }, cities: { [v2]: 1 } });
+  const next = rules.rollDice(state, roll6()).state;
+
+  assert.deepEqual(next.production, [
+    { tile: 0, player: 0, resource: 'ore', amount: 2 },
+    { tile: 0, player: 1, resource: 'ore', amount: 4 }
+  ]);
+  const normal = rules.rollDice({ ...state, pentagonRule: 'normal' }, roll6()).state;
+  assert.deepEqual(normal.production.map(({ amount }) => amount), [1, 2]);
+});
+
+test('gold fields let each producer pick their resources before the turn goes on', () => {
+  const [v0, , v2] = newGame().topology.tileVertices[0];
+  const state = pentagonGame('gold', 'gold', { settlements: { [v0]: 0 }, cities: { [v2]: 1 } });
+  let next = rules.rollDice(state, roll6()).state;
+
+  assert.deepEqual(next.goldPicks, { 0: 1, 1: 2 });
+  assert.equal(next.turnStep, 'gold');
+  assert.equal(rules.endTurn(next).reason, 'Pick the gold field resources before ending your turn');
+  assert.equal(rules.finishTrading(next).ok, false);
+  assert.equal(rules.pickGold(next, 1, { ore: 1 }).reason, 'Pick exactly 2 resources');
+  assert.equal(rules.pickGold(next, 1, { gold: 2 }).reason, 'Gold only buys the five resources');
+  assert.equal(rules.pickGold(next, 2, { ore: 1 }).reason, 'Cy has no gold to spend');
+
+  next = rules.pickGold(next, 1, { ore: 1, wheat: 1 }).state;
+  assert.equal(next.turnStep, 'gold');
+  next = rules.pickGold(next, 0, { brick: 1 }).state;
+  assert.equal(next.turnStep, 'trade');
+  assert.equal(next.players[1].resources.wheat, PLENTY.wheat + 1);
+  assert.equal(next.players[0].resources.brick, PLENTY.brick + 1);
+});
+
+test('gold buys whole cards', () => {
+  const state = { ...pentagonGame('gold', 'gold', {}), turnStep: 'gold', goldPicks: { 2: 2 } };
+
+  assert.equal(rules.pickGold(state, 2, { ore: 1.5, wheat: 0.5 }).ok, false);
+  assert.equal(rules.pickGold(state, 2, { ore: 1, wheat: 1 }).state.players[2].resources.ore, PLENTY.ore + 1);
+});
+
+// A vertex well away from tile 0
+function farFromTile0(topology) {
+  return topology.vertexTiles.findIndex(tiles =>
+    tiles.every(tile => tile !== 0 && !topology.tileNeighbors[0].includes(tile)));
+}
+
+test('a volcano destroys a settlement on the corner it hits and reduces a city', () => {
+  const { topology } = newGame();
+  const corners = topology.tileVertices[0];
+  const far = farFromTile0(topology);
+  const state = pentagonGame('volcano', 'ore', { settlements: { [corners[0]]: 0, [far]: 0 }, cities: { [corners[2]]: 1 } });
+
+  const hitSettlement = rules.rollDice(state, roll6(0.5 / 6)).state;
+  assert.deepEqual(hitSettlement.eruptions, [{ tile: 0, vertex: corners[0], player: 0, destroyed: 'settlement' }]);
+  assert.equal(hitSettlement.buildings.settlements[corners[0]], undefined);
+  assert.equal(hitSettlement.buildings.settlements[far], 0);
+
+  const hitCity = rules.rollDice(state, roll6(2.5 / 6)).state;
+  assert.deepEqual(hitCity.eruptions, [{ tile: 0, vertex: corners[2], player: 1, destroyed: 'city' }]);
+  assert.equal(hitCity.buildings.cities[corners[2]], undefined);
+  assert.equal(hitCity.buildings.settlements[corners[2]], 1);
+
+  const missed = rules.rollDice(state, roll6(4.5 / 6)).state;
+  assert.deepEqual(missed.eruptions, [{ tile: 0, vertex: corners[4], player: null, destroyed: null }]);
+});
+
+test("a volcano spares a player's last settlement", () => {
+  const corners = newGame().topology.tileVertices[0];
+  const state = pentagonGame('volcano', 'ore', { settlements: { [corners[0]]: 0 } });
+  const next = rules.rollDice(state, roll6(0.5 / 6)).state;
+
+  assert.deepEqual(next.eruptions, [{ tile: 0, vertex: corners[0], player: 0, destroyed: null }]);
+  assert.equal(next.buildings.settlements[corners[0]], 0);
+});
+
+test('the robber blocks a volcano\'s production but not its eruption', () => {
+  const { topology } = newGame();
+  const corners = topology.tileVertices[0];
+  const settlements = { [corners[0]]: 0, [farFromTile0(topology)]: 0 };
+  const state = { ...pentagonGame('volcano', 'ore', { settlements }), robber: 0 };
+  const next = rules.rollDice(state, roll6(0.5 / 6)).state;
+
+  assert.ok(next.production.every(({ tile }) => tile !== 0));
+  assert.equal(next.eruptions[0].destroyed, 'settlement');
+});
+
+test("a player's view hides the other hands, face-down cards and the dice seed", () => {
+  const state = withDevCards(newGame({}, withHands({ wood: 2 }, { ore: 3 }, {})), 'victoryPoint', 'knight');
+  const view = rules.playerView(as(state, 1), 1);
+
+  assert.equal(view.players[0].resources, null);
+  assert.equal(view.players[0].cardCount, 2);
+  assert.equal(rules.handSize(view.players[0]), 2);
+  assert.deepEqual(view.players[0].devCards, [{ type: 'hidden', boughtTurn: -1 }, { type: 'hidden', boughtTurn: -1 }]);
+  assert.equal(rules.victoryPoints(view, 0), rules.victoryPoints(state, 0, { includeHidden: false }));
+  assert.deepEqual(view.players[1].resources, state.players[1].resources);
+  assert.equal(view.seed, null);
+  assert.equal(view.rngState, null);
+  assert.ok(view.devDeck.every(card => card === 'hidden'));
+
+  const watcher = rules.playerView(state, null);
+  assert.ok(watcher.players.every(player => player.resources === null));
+  const over = rules.playerView({ ...state, phase: 'end' }, 1);
+  assert.deepEqual(over.players[0], state.players[0]);
+});
+
+test('building checks on a view tell a hidden hand apart from a missing card', () => {
+  const state = newGame({ settlements: { [a]: 0 }, roads: { [edgeId(a, b)]: 0, [edgeId(b, c)]: 0 } });
+  const view = rules.playerView(state, 1);
+
+  assert.equal(rules.canPlaceSettlement(view, c).ok, true);
+  assert.equal(rules.canBuildSettlement(view, c).reason, "Ann's cards are hidden");
+  assert.equal(rules.canBuildRoad(view, edgeId(c, d)).reason, "Ann's cards are hidden");
+  assert.equal(rules.canUpgradeToCity(view, a).reason, "Ann's cards are hidden");
+  assert.equal(rules.canBuildSettlement(rules.playerView(state, 0), c).ok, true);
+});
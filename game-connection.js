@@ -0,0 +1,72 @@
+// Spherical Catan - Game Connection
+//
+// Browser end of the online protocol (see online-protocol.js): a WebSocket to
+// the game server that sends intents and hands every message it receives to
+// the game. The seat token is kept per browser tab, so a reload or a dropped
+// connection gets the player back into their seat.
+
+import { DEFAULT_SERVER_PORT } from './online-protocol.js';
+
+const SEAT_KEY = 'spherical-catan:online-seat';
+
+// The server usually runs on the machine that serves the page
+export function defaultServerUrl() {
+  return `ws://${window.location.hostname || 'localhost'}:${DEFAULT_SERVER_PORT}`;
+}
+
+// { url, code, token } of the room this tab plays in; token is null when
+// only watching. sessionStorage may be unavailable, the seat is then only
+// kept for this page.
+export function saveOnlineSeat(seat) {
+  try {
+    sessionStorage.setItem(SEAT_KEY, JSON.stringify(seat));
+  } catch (error) {
+    console.warn('Could not remember the online seat:', error);
+  }
+}
+
+export function readOnlineSeat() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SEAT_KEY));
+  } catch (error) {
+    return null;
+  }
+}
+
+export function clearOnlineSeat() {
+  try {
+    sessionStorage.removeItem(SEAT_KEY);
+  } catch (error) {
+    console.warn('Could not forget the online seat:', error);
+  }
+}
+
+export class GameConnection {
+  constructor(url, onMessage, onClose) {
+    this.socket = new WebSocket(url);
+    // Messages sent before the socket opened
+    this.queue = [];
+
+    this.socket.onopen = () => {
+      this.queue.forEach(text => this.socket.send(text));
+      this.queue = [];
+    };
+    this.socket.onmessage = event => onMessage(JSON.parse(event.data));
+    this.socket.onclose = event => onClose(event.code);
+  }
+
+  send(type, message = {}) {
+    const text = JSON.stringify({ ...message, type });
+    if (this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(text);
+    } else {
+      this.queue.push(text);
+    }
+  }
+
+  // Hang up without reporting it as a lost connection
+  close() {
+    this.socket.onclose = null;
+    this.socket.close();
+  }
+}
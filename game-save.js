@@ -0,0 +1,96 @@
+// Spherical Catan - Saved Games
+//
+// A save is a versioned JSON snapshot of the engine state plus the options
+// the game was created with and the action log. The topology is left out: it
+// follows from the board faces and is rebuilt when the save is loaded.
+//
+// Versions: 1 - state and options, 2 - adds the action log
+
+import { buildTopology } from './board-topology.js';
+import { ActionLog } from './action-log.js';
+
+export const SAVE_FORMAT = 'spherical-catan-save';
+export const SAVE_VERSION = 2;
+
+const AUTOSAVE_KEY = 'spherical-catan:autosave';
+
+export function serializeGame(state, options, log) {
+  const { topology, ...rest } = state;
+  return JSON.stringify({
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    options,
+    state: rest,
+    log
+  });
+}
+
+// Parse and check a save; returns { options, state, log } with the state still
+// missing its topology and log null for version 1 saves. Throws when the text
+// is not a save this version reads.
+export function parseSave(text) {
+  let save;
+  try {
+    save = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not a saved game');
+  }
+  if (!save || save.format !== SAVE_FORMAT || !save.state || !save.options) {
+    throw new Error('The file is not a saved game');
+  }
+  if (save.version > SAVE_VERSION) {
+    throw new Error('The game was saved by a newer version');
+  }
+  return { options: save.options, state: save.state, log: save.log || null };
+}
+
+// Attach the topology of the board the state was saved on
+export function restoreState(savedState, faces) {
+  if (savedState.tiles.length !== faces.length) {
+    throw new Error(`The save is for ${savedState.tiles.length} tiles, the board has ${faces.length}`);
+  }
+  return { ...savedState, topology: buildTopology(faces) };
+}
+
+// Replay the saved log. Without one, or when its events no longer lead to the
+// saved state, the log starts over from the saved state.
+export function restoreLog(savedLog, state) {
+  if (savedLog) {
+    try {
+      const log = ActionLog.fromJSON(savedLog, state.topology);
+      const strip = ({ topology, ...rest }) => JSON.stringify(rest);
+      if (strip(log.state) === strip(state)) return log;
+      console.warn('The saved action log does not match the saved game');
+    } catch (error) {
+      console.warn('Could not replay the saved action log:', error);
+    }
+  }
+  return new ActionLog(state);
+}
+
+// localStorage may be unavailable (private windows, quota); saving then just
+// does nothing
+export function writeAutosave(text) {
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, text);
+  } catch (error) {
+    console.warn('Auto-save failed:', error);
+  }
+}
+
+export function readAutosave() {
+  try {
+    return localStorage.getItem(AUTOSAVE_KEY);
+  } catch (error) {
+    return null;
+  }
+}
+
+export function clearAutosave() {
+  try {
+    localStorage.removeItem(AUTOSAVE_KEY);
+  } catch (error) {
+    console.warn('Clearing the auto-save failed:', error);
+  }
+}
@@ -0,0 +1,72 @@
+// Spherical Catan - Saved Game Tests
+//
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as rules from './catan-engine.js';
+import { BOARD_SIZES, buildGoldbergBoard } from './board-geometry.js';
+import { ActionLog } from './action-log.js';
+import { SAVE_FORMAT, SAVE_VERSION, parseSave, restoreLog, restoreState, serializeGame } from './game-save.js';
+
+const PLAYERS = [{ name: 'Ann', color: 0 }, { name: 'Bo', color: 0 }];
+const OPTIONS = { seed: 'save-test', boardSize: 'standard' };
+
+function newGame() {
+  const { faces } = buildGoldbergBoard(BOARD_SIZES.standard);
+  const state = rules.createGameState({
+    faces,
+    layout: rules.generateLayout(faces.length),
+    players: PLAYERS,
+    seed: OPTIONS.seed
+  });
+  return { faces, state };
+}
+
+test('a saved game loads back into the same state and plays on the same way', () => {
+  const { faces, state } = newGame();
+  const game = { ...state, phase: 'main', setup: null };
+  const { options, state: saved } = parseSave(serializeGame(game, OPTIONS));
+  const restored = restoreState(saved, faces);
+
+  assert.deepEqual(options, OPTIONS);
+  assert.deepEqual(restored, game);
+  assert.deepEqual(rules.rollDice(restored).state, rules.rollDice(game).state);
+});
+
+test('anything but a save this version can read is refused', () => {
+  const { faces, state } = newGame();
+  const save = JSON.parse(serializeGame(state, OPTIONS));
+
+  assert.throws(() => parseSave('{not json'), /not a saved game/);
+  assert.throws(() => parseSave(JSON.stringify({ ...save, format: 'other' })), /not a saved game/);
+  assert.throws(() => parseSave(JSON.stringify({ ...save, state: undefined })), /not a saved game/);
+  assert.throws(() => parseSave(JSON.stringify({ ...save, version: SAVE_VERSION + 1 })), /newer version/);
+  assert.equal(save.format, SAVE_FORMAT);
+  assert.throws(() => restoreState(parseSave(JSON.stringify(save)).state, faces.slice(1)),
+    /The save is for 32 tiles, the board has 31/);
+});
+
+test('a saved action log is replayed, and undo and redo keep working after loading', () => {
+  const { faces, state } = newGame();
+  const log = new ActionLog(state);
+  const vertex = [...Array(state.topology.vertexCount).keys()].find(v => rules.canBuildSettlement(state, v).ok);
+  log.perform('buildSettlement', vertex);
+
+  const { state: saved, log: savedLog } = parseSave(serializeGame(log.state, OPTIONS, log));
+  const restored = restoreLog(savedLog, restoreState(saved, faces));
+  assert.deepEqual(restored.state, log.state);
+  assert.deepEqual(restored.undo().state, restoreState(state, faces));
+  assert.equal(restored.redo().state.buildings.settlements[vertex], 0);
+});
+
+test('a version 1 save without a log starts a fresh log from the saved state', () => {
+  const { faces, state } = newGame();
+  const save = { ...JSON.parse(serializeGame(state, OPTIONS)), version: 1 };
+  const { state: saved, log: savedLog } = parseSave(JSON.stringify(save));
+  const log = restoreLog(savedLog, restoreState(saved, faces));
+
+  assert.equal(savedLog, null);
+  assert.deepEqual(log.state, restoreState(saved, faces));
+  assert.equal(log.canUndo().reason, 'Nothing to undo');
+});
@@ -0,0 +1,532 @@
+// Spherical Catan - Game Server
+//
+// Authoritative server for online games. Every room keeps its game in an
+// ActionLog, checks each intent a client sends with the same rules engine the
+// browser uses, and pushes every seat its own view of the new state. Run it
+// with `npm run server` (PORT picks another port) next to `npm run dev`.
+//
+// Seats outlive connections: each seat has a secret token its player rejoins
+// with after a dropped connection. Spectators get the board without any hand.
+// With a turn timer set, a turn nobody finishes in time is played out with
+// the simplest legal moves and ended.
+
+import { WebSocketServer } from 'ws';
+import { randomUUID } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import * as rules from './catan-engine.js';
+import { BOARD_SIZES, buildGoldbergBoard } from './board-geometry.js';
+import { randomSeed } from './seeded-random.js';
+import { ANSWER_ACTIONS, ActionLog } from './action-log.js';
+import { buildTopology } from './board-topology.js';
+import { createInitialState, decodeBoardForRule, defaultGameOptions } from './game-setup.js';
+import { idleMove } from './ai-player.js';
+import {
+  ACTION_ARGUMENTS,
+  DEFAULT_SERVER_PORT,
+  MIN_TURN_SECONDS,
+  ROOM_CODE_LENGTH,
+  ROOM_CODE_LETTERS,
+  SEAT_TAKEN_CLOSE_CODE
+} from './online-protocol.js';
+
+// Same palette as the new game dialog; a seat whose color is taken gets the
+// first free one
+const SEAT_COLORS = [0x0000FF, 0xD50000, 0xFF6D00, 0x6A1B9A, 0x212121, 0xEC407A];
+
+const MAX_NAME_LENGTH = 24;
+
+// Options a client may create a room with. The seed is always replaced and
+// the local-only options have to stay off.
+const ROOM_OPTIONS = [
+  'robberStart', 'targetScore', 'seed', 'boardCode', 'balance', 'boardSize',
+  'pentagonRule', 'hotSeat', 'aiPlayers', 'turnSeconds'
+];
+
+// The balanced board search runs synchronously and holds up every room on
+// the server, so it gets far fewer fresh shuffles than in the browser
+const MAX_BALANCE_ATTEMPTS = 5;
+
+const BALANCE_CHECKS = {
+  noAdjacentRed: value => typeof value === 'boolean',
+  noSameResourceNeighbors: value => typeof value === 'boolean',
+  maxVertexPips: value => value === null || (Number.isFinite(value) && value >= 0),
+  minResourceCoverage: value => Number.isFinite(value) && value >= 0 && value <= 1,
+  maxAttempts: value => Number.isInteger(value) && value >= 1 && value <= MAX_BALANCE_ATTEMPTS
+};
+
+// How long a started game waits for its players to come back once the last
+// one dropped
+const ABANDONED_ROOM_MS = 10 * 60 * 1000;
+
+// Moves a timed-out turn may take before it gives up; the turn then gets a
+// fresh timer
+const MAX_TIMEOUT_MOVES = 20;
+
+export class GameServer {
+  constructor({ port = DEFAULT_SERVER_PORT } = {}) {
+    // Room code -> { code, options, seats: [{ name, color, token, client }],
+    // spectators: Set of clients, host, log, turn timer fields }
+    this.rooms = new Map();
+
+    this.wss = new WebSocketServer({ port });
+    this.ready = new Promise((resolve, reject) => {
+      this.wss.once('listening', resolve);
+      this.wss.once('error', reject);
+    });
+    this.wss.on('connection', socket => this.connect(socket));
+  }
+
+  get port() {
+    return this.wss.address().port;
+  }
+
+  close() {
+    this.rooms.forEach(room => this.closeRoom(room));
+    this.wss.clients.forEach(socket => socket.terminate());
+    return new Promise(resolve => this.wss.close(resolve));
+  }
+
+  connect(socket) {
+    const client = { socket, room: null, seat: null };
+    socket.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        message = null;
+      }
+      if (!message || typeof message !== 'object') {
+        this.send(client, { type: 'error', reason: 'Malformed message' });
+        return;
+      }
+      this.handle(client, message);
+    });
+    socket.on('close', () => this.leave(client));
+  }
+
+  handle(client, message) {
+    switch (message.type) {
+      case 'create': return this.createRoom(client, message);
+      case 'join': return this.joinRoom(client, message);
+      case 'rejoin': return this.rejoinRoom(client, message);
+      case 'watch': return this.watchRoom(client, message);
+      case 'transfer': return this.transferHost(client, message);
+      case 'start': return this.startGame(client);
+      case 'action': return this.performAction(client, message);
+      case 'undo':
+      case 'redo': return this.undoOrRedo(client, message.type);
+      default:
+        this.send(client, { type: 'error', reason: `Unknown message "${message.type}"` });
+    }
+  }
+
+  // Lobby
+
+  createRoom(client, { name, color, options = {} }) {
+    if (client.room) {
+      return this.send(client, { type: 'error', reason: 'You are already in a room' });
+    }
+    const check = checkRoomOptions(options);
+    if (!check.ok) {
+      return this.send(client, { type: 'error', reason: check.reason });
+    }
+    // The server always draws the seed: whoever knows it can predict the dice
+    const gameOptions = defaultGameOptions({ ...options, seed: randomSeed() });
+    if (gameOptions.balance) {
+      gameOptions.balance = { maxAttempts: MAX_BALANCE_ATTEMPTS, ...gameOptions.balance };
+    }
+
+    const room = {
+      code: this.newRoomCode(),
+      options: gameOptions,
+      seats: [],
+      spectators: new Set(),
+      host: 0,
+      log: null,
+      timer: null,    // timeout ending the current turn
+      timerKey: null, // turnKey() of the turn the timer runs for
+      deadline: null, // Date.now() when it runs out
+      cleanup: null   // timeout closing the room once everybody left
+    };
+    this.rooms.set(room.code, room);
+    this.takeSeat(client, room, name, color);
+    this.broadcastLobby(room);
+  }
+
+  joinRoom(client, { code, name, color }) {
+    if (client.room) {
+      return this.send(client, { type: 'error', reason: 'You are already in a room' });
+    }
+    const room = this.findRoom(client, code);
+    if (!room) return;
+    if (room.log) {
+      return this.send(client, { type: 'error', reason: `The game in room ${room.code} has already started` });
+    }
+    if (room.seats.length >= rules.MAX_PLAYERS) {
+      return this.send(client, { type: 'error', reason: `Room ${room.code} is full` });
+    }
+    this.takeSeat(client, room, name, color);
+    this.broadcastLobby(room);
+  }
+
+  takeSeat(client, room, name, color) {
+    const taken = room.seats.map(seat => seat.color);
+    room.seats.push({
+      name: String(name || '').trim().slice(0, MAX_NAME_LENGTH) || `Player ${room.seats.length + 1}`,
+      color: Number.isInteger(color) && !taken.includes(color) ? color : SEAT_COLORS.find(c => !taken.includes(c)),
+      token: randomUUID(),
+      client
+    });
+    client.room = room;
+    client.seat = room.seats.length - 1;
+  }
+
+  // Back into a seat after a dropped connection, with a full resync. A
+  // connection still holding the seat is dropped.
+  rejoinRoom(client, { code, token }) {
+    if (client.room) {
+      return this.send(client, { type: 'error', reason: 'You are already in a room' });
+    }
+    const room = this.findRoom(client, code);
+    if (!room) return;
+    const index = room.seats.findIndex(seat => seat.token === token);
+    if (index === -1) {
+      return this.send(client, { type: 'error', reason: `Your seat in room ${room.code} is gone` });
+    }
+
+    const seat = room.seats[index];
+    if (seat.client) {
+      seat.client.room = null;
+      seat.client.socket.close(SEAT_TAKEN_CLOSE_CODE, 'Seat taken over');
+    }
+    seat.client = client;
+    client.room = room;
+    client.seat = index;
+    clearTimeout(room.cleanup);
+    room.cleanup = null;
+    this.broadcastLobby(room);
+    if (room.log) {
+      this.sendState(room, client, null);
+    }
+  }
+
+  // Spectators see the board and the public parts of the game, nothing else
+  watchRoom(client, { code }) {
+    if (client.room) {
+      return this.send(client, { type: 'error', reason: 'You are already in a room' });
+    }
+    const room = this.findRoom(client, code);
+    if (!room) return;
+
+    room.spectators.add(client);
+    client.room = room;
+    client.seat = null;
+    this.broadcastLobby(room);
+    if (room.log) {
+      this.sendState(room, client, null);
+    }
+  }
+
+  transferHost(client, { seat }) {
+    const room = client.room;
+    if (!room || client.seat === null || client.seat !== room.host) {
+      return this.send(client, { type: 'error', reason: 'Only the host can hand over the host role' });
+    }
+    if (!Number.isInteger(seat) || !room.seats[seat] || !room.seats[seat].client) {
+      return this.send(client, { type: 'error', reason: 'The new host has to be a connected player' });
+    }
+    room.host = seat;
+    this.broadcastLobby(room);
+  }
+
+  findRoom(client, code) {
+    const room = this.rooms.get(String(code).trim().toUpperCase());
+    if (!room) {
+      this.send(client, { type: 'error', reason: `There is no room ${code}` });
+    }
+    return room;
+  }
+
+  startGame(client) {
+    const room = client.room;
+    if (!room || client.seat !== room.host) {
+      return this.send(client, { type: 'error', reason: 'Only the host can start the game' });
+    }
+    if (room.log) {
+      return this.send(client, { type: 'error', reason: 'The game has already started' });
+    }
+    if (room.seats.length < rules.MIN_PLAYERS) {
+      return this.send(client, { type: 'error', reason: `Waiting for at least ${rules.MIN_PLAYERS} players` });
+    }
+
+    const { faces } = buildGoldbergBoard(BOARD_SIZES[room.options.boardSize]);
+    const players = room.seats.map(({ name, color }) => ({ name, color }));
+    try {
+      room.log = new ActionLog(createInitialState(faces, players, room.options));
+    } catch (error) {
+      return this.send(client, { type: 'error', reason: error.message });
+    }
+    this.broadcastLobby(room);
+    this.broadcastState(room, null);
+  }
+
+  // A dropped connection frees its seat in the lobby; in a running game the
+  // seat stays, shows as offline and waits for its token. The host role
+  // moves on to the first connected player.
+  leave(client) {
+    const room = client.room;
+    if (!room || this.rooms.get(room.code) !== room) return;
+
+    if (client.seat === null) {
+      room.spectators.delete(client);
+    } else if (room.log) {
+      room.seats[client.seat].client = null;
+    } else {
+      room.seats.splice(client.seat, 1);
+      room.seats.forEach((seat, index) => seat.client.seat = index);
+      if (room.host > client.seat) room.host--;
+    }
+
+    const connected = room.seats.findIndex(seat => seat.client);
+    if (connected === -1) {
+      if (!room.log) {
+        this.closeRoom(room);
+      } else if (!room.cleanup) {
+        room.cleanup = setTimeout(() => this.closeRoom(room), ABANDONED_ROOM_MS);
+      }
+    } else if (!room.seats[room.host] || !room.seats[room.host].client) {
+      room.host = connected;
+    }
+    this.broadcastLobby(room);
+  }
+
+  closeRoom(room) {
+    clearTimeout(room.timer);
+    clearTimeout(room.cleanup);
+    this.rooms.delete(room.code);
+  }
+
+  newRoomCode() {
+    let code;
+    do {
+      code = Array.from({ length: ROOM_CODE_LENGTH }, () =>
+        ROOM_CODE_LETTERS[Math.floor(Math.random() * ROOM_CODE_LETTERS.length)]).join('');
+    } while (this.rooms.has(code));
+    return code;
+  }
+
+  // Game
+
+  performAction(client, { action, args }) {
+    const room = client.room;
+    if (!room || !room.log) {
+      return this.send(client, { type: 'error', reason: 'No game is running' });
+    }
+    if (!Object.hasOwn(ACTION_ARGUMENTS, action)) {
+      return this.send(client, { type: 'rejected', reason: `Unknown action "${action}"` });
+    }
+
+    if (client.seat === null) {
+      return this.send(client, { type: 'rejected', reason: 'Spectators cannot play' });
+    }
+
+    const params = Array.isArray(args) ? args.slice(0, ACTION_ARGUMENTS[action]) : [];
+    const answer = ANSWER_ACTIONS.includes(action);
+    const player = answer ? params[0] : room.log.state.currentPlayer;
+    if (player !== client.seat) {
+      return this.send(client, {
+        type: 'rejected',
+        reason: answer ? 'You can only answer for yourself' : 'It is not your turn'
+      });
+    }
+
+    // Arguments come off the wire; the engine may choke on malformed ones
+    let result;
+    try {
+      result = room.log.perform(action, ...params);
+    } catch (error) {
+      result = { ok: false, reason: `Malformed ${action} action` };
+    }
+    if (!result.ok) {
+      return this.send(client, { type: 'rejected', reason: result.reason });
+    }
+    this.broadcastState(room, { type: action, player: client.seat });
+  }
+
+  undoOrRedo(client, type) {
+    const room = client.room;
+    if (!room || !room.log) {
+      return this.send(client, { type: 'error', reason: 'No game is running' });
+    }
+    if (client.seat !== room.log.state.currentPlayer) {
+      return this.send(client, { type: 'rejected', reason: 'It is not your turn' });
+    }
+    const result = type === 'undo' ? room.log.undo() : room.log.redo();
+    if (!result.ok) {
+      return this.send(client, { type: 'rejected', reason: result.reason });
+    }
+    this.broadcastState(room, { type, player: client.seat });
+  }
+
+  // Turn timer: restarted whenever the turn passes on, not on every action
+  scheduleTurnTimer(room) {
+    const seconds = room.options.turnSeconds;
+    const state = room.log.state;
+    if (!seconds || state.phase === 'end') {
+      clearTimeout(room.timer);
+      room.deadline = null;
+      return;
+    }
+    const key = turnKey(state);
+    if (key === room.timerKey) return;
+
+    clearTimeout(room.timer);
+    room.timerKey = key;
+    room.deadline = Date.now() + seconds * 1000;
+    room.timer = setTimeout(() => this.turnTimedOut(room), seconds * 1000);
+  }
+
+  // Play the idle turn out, including answers others still owe, and end it
+  turnTimedOut(room) {
+    const key = turnKey(room.log.state);
+    const player = room.log.state.currentPlayer;
+    for (let move = 0; move < MAX_TIMEOUT_MOVES; move++) {
+      const state = room.log.state;
+      if (state.phase === 'end' || turnKey(state) !== key) break;
+      let result;
+      try {
+        const [action, ...args] = idleMove(state);
+        result = room.log.perform(action, ...args);
+      } catch (error) {
+        // No legal move left to try
+        result = { ok: false };
+      }
+      if (!result.ok) break;
+    }
+    room.timerKey = null;
+    this.broadcastState(room, { type: 'timeout', player });
+  }
+
+  // Messages
+
+  broadcastLobby(room) {
+    const lobby = {
+      type: 'lobby',
+      code: room.code,
+      host: room.host,
+      players: room.seats.map(({ name, color, client }) => ({ name, color, connected: client !== null })),
+      spectators: room.spectators.size,
+      options: { ...room.options, seed: null },
+      started: room.log !== null
+    };
+    room.seats.forEach((seat, index) => {
+      if (seat.client) this.send(seat.client, { ...lobby, seat: index, token: seat.token });
+    });
+    room.spectators.forEach(client => this.send(client, { ...lobby, seat: null, token: null }));
+  }
+
+  broadcastState(room, event) {
+    this.scheduleTurnTimer(room);
+    room.seats.forEach(seat => {
+      if (seat.client) this.sendState(room, seat.client, event);
+    });
+    room.spectators.forEach(client => this.sendState(room, client, event));
+  }
+
+  sendState(room, client, event) {
+    const { topology, ...state } = rules.playerView(room.log.state, client.seat);
+    this.send(client, {
+      type: 'state',
+      state,
+      event,
+      undo: room.log.canUndo(),
+      redo: room.log.canRedo(),
+      timeLeft: room.deadline === null ? null : Math.max(0, room.deadline - Date.now())
+    });
+  }
+
+  send(client, message) {
+    if (client.socket.readyState === client.socket.OPEN) {
+      client.socket.send(JSON.stringify(message));
+    }
+  }
+}
+
+// Whether a client's room options are all known and in range. A board code
+// has to fit the chosen board size and pentagon rule.
+function checkRoomOptions(options) {
+  if (!isPlainObject(options)) {
+    return refuse('Room options have to be an object');
+  }
+  const unknown = Object.keys(options).find(key => !ROOM_OPTIONS.includes(key));
+  if (unknown !== undefined) {
+    return refuse(`Unknown room option "${unknown}"`);
+  }
+
+  const {
+    robberStart, targetScore, boardCode, balance, boardSize, pentagonRule, hotSeat, aiPlayers, turnSeconds
+  } = defaultGameOptions(options);
+  if (!['random', 'choose'].includes(robberStart)) {
+    return refuse(`Unknown robber start "${robberStart}"`);
+  }
+  if (!Number.isInteger(targetScore) || targetScore < 1) {
+    return refuse('The target score has to be a whole number of at least 1');
+  }
+  if (!Object.hasOwn(BOARD_SIZES, boardSize)) {
+    return refuse(`Unknown board size "${boardSize}"`);
+  }
+  if (!rules.PENTAGON_RULES.includes(pentagonRule)) {
+    return refuse(`Unknown pentagon rule "${pentagonRule}"`);
+  }
+  if (turnSeconds !== null && !(Number.isInteger(turnSeconds) && turnSeconds >= MIN_TURN_SECONDS)) {
+    return refuse(`Turn timers need a whole number of at least ${MIN_TURN_SECONDS} seconds`);
+  }
+  if (hotSeat !== false || !isPlainObject(aiPlayers) || Object.keys(aiPlayers).length > 0) {
+    return refuse('Hot seat and AI players are only for local games');
+  }
+
+  if (balance !== null) {
+    if (!isPlainObject(balance)) {
+      return refuse('Balance constraints have to be an object');
+    }
+    const invalid = Object.entries(balance).find(([key, value]) =>
+      !Object.hasOwn(BALANCE_CHECKS, key) || !BALANCE_CHECKS[key](value));
+    if (invalid) {
+      return refuse(invalid[0] === 'maxAttempts' ?
+        `Balanced boards take 1-${MAX_BALANCE_ATTEMPTS} attempts on the server` :
+        `Invalid balance constraint "${invalid[0]}"`);
+    }
+  }
+
+  if (boardCode !== null) {
+    if (typeof boardCode !== 'string') {
+      return refuse('Not a board code');
+    }
+    const { faces } = buildGoldbergBoard(BOARD_SIZES[boardSize]);
+    try {
+      decodeBoardForRule(boardCode, faces, buildTopology(faces), pentagonRule);
+    } catch (error) {
+      return refuse(error.message);
+    }
+  }
+  return { ok: true };
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function refuse(reason) {
+  return { ok: false, reason };
+}
+
+// Identifies a turn for the timer; every setup placement is a turn of its own
+function turnKey(state) {
+  return `${state.turnNumber}/${state.currentPlayer}/${state.setup ? state.setup.index : ''}`;
+}
+
+// `node game-server.js` starts a server; importing the module does not
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const server = new GameServer({ port: Number(process.env.PORT) || DEFAULT_SERVER_PORT });
+  server.ready.then(() => console.log(`Spherical Catan server listening on ws://localhost:${server.port}`));
+}
@@ -0,0 +1,322 @@
+// Spherical Catan - Game Server Tests
+//
+// Real WebSocket clients against a server on a free localhost port.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import WebSocket from 'ws';
+import { GameServer } from './game-server.js';
+import { aiMove } from './ai-player.js';
+import { buildTopology } from './board-topology.js';
+import { BOARD_SIZES, buildGoldbergBoard } from './board-geometry.js';
+
+// A connected client that queues every message until a test asks for it
+async function connect(server) {
+  const socket = new WebSocket(`ws://localhost:${server.port}`);
+  const queue = [];
+  const waiting = [];
+  socket.on('message', data => {
+    const message = JSON.parse(data);
+    const index = waiting.findIndex(({ types }) => types.includes(message.type));
+    if (index === -1) {
+      queue.push(message);
+    } else {
+      waiting.splice(index, 1)[0].resolve(message);
+    }
+  });
+  await new Promise(resolve => socket.once('open', resolve));
+
+  return {
+    send: message => socket.send(JSON.stringify(message)),
+    // The next message of one of the types, skipping others
+    next: (...types) => {
+      const index = queue.findIndex(message => types.includes(message.type));
+      if (index !== -1) return Promise.resolve(queue.splice(index, 1)[0]);
+      return new Promise(resolve => waiting.push({ types, resolve }));
+    },
+    close: () => socket.close()
+  };
+}
+
+async function withServer(run) {
+  const server = new GameServer({ port: 0 });
+  await server.ready;
+  try {
+    await run(server);
+  } finally {
+    await server.close();
+  }
+}
+
+test('players meet in a room, the host deals and only the seat on turn may act', () => withServer(async server => {
+  const host = await connect(server);
+  host.send({ type: 'create', name: 'Ann' });
+  const lobby = await host.next('lobby');
+  assert.equal(lobby.seat, 0);
+  assert.equal(lobby.host, 0);
+
+  const guest = await connect(server);
+  guest.send({ type: 'join', code: lobby.code.toLowerCase(), name: 'Bo' });
+  assert.deepEqual((await guest.next('lobby')).players.map(({ name }) => name), ['Ann', 'Bo']);
+
+  guest.send({ type: 'start' });
+  assert.equal((await guest.next('error')).reason, 'Only the host can start the game');
+  host.send({ type: 'start' });
+  const { state } = await host.next('state');
+  assert.equal(state.phase, 'setup');
+  assert.equal(state.seed, null);
+  assert.equal(state.players[1].resources, null);
+  await guest.next('state');
+
+  guest.send({ type: 'action', action: 'buildSettlement', args: [0] });
+  assert.equal((await guest.next('rejected')).reason, 'It is not your turn');
+  guest.send({ type: 'action', action: 'discard', args: [0, {}] });
+  assert.equal((await guest.next('rejected')).reason, 'You can only answer for yourself');
+  host.send({ type: 'action', action: 'cheat', args: [] });
+  assert.equal((await host.next('rejected')).reason, 'Unknown action "cheat"');
+  host.send({ type: 'action', action: 'buildSettlement', args: [0] });
+  const [, seen] = await Promise.all([host.next('state'), guest.next('state')]);
+  assert.deepEqual(seen.event, { type: 'buildSettlement', player: 0 });
+  assert.equal(seen.state.buildings.settlements[0], 0);
+
+  guest.send({ type: 'undo' });
+  assert.equal((await guest.next('rejected')).reason, 'It is not your turn');
+  host.send({ type: 'undo' });
+  assert.equal((await guest.next('state')).state.buildings.settlements[0], undefined);
+
+  const late = await connect(server);
+  late.send({ type: 'join', code: lobby.code, name: 'Cy' });
+  assert.match((await late.next('error')).reason, /has already started/);
+  guest.send({ type: 'join', code: 'NOPE1', name: 'Bo' });
+  assert.equal((await guest.next('error')).reason, 'You are already in a room');
+  [host, guest, late].forEach(client => client.close());
+}));
+
+test('rooms are only created with known options in range', () => withServer(async server => {
+  const client = await connect(server);
+  client.send({ type: 'create', name: 'Ann', options: { boardSize: 'tiny' } });
+  assert.equal((await client.next('error')).reason, 'Unknown board size "tiny"');
+  client.send({ type: 'create', name: 'Ann', options: { pentagonRule: 'lava' } });
+  assert.equal((await client.next('error')).reason, 'Unknown pentagon rule "lava"');
+  client.send({ type: 'create', name: 'Ann', options: { unknown: true } });
+  assert.equal((await client.next('error')).reason, 'Unknown room option "unknown"');
+
+  const refused = [
+    { targetScore: 'x' },
+    { targetScore: -3 },
+    { targetScore: 10.5 },
+    { robberStart: 'anywhere' },
+    { boardSize: 'toString' },
+    { boardCode: 'B2.not-a-board.x' },
+    { boardCode: 42 },
+    { turnSeconds: '60' },
+    { balance: { maxAttempts: 100000 } },
+    { balance: { minResourceCoverage: 2 } },
+    { balance: 'yes' },
+    { aiPlayers: { 1: 'hard' } },
+    { hotSeat: true }
+  ];
+  for (const options of refused) {
+    client.send({ type: 'create', name: 'Ann', options });
+    const { reason } = await client.next('error');
+    assert.ok(reason, JSON.stringify(options));
+  }
+
+  client.send({
+    type: 'create',
+    name: 'Ann',
+    options: { pentagonRule: 'gold', targetScore: 10, balance: { noAdjacentRed: true }, seed: 'mine' }
+  });
+  const lobby = await client.next('lobby');
+  assert.equal(lobby.options.pentagonRule, 'gold');
+  assert.equal(lobby.options.targetScore, 10);
+  assert.ok(lobby.options.balance.maxAttempts <= 5);
+  assert.equal(lobby.options.seed, null);
+  client.close();
+}));
+
+test('leaving the lobby frees the seat and passes the host role on', () => withServer(async server => {
+  const host = await connect(server);
+  host.send({ type: 'create', name: 'Ann' });
+  const { code } = await host.next('lobby');
+  const guest = await connect(server);
+  guest.send({ type: 'join', code, name: 'Bo' });
+  await guest.next('lobby');
+
+  host.close();
+  const lobby = await guest.next('lobby');
+  assert.equal(lobby.seat, 0);
+  assert.equal(lobby.host, 0);
+  assert.deepEqual(lobby.players.map(({ name }) => name), ['Bo']);
+  guest.close();
+}));
+
+test('the host role only goes to a connected seat given by its number', () => withServer(async server => {
+  const host = await connect(server);
+  host.send({ type: 'create', name: 'Ann' });
+  const { code } = await host.next('lobby');
+  const guest = await connect(server);
+  guest.send({ type: 'join', code, name: 'Bo' });
+  await host.next('lobby');
+
+  for (const seat of ['1', 1.5, 2, -1, null]) {
+    host.send({ type: 'transfer', seat });
+    assert.equal((await host.next('error')).reason, 'The new host has to be a connected player');
+  }
+
+  host.send({ type: 'transfer', seat: 1 });
+  assert.equal((await host.next('lobby')).host, 1);
+  host.send({ type: 'start' });
+  assert.equal((await host.next('error')).reason, 'Only the host can start the game');
+  guest.send({ type: 'start' });
+  assert.equal((await guest.next('state')).state.phase, 'setup');
+  host.close();
+  guest.close();
+}));
+
+// Host and guest in a started room
+async function startedRoom(server, options = {}) {
+  const host = await connect(server);
+  host.send({ type: 'create', name: 'Ann', options });
+  const { code, token } = await host.next('lobby');
+  const guest = await connect(server);
+  guest.send({ type: 'join', code, name: 'Bo' });
+  const seat = await guest.next('lobby');
+  host.send({ type: 'start' });
+  await Promise.all([host.next('state'), guest.next('state')]);
+  return { host, guest, code, hostToken: token, guestToken: seat.token };
+}
+
+// The first lobby update passing the check, skipping older ones
+async function lobbyWhere(client, check) {
+  let lobby;
+  do lobby = await client.next('lobby'); while (!check(lobby));
+  return lobby;
+}
+
+test('a dropped player rejoins their seat with its token', () => withServer(async server => {
+  const { host, guest, code, guestToken } = await startedRoom(server);
+  guest.close();
+  await lobbyWhere(host, lobby => !lobby.players[1].connected);
+
+  const stranger = await connect(server);
+  stranger.send({ type: 'rejoin', code, token: 'guessed' });
+  assert.equal((await stranger.next('error')).reason, `Your seat in room ${code} is gone`);
+
+  const back = await connect(server);
+  back.send({ type: 'rejoin', code, token: guestToken });
+  const lobby = await back.next('lobby');
+  assert.equal(lobby.seat, 1);
+  assert.equal(lobby.token, guestToken);
+  const { state } = await back.next('state');
+  assert.equal(state.phase, 'setup');
+  assert.notEqual(state.players[1].resources, null);
+  assert.equal(state.players[0].resources, null);
+  [host, stranger, back].forEach(client => client.close());
+}));
+
+test('spectators follow the game without hands and cannot act', () => withServer(async server => {
+  const { host, guest, code } = await startedRoom(server);
+  const watcher = await connect(server);
+  watcher.send({ type: 'watch', code });
+  const lobby = await watcher.next('lobby');
+  assert.equal(lobby.seat, null);
+  assert.equal(lobby.token, null);
+  assert.equal(lobby.spectators, 1);
+
+  const { state } = await watcher.next('state');
+  state.players.forEach(player => {
+    assert.equal(player.resources, null);
+    assert.equal(player.cardCount, 0);
+  });
+  watcher.send({ type: 'action', action: 'endTurn', args: [] });
+  assert.equal((await watcher.next('rejected')).reason, 'Spectators cannot play');
+  [host, guest, watcher].forEach(client => client.close());
+}));
+
+test('the host role passes to a connected player', () => withServer(async server => {
+  const { host, guest } = await startedRoom(server);
+  guest.send({ type: 'transfer', seat: 1 });
+  assert.equal((await guest.next('error')).reason, 'Only the host can hand over the host role');
+
+  host.close();
+  const lobby = await lobbyWhere(guest, ({ players }) => !players[0].connected);
+  assert.equal(lobby.host, 1);
+  assert.deepEqual(lobby.players.map(({ connected }) => connected), [false, true]);
+  guest.send({ type: 'transfer', seat: 0 });
+  assert.equal((await guest.next('error')).reason, 'The new host has to be a connected player');
+  guest.close();
+}));
+
+test('a turn the timer runs out on is played out and passed on', () => withServer(async server => {
+  const client = await connect(server);
+  client.send({ type: 'create', name: 'Ann', options: { turnSeconds: 5 } });
+  assert.equal((await client.next('error')).reason, 'Turn timers need a whole number of at least 15 seconds');
+  client.close();
+
+  const { host, guest, code } = await startedRoom(server, { turnSeconds: 15 });
+  const room = server.rooms.get(code);
+  assert.ok(room.deadline > Date.now() && room.deadline <= Date.now() + 15000);
+
+  server.turnTimedOut(room);
+  const [{ state, event, timeLeft }] = await Promise.all([host.next('state'), guest.next('state')]);
+  assert.deepEqual(event, { type: 'timeout', player: 0 });
+  assert.equal(state.currentPlayer, 1);
+  assert.deepEqual(Object.values(state.buildings.settlements), [0]);
+  assert.deepEqual(Object.values(state.buildings.roads), [0]);
+  assert.ok(timeLeft > 0 && timeLeft <= 15000);
+  [host, guest].forEach(socket => socket.close());
+}));
+
+test('a timed-out turn stops after a bounded number of moves', () => withServer(async server => {
+  const { host, guest, code } = await startedRoom(server, { turnSeconds: 15 });
+  const room = server.rooms.get(code);
+  // Moves that are accepted but never finish the turn
+  let moves = 0;
+  room.log.perform = () => {
+    moves++;
+    return { ok: true };
+  };
+
+  server.turnTimedOut(room);
+  assert.equal(moves, 20);
+  assert.equal((await host.next('state')).event.type, 'timeout');
+  [host, guest].forEach(socket => socket.close());
+}));
+
+test('AI seats play a whole game over sockets without a rejected move', () => withServer(async server => {
+  const topology = buildTopology(buildGoldbergBoard(BOARD_SIZES.standard).faces);
+  const clients = [];
+  for (let seat = 0; seat < 3; seat++) clients.push(await connect(server));
+  clients[0].send({ type: 'create', name: 'Ann', options: { pentagonRule: 'gold', targetScore: 8 } });
+  const { code } = await clients[0].next('lobby');
+  clients[1].send({ type: 'join', code, name: 'Bo' });
+  clients[2].send({ type: 'join', code, name: 'Cy' });
+  await clients[2].next('lobby');
+  clients[0].send({ type: 'start' });
+
+  // Each seat plays from its own view and sends one move at a time
+  const play = async (client, seat) => {
+    let state = (await client.next('state')).state;
+    while (state.phase !== 'end') {
+      const move = aiMove({ ...state, topology }, seat);
+      if (!move) {
+        state = (await client.next('state')).state;
+        continue;
+      }
+      const [action, ...args] = move;
+      client.send({ type: 'action', action, args });
+      // States of other seats' moves may come in before the answer to this one
+      let answer;
+      do {
+        answer = await client.next('state', 'rejected');
+        assert.equal(answer.type, 'state', answer.reason);
+        state = answer.state;
+      } while (answer.event.player !== seat);
+    }
+    return state;
+  };
+  const finals = await Promise.all(clients.map(play));
+  assert.equal(finals[0].phase, 'end');
+  clients.forEach(client => client.close());
+}));
@@ -0,0 +1,75 @@
+// Spherical Catan - Game Setup
+//
+// Turns the options picked for a new game into its initial engine state. The
+// browser game and the game server both start games through here, so this
+// stays free of three.js and the DOM.
+
+import * as rules from './catan-engine.js';
+import { buildTopology } from './board-topology.js';
+import { DEFAULT_BOARD_SIZE } from './board-geometry.js';
+import { createRandom, randomSeed } from './seeded-random.js';
+import { decodeBoard } from './board-code.js';
+import { generateBalancedLayout } from './board-balance.js';
+
+// Options of a new game with everything left out filled in
+export function defaultGameOptions(options = {}) {
+  return {
+    robberStart: 'random',
+    targetScore: rules.DEFAULT_TARGET_SCORE,
+    seed: randomSeed(),
+    boardCode: null,
+    balance: null, // constraints for a balanced board, null for a plain shuffle
+    boardSize: DEFAULT_BOARD_SIZE,
+    pentagonRule: 'normal',
+    hotSeat: false, // local games: hide hands while the screen is passed on
+    aiPlayers: {},  // local games: seat index -> AI level for computer players
+    turnSeconds: null, // online games: seconds per turn, null for no timer
+    ...options
+  };
+}
+
+// Layout and harbors come from the board code when one was given, otherwise
+// everything is generated from the seed. faces are the board faces of
+// options.boardSize.
+export function createInitialState(faces, players, options) {
+  const { seed, boardCode, balance, pentagonRule } = options;
+  const random = createRandom(seed);
+  const topology = buildTopology(faces);
+  const reserved = rules.pentagonReservations(faces, topology, pentagonRule);
+  let board;
+  if (boardCode) {
+    board = decodeBoardForRule(boardCode, faces, topology, pentagonRule);
+  } else if (balance) {
+    // Falls back to the closest layout; the HUD then lists its violations
+    board = { layout: generateBalancedLayout(topology, random, balance, reserved).layout, harbors: null };
+  } else {
+    board = { layout: rules.generateLayout(faces.length, random, reserved), harbors: null };
+  }
+
+  return rules.createGameState({
+    faces,
+    layout: board.layout,
+    harbors: board.harbors,
+    players,
+    robberStart: options.robberStart,
+    targetScore: options.targetScore,
+    pentagonRule,
+    seed,
+    random
+  });
+}
+
+// Decode a board code for a game with the given pentagon rule. The code fixes
+// the whole layout, so it has to agree with the rule: the faces the rule
+// reserves hold what it puts there and there is no gold anywhere else.
+// Throws when the code is invalid or made for another rule.
+export function decodeBoardForRule(boardCode, faces, topology, pentagonRule) {
+  const board = decodeBoard(boardCode, faces, topology);
+  const reserved = rules.pentagonReservations(faces, topology, pentagonRule);
+  const fits = board.layout.every(({ resource }, index) =>
+    reserved[index] ? resource === reserved[index] : resource !== 'gold');
+  if (!fits) {
+    throw new Error(`Board code does not fit the "${pentagonRule}" pentagon rule`);
+  }
+  return board;
+}
@@ -0,0 +1,283 @@
+// Spherical Catan - Game Simulator
+//
+// Plays seeded AI-vs-AI games headless and sums them up: wins by seat, game
+// length, how much of each resource the dice produce and how the distance
+// between the two deserts plays out. Every game is reproducible from the
+// base seed and its number.
+//
+//   node game-simulator.js --games 1000 --levels hard,normal,normal,normal --format csv
+//
+// All options are optional; --help lists them.
+
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import * as rules from './catan-engine.js';
+import { BOARD_SIZES, DEFAULT_BOARD_SIZE, buildGoldbergBoard } from './board-geometry.js';
+import { createInitialState, defaultGameOptions } from './game-setup.js';
+import { AI_LEVELS, DEFAULT_AI_LEVEL, aiMove } from './ai-player.js';
+
+// Games still running after this many turns are given up as unfinished
+const MAX_TURNS = 1000;
+
+// Cards a single game produces of one resource are counted in bins this wide
+const HISTOGRAM_BIN = 10;
+
+// Play `games` games and return the summary. levels holds the AI level of
+// every seat.
+export function simulateGames({
+  games = 100,
+  levels = Array(4).fill(DEFAULT_AI_LEVEL),
+  seed = 'sim',
+  boardSize = DEFAULT_BOARD_SIZE,
+  pentagonRule = 'normal',
+  targetScore = rules.DEFAULT_TARGET_SCORE
+} = {}) {
+  if (!Object.hasOwn(BOARD_SIZES, boardSize)) {
+    throw new Error(`Unknown board size "${boardSize}"`);
+  }
+  if (!rules.PENTAGON_RULES.includes(pentagonRule)) {
+    throw new Error(`Unknown pentagon rule "${pentagonRule}"`);
+  }
+  const unknown = levels.find(level => !AI_LEVELS[level]);
+  if (unknown) {
+    throw new Error(`Unknown AI level "${unknown}"`);
+  }
+  const { faces } = buildGoldbergBoard(BOARD_SIZES[boardSize]);
+  const players = levels.map((level, seat) => ({ name: `${level} ${seat + 1}`, color: 0 }));
+
+  const results = [];
+  for (let game = 0; game < games; game++) {
+    const options = defaultGameOptions({ seed: `${seed}-${game}`, boardSize, pentagonRule, targetScore });
+    results.push({ game, ...playGame(createInitialState(faces, players, options), levels) });
+  }
+  return summarize(results, { games, levels, seed, boardSize, pentagonRule, targetScore });
+}
+
+// One game to its end: { winner, turns, production, desertDistance, error }.
+// winner is null when the game ran out of turns or stopped on an error: a
+// move the engine rejected or a state nobody could move from. The rest of
+// the batch plays on either way. move picks the next command of a seat.
+export function playGame(state, levels, move = aiMove) {
+  const production = rules.emptyResources();
+  const desertDistance = desertSpread(state);
+  const result = error => ({ winner: state.winner, turns: state.turnNumber, production, desertDistance, error });
+
+  while (state.phase !== 'end' && state.turnNumber < MAX_TURNS) {
+    let next = null;
+    try {
+      for (let seat = 0; seat < levels.length && !next; seat++) {
+        next = move(state, seat, levels[seat]);
+      }
+    } catch (error) {
+      return result(`AI failed in turn ${state.turnNumber} (${state.turnStep}): ${error.message}`);
+    }
+    if (!next) {
+      return result(`Nobody can move in turn ${state.turnNumber} (${state.turnStep})`);
+    }
+    const [action, ...args] = next;
+    const outcome = rules[action](state, ...args);
+    if (!outcome.ok) {
+      return result(`AI move ${action} was rejected in turn ${state.turnNumber}: ${outcome.reason}`);
+    }
+    state = outcome.state;
+    // Gold field payouts are left out; players pick what they turn into
+    if (action === 'rollDice') {
+      state.production
+        .filter(payout => payout.resource in production)
+        .forEach(payout => { production[payout.resource] += payout.amount; });
+    }
+  }
+
+  return result(null);
+}
+
+// Tiles between the first two deserts, null on boards without two
+function desertSpread(state) {
+  const deserts = state.tiles.filter(tile => tile.resource === 'desert').map(tile => tile.index);
+  if (deserts.length < 2) return null;
+
+  const distances = { [deserts[0]]: 0 };
+  const queue = [deserts[0]];
+  while (queue.length > 0) {
+    const tile = queue.shift();
+    state.topology.tileNeighbors[tile].forEach(neighbor => {
+      if (distances[neighbor] === undefined) {
+        distances[neighbor] = distances[tile] + 1;
+        queue.push(neighbor);
+      }
+    });
+  }
+  return distances[deserts[1]];
+}
+
+function summarize(results, settings) {
+  const finished = results.filter(result => result.winner !== null);
+  const wins = settings.levels.map((level, seat) => finished.filter(result => result.winner === seat).length);
+  const average = values => values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+
+  const production = Object.fromEntries(rules.RESOURCE_TYPES.map(resource => {
+    const histogram = {};
+    results.forEach(result => {
+      const bin = Math.floor(result.production[resource] / HISTOGRAM_BIN) * HISTOGRAM_BIN;
+      histogram[bin] = (histogram[bin] || 0) + 1;
+    });
+    return [resource, {
+      average: average(results.map(result => result.production[resource])),
+      histogram
+    }];
+  }));
+
+  // Does spreading the deserts apart change who wins or how long it takes?
+  const desertDistance = {};
+  results.forEach(result => {
+    const key = result.desertDistance === null ? 'none' : result.desertDistance;
+    const entry = desertDistance[key] || (desertDistance[key] = { games: 0, turns: 0, wins: settings.levels.map(() => 0) });
+    entry.games++;
+    entry.turns += result.turns;
+    if (result.winner !== null) entry.wins[result.winner]++;
+  });
+  Object.values(desertDistance).forEach(entry => {
+    entry.averageTurns = entry.turns / entry.games;
+    delete entry.turns;
+  });
+
+  return {
+    ...settings,
+    unfinished: results.filter(result => result.winner === null && result.error === null).length,
+    // Games that stopped on an error, with the game number to replay them by
+    errors: results.filter(result => result.error !== null).map(({ game, error }) => ({ game, error })),
+    wins,
+    winRate: wins.map(count => finished.length ? count / finished.length : null),
+    averageTurns: average(finished.map(result => result.turns)),
+    // A round is one turn of every seat
+    averageRounds: finished.length ? average(finished.map(result => result.turns)) / settings.levels.length : null,
+    histogramBin: HISTOGRAM_BIN,
+    production,
+    desertDistance
+  };
+}
+
+// metric,key,value rows with the same numbers as the JSON summary
+export function summaryToCsv(summary) {
+  const rows = [['metric', 'key', 'value']];
+  ['games', 'seed', 'boardSize', 'pentagonRule', 'targetScore', 'unfinished', 'averageTurns', 'averageRounds']
+    .forEach(metric => rows.push([metric, '', summary[metric]]));
+  rows.push(['errors', '', summary.errors.length]);
+  summary.errors.forEach(({ game, error }) => rows.push(['error', `game ${game}`, error]));
+  summary.levels.forEach((level, seat) => {
+    rows.push(['level', `seat ${seat + 1}`, level]);
+    rows.push(['wins', `seat ${seat + 1}`, summary.wins[seat]]);
+    rows.push(['winRate', `seat ${seat + 1}`, summary.winRate[seat]]);
+  });
+  Object.entries(summary.production).forEach(([resource, { average, histogram }]) => {
+    rows.push([`production ${resource}`, 'average', average]);
+    Object.entries(histogram)
+      .sort(([a], [b]) => a - b)
+      .forEach(([bin, count]) => rows.push([`production ${resource}`, `${bin}-${Number(bin) + summary.histogramBin - 1}`, count]));
+  });
+  Object.entries(summary.desertDistance).forEach(([distance, entry]) => {
+    rows.push(['desertDistance games', distance, entry.games]);
+    rows.push(['desertDistance averageTurns', distance, entry.averageTurns]);
+    entry.wins.forEach((count, seat) => rows.push(['desertDistance wins', `${distance} seat ${seat + 1}`, count]));
+  });
+  return rows.map(row => row.map(csvField).join(',')).join('\n');
+}
+
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const USAGE = `Usage: node game-simulator.js [options]
+
+  --games N           games to play (100)
+  --players N         seats when --levels is not given (4)
+  --level L           AI level of every seat when --levels is not given (${DEFAULT_AI_LEVEL})
+  --levels L1,L2,...  AI level per seat, also sets the number of seats
+  --seed S            base seed; game i plays seed "S-i" (sim)
+  --board-size SIZE   ${Object.keys(BOARD_SIZES).join(', ')} (${DEFAULT_BOARD_SIZE})
+  --pentagon-rule R   ${rules.PENTAGON_RULES.join(', ')} (normal)
+  --target N          points to win (${rules.DEFAULT_TARGET_SCORE})
+  --format F          json or csv (json)
+  --help              show this message`;
+
+// A whole number of at least min from a command line option
+function wholeNumber(name, text, min) {
+  const value = Number(text);
+  if (!/^\d+$/.test(text.trim()) || value < min) {
+    throw new Error(`--${name} needs a whole number of at least ${min}, got "${text}"`);
+  }
+  return value;
+}
+
+// The simulateGames settings and output format from the command line, or
+// null for --help. Throws on an option it cannot use.
+function readOptions(args) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      games: { type: 'string', default: '100' },
+      players: { type: 'string', default: '4' },
+      level: { type: 'string', default: DEFAULT_AI_LEVEL },
+      levels: { type: 'string' },
+      seed: { type: 'string', default: 'sim' },
+      'board-size': { type: 'string', default: DEFAULT_BOARD_SIZE },
+      'pentagon-rule': { type: 'string', default: 'normal' },
+      target: { type: 'string', default: String(rules.DEFAULT_TARGET_SCORE) },
+      format: { type: 'string', default: 'json' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  if (values.help) return null;
+
+  if (!['json', 'csv'].includes(values.format)) {
+    throw new Error(`Unknown format "${values.format}", use json or csv`);
+  }
+  const levels = values.levels ?
+    values.levels.split(',').map(level => level.trim()) :
+    Array(wholeNumber('players', values.players, rules.MIN_PLAYERS)).fill(values.level);
+  if (levels.length < rules.MIN_PLAYERS || levels.length > rules.MAX_PLAYERS) {
+    throw new Error(`Games need ${rules.MIN_PLAYERS}-${rules.MAX_PLAYERS} seats, got ${levels.length}`);
+  }
+  const unknown = levels.find(level => !AI_LEVELS[level]);
+  if (unknown) {
+    throw new Error(`Unknown AI level "${unknown}"`);
+  }
+  if (!Object.hasOwn(BOARD_SIZES, values['board-size'])) {
+    throw new Error(`Unknown board size "${values['board-size']}"`);
+  }
+  if (!rules.PENTAGON_RULES.includes(values['pentagon-rule'])) {
+    throw new Error(`Unknown pentagon rule "${values['pentagon-rule']}"`);
+  }
+
+  return {
+    format: values.format,
+    settings: {
+      games: wholeNumber('games', values.games, 1),
+      levels,
+      seed: values.seed,
+      boardSize: values['board-size'],
+      pentagonRule: values['pentagon-rule'],
+      targetScore: wholeNumber('target', values.target, 1)
+    }
+  };
+}
+
+// `node game-simulator.js` runs a batch; importing the module does not.
+// Only option errors come with the usage.
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  let options;
+  try {
+    options = readOptions(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exitCode = 1;
+  }
+
+  if (options === null) {
+    console.log(USAGE);
+  } else if (options) {
+    const summary = simulateGames(options.settings);
+    console.log(options.format === 'csv' ? summaryToCsv(summary) : JSON.stringify(summary, null, 2));
+  }
+}
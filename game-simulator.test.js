@@ -0,0 +1,70 @@
+// Spherical Catan - Game Simulator Tests
+//
+// Run with `npm test` (node --test).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { BOARD_SIZES, buildGoldbergBoard } from './board-geometry.js';
+import { createInitialState, defaultGameOptions } from './game-setup.js';
+import { aiMove } from './ai-player.js';
+import { playGame, simulateGames, summaryToCsv } from './game-simulator.js';
+
+const LEVELS = ['hard', 'normal', 'easy'];
+
+function newGame(seed, levels = LEVELS, pentagonRule = 'normal') {
+  const { faces } = buildGoldbergBoard(BOARD_SIZES.standard);
+  const players = levels.map(level => ({ name: level, color: 0 }));
+  return createInitialState(faces, players, defaultGameOptions({ seed, pentagonRule }));
+}
+
+test('a batch is reproducible from its seed and accounts for every game', () => {
+  const summary = simulateGames({ games: 3, levels: LEVELS, seed: 'sim-test' });
+
+  assert.deepEqual(simulateGames({ games: 3, levels: LEVELS, seed: 'sim-test' }), summary);
+  assert.equal(summary.wins.reduce((sum, wins) => sum + wins, 0) + summary.unfinished + summary.errors.length, 3);
+  Object.values(summary.production).forEach(({ histogram }) =>
+    assert.equal(Object.values(histogram).reduce((sum, games) => sum + games, 0), 3));
+  assert.match(summaryToCsv(summary), /^metric,key,value\ngames,,3\n/);
+});
+
+test('a rejected AI move ends that game with an error instead of the batch', () => {
+  // Past setup, the first seat tries to end its turn before rolling
+  const move = (state, seat, level) =>
+    state.phase === 'main' && seat === state.currentPlayer ? ['endTurn'] : aiMove(state, seat, level);
+  const result = playGame(newGame('sim-test-0'), LEVELS, move);
+
+  assert.equal(result.winner, null);
+  assert.equal(result.turns, 0);
+  assert.match(result.error, /endTurn was rejected in turn 0: Roll the dice/);
+});
+
+test('AI seats build roads for Longest Road once no settlement spot is left in reach', () => {
+  // Every seat used to end up with cities only and no road worth building,
+  // and the game ran out of turns
+  const levels = ['easy', 'hard', 'normal', 'easy', 'hard', 'normal'];
+  const result = playGame(newGame('qgold-7', levels, 'gold'), levels);
+
+  assert.equal(result.error, null);
+  assert.notEqual(result.winner, null);
+});
+
+test('unknown settings are refused before any game is played', () => {
+  assert.throws(() => simulateGames({ levels: ['normal', 'expert'] }), /Unknown AI level "expert"/);
+  assert.throws(() => simulateGames({ boardSize: 'tiny' }), /Unknown board size "tiny"/);
+  assert.throws(() => simulateGames({ boardSize: 'toString' }), /Unknown board size/);
+  assert.throws(() => simulateGames({ pentagonRule: 'lava' }), /Unknown pentagon rule "lava"/);
+});
+
+test('the command line refuses bad options with its usage', () => {
+  const script = fileURLToPath(new URL('./game-simulator.js', import.meta.url));
+  const run = (...args) => spawnSync(process.execPath, [script, ...args], { encoding: 'utf8' });
+
+  const games = run('--games', '0');
+  assert.equal(games.status, 1);
+  assert.match(games.stderr, /^--games needs a whole number of at least 1, got "0"\n\nUsage: /);
+  assert.match(run('--format', 'xml').stderr, /Unknown format "xml"/);
+  assert.match(run('--pentagon-rule', 'lava').stderr, /^Unknown pentagon rule "lava"\n\nUsage: /);
+  assert.match(run('--help').stdout, /^Usage: node game-simulator.js/);
+});
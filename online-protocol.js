@@ -0,0 +1,61 @@
+// Spherical Catan - Online Protocol
+//
+// Messages between the browser game and the game server, JSON over a
+// WebSocket. The server owns the game; clients only send intents and render
+// the snapshots they get back.
+//
+// Client -> server
+//   { type: 'create', name, color, options } open a room with these game options
+//   { type: 'join', code, name, color }      take a seat in a room
+//   { type: 'rejoin', code, token }          back into your seat after a dropped connection
+//   { type: 'watch', code }                  follow a room as a spectator
+//   { type: 'transfer', seat }               host only, hand the host role to another player
+//   { type: 'start' }                        host only, deals the board
+//   { type: 'action', action, args }         an engine command, e.g. buildRoad [edgeId]
+//   { type: 'undo' } / { type: 'redo' }
+//
+// Server -> client
+//   { type: 'lobby', code, seat, token, host, players: [{ name, color, connected }],
+//     spectators, options, started }
+//       seat and token are null for spectators; the token rejoins the seat
+//   { type: 'state', state, event, undo, redo, timeLeft }
+//       state is the playerView of the seat (no topology), event the action
+//       that led to it ({ type, player } or null, type 'timeout' when the
+//       turn timer ran out), undo/redo the log checks and timeLeft the
+//       milliseconds left on the turn timer or null
+//   { type: 'rejected', reason }             an action or undo the rules refused
+//   { type: 'error', reason }                a request outside the game failed
+
+export const DEFAULT_SERVER_PORT = 8787;
+
+// Room codes leave out letters that read like digits
+export const ROOM_CODE_LETTERS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+export const ROOM_CODE_LENGTH = 5;
+
+// WebSocket close code for a connection whose seat was rejoined from
+// elsewhere; it must not try to win the seat back
+export const SEAT_TAKEN_CLOSE_CODE = 4001;
+
+// Shortest turn timer a room may be created with
+export const MIN_TURN_SECONDS = 15;
+
+// Arguments each action takes from the client, by action name. Anything
+// beyond these (like the engine's random override) is dropped.
+export const ACTION_ARGUMENTS = {
+  buildRoad: 1,
+  buildSettlement: 1,
+  upgradeToCity: 1,
+  buyDevCard: 0,
+  playDevCard: 2,
+  rollDice: 0,
+  pickGold: 2,
+  discard: 2,
+  moveRobber: 1,
+  steal: 1,
+  bankTrade: 2,
+  proposeTrade: 1,
+  respondToTrade: 3,
+  acceptCounter: 1,
+  cancelTrade: 0,
+  endTurn: 0
+};
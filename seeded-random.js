@@ -0,0 +1,39 @@
+// Spherical Catan - Seeded Random Numbers
+//
+// A small deterministic PRNG (mulberry32) so boards, decks and dice can be
+// reproduced from a seed. The generator state is a single 32-bit integer,
+// which lets the game state carry it around as plain JSON.
+
+// Hash any string seed into a 32-bit generator state
+export function hashSeed(seed) {
+  let hash = 2166136261;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+}
+
+// Advance the generator; returns a float in [0, 1) and the next state
+export function stepRandom(rngState) {
+  const next = (rngState + 0x6D2B79F5) >>> 0;
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, next };
+}
+
+// Math.random-compatible function for a seed
+export function createRandom(seed) {
+  let rngState = hashSeed(seed);
+  return () => {
+    const { value, next } = stepRandom(rngState);
+    rngState = next;
+    return value;
+  };
+}
+
+// Short human-friendly seed for new games
+export function randomSeed() {
+  return Math.random().toString(36).slice(2, 8);
+}
@@ -1,18 +1,63 @@
 // Spherical Catan - Three.js Implementation
+import * as rules from './catan-engine.js';
+import { buildTopology, parseEdgeId } from './board-topology.js';
+import { BOARD_SIZES, DEFAULT_BOARD_SIZE, boardTileCount, buildGoldbergBoard } from './board-geometry.js';
+import { randomSeed } from './seeded-random.js';
+import { boardCodeTileCount, encodeBoard } from './board-code.js';
+import { DEFAULT_BALANCE, evaluateLayout, pips } from './board-balance.js';
+import { createInitialState, decodeBoardForRule, defaultGameOptions } from './game-setup.js';
+import { clearAutosave, parseSave, readAutosave, restoreLog, restoreState, serializeGame, writeAutosave } from './game-save.js';
+import { ActionLog } from './action-log.js';
+import { TradePanel } from './trade-panel.js';
+import { AI_LEVELS, aiMove, idleMove, spotValue, tileYield } from './ai-player.js';
+import { CameraDirector } from './camera-director.js';
+import { SEAT_TAKEN_CLOSE_CODE } from './online-protocol.js';
+import {
+  GameConnection,
+  clearOnlineSeat,
+  defaultServerUrl,
+  readOnlineSeat,
+  saveOnlineSeat
+} from './game-connection.js';
 
-// Main game class
+// Main game class - renders the rules engine state and forwards clicks to it
 class SphericalCatan {
-  constructor(containerId, THREE, OrbitControls) {
-    // Game state
-    this.players = [];
-    this.currentPlayer = 0;
-    this.gamePhase = 'setup'; // setup, main, end
-    this.resourceTypes = ['wood', 'brick', 'wheat', 'sheep', 'ore', 'desert'];
-    this.diceValues = [2, 3, 3, 4, 4, 5, 5, 6, 6, 8, 8, 9, 9, 10, 10, 11, 11, 12];
-    
-    // Constants for geometry
-    this.CORRECT_EDGE_LENGTH = 1.7525; // Edge length for the truncated icosahedron
-    this.EDGE_TOLERANCE = 0.01; // Tolerance for edge length comparison
+  constructor(containerId, THREE, OrbitControls, options = {}) {
+    // Game state lives in the rules engine; this is only the latest snapshot
+    this.state = null;
+    this.options = options;
+    
+    // Online games: the connection to the game server, our seat and the
+    // room as the server last described it
+    this.net = null;
+    this.seat = null;
+    this.room = null;
+    
+    // Hot-seat games: the player whose hand the screen was last handed to,
+    // the player it is being passed to (hands stay hidden until they take
+    // it) and each player's camera position when they passed it on
+    this.screenPlayer = null;
+    this.passing = null;
+    this.viewpoints = {};
+    this.passScreen = null;
+    
+    // Pending move of an AI seat
+    this.aiTimer = null;
+    
+    // Placement heatmap on the vertices, and the next of its best spots the
+    // camera jumps to
+    this.heatmap = false;
+    this.heatmapJump = 0;
+    
+    // Last state the camera director looked at for events to follow
+    this.directedState = null;
+    
+    // Constants for the board shape; bigger boards grow the sphere instead of
+    // shrinking the tiles
+    this.BOARD_GEOMETRY = {
+      edgeLength: 1.75,   // Average tile edge length in world units
+      cameraDistance: 2.3 // Starting camera distance in board radii
+    };
     
     // Constants for elevation
     this.ELEVATION = {
@@ -85,6 +130,104 @@ class SphericalCatan {
       }
     };
     
+    // Resource colors and icons for UI elements
+    this.RESOURCE_STYLES = {
+      wood: { color: '#8B4513', icon: '🌳' },
+      brick: { color: '#D32F2F', icon: '🧱' },
+      wheat: { color: '#FFD700', icon: '🌾' },
+      sheep: { color: '#81C784', icon: '🐑' },
+      ore: { color: '#757575', icon: '⛏️' }
+    };
+    
+    // Constants for harbor markers
+    this.HARBOR_GEOMETRY = {
+      size: 0.6,        // Width and height of the marker plane
+      inset: 0.35,      // How far the marker sits from the edge towards the pentagon center
+      elevation: 1.02   // How far markers stick out from the surface
+    };
+    
+    // Tile colors, also shown in the board legend
+    this.TILE_COLORS = {
+      wheat: 0xFFEB3B,    // Yellow for fields
+      wood: 0x33691E,     // Dark green for forest
+      sheep: 0x81C784,    // Light green for pastures
+      ore: 0x757575,      // Gray for mountains
+      brick: 0xD32F2F,    // Red for hills
+      gold: 0xFFB300,     // Amber for gold fields
+      desert: 0xD2B48C    // Tan for desert
+    };
+    
+    // Names, legend text and pentagon tint for each pentagon ruleset
+    this.PENTAGON_RULES = {
+      normal: { label: 'Ordinary', description: 'Pentagons are ordinary resource tiles' },
+      gold: { label: 'Gold fields', description: 'Gold fields pay out any resource you pick' },
+      double: { label: 'Double yield', description: 'Pentagons pay out twice', emissive: 0x1A237E },
+      volcano: {
+        label: 'Volcanoes',
+        description: 'On its roll a volcano hits one corner: a settlement there is destroyed, a city becomes a settlement. A last settlement is spared',
+        emissive: 0x7F1D00
+      },
+      poles: { label: 'Desert poles', description: 'The deserts sit on two opposite pentagons' }
+    };
+    
+    // Logged actions as shown in the replay
+    this.ACTION_LABELS = {
+      buildRoad: 'build road',
+      buildSettlement: 'build settlement',
+      upgradeToCity: 'upgrade to city',
+      buyDevCard: 'buy development card',
+      playDevCard: 'play development card',
+      rollDice: 'roll',
+      pickGold: 'pick gold',
+      discard: 'discard',
+      moveRobber: 'move robber',
+      steal: 'steal',
+      bankTrade: 'trade with the bank',
+      proposeTrade: 'offer trade',
+      respondToTrade: 'answer trade',
+      acceptCounter: 'accept counter-offer',
+      cancelTrade: 'cancel trade',
+      endTurn: 'end turn',
+      undo: 'Undo',
+      redo: 'Redo'
+    };
+    
+    // Time between steps when a replay plays
+    this.REPLAY_STEP_MS = 600;
+    
+    // Pause before each AI move, so its moves can be followed on the board
+    this.AI_MOVE_MS = 700;
+    
+    // Placement heatmap: spots "jump to best" cycles through, and the color
+    // of spots the player cannot settle
+    this.HEATMAP = {
+      candidates: 3,
+      dimColor: 0x333333
+    };
+    
+    // Display names for development cards
+    this.DEV_CARD_LABELS = {
+      knight: 'Knight',
+      roadBuilding: 'Road Building',
+      yearOfPlenty: 'Year of Plenty',
+      monopoly: 'Monopoly',
+      victoryPoint: 'Victory Point'
+    };
+    
+    // Constants for robber geometry
+    this.ROBBER_GEOMETRY = {
+      body: {
+        topRadius: 0.12,
+        bottomRadius: 0.22,
+        height: 0.5,
+        segments: 12
+      },
+      head: {
+        radius: 0.14,
+        segments: 12
+      }
+    };
+    
     // Constants for city geometry
     this.CITY_GEOMETRY = {
       base: {
@@ -124,6 +267,7 @@ class SphericalCatan {
     this.controls = new OrbitControls(this.camera, this.renderer.domElement);
     this.controls.enableDamping = true;
     this.controls.dampingFactor = 0.05;
+    this.director = new CameraDirector(this.THREE, this.camera, this.controls);
     
     // Lighting
     const ambientLight = new this.THREE.AmbientLight(0xffffff, 1.0);
@@ -140,9 +284,6 @@ class SphericalCatan {
     
     // Game board
     this.board = null;
-    this.tiles = [];
-    this.edges = [];
-    this.vertices = [];
     
     // Add UI container
     this.uiContainer = document.createElement('div');
@@ -197,23 +338,39 @@ class SphericalCatan {
     titleContainer.appendChild(title);
     this.container.appendChild(titleContainer);
     
-    // Add building state
+    // Building meshes, kept in sync with this.state.buildings
     this.buildings = {
-      roads: new Map(), // edgeKey -> mesh
+      roads: new Map(), // edgeId -> mesh
       settlements: new Map(), // vertexIndex -> mesh
       cities: new Map() // vertexIndex -> mesh
     };
     
-    // Add player state
-    this.currentPlayer = {
-      color: 0x0000FF, // Blue
-      resources: {
-        wood: 100,
-        brick: 100,
-        wheat: 100,
-        sheep: 100,
-        ore: 100
-      }
+    // Default names and colors offered in the new game dialog
+    this.PLAYER_PRESETS = [
+      { name: 'Blue', color: 0x0000FF },
+      { name: 'Red', color: 0xD50000 },
+      { name: 'Orange', color: 0xFF6D00 },
+      { name: 'Purple', color: 0x6A1B9A },
+      { name: 'Black', color: 0x212121 },
+      { name: 'Pink', color: 0xEC407A }
+    ];
+    
+    // Players of the current game ({ name, color })
+    this.playerConfig = [];
+    
+    // Per-frame animation callbacks, see animate()
+    this.animations = [];
+    
+    // ms between attempts to get back into an online game
+    this.RECONNECT_DELAY = 2000;
+    
+    // Constants for the dice roll
+    this.DICE_ANIMATION = {
+      size: 0.6,
+      rollDuration: 1200,   // ms of tumbling before the dice settle
+      settleDuration: 300,  // ms to turn onto the rolled faces
+      hideDelay: 2500,      // ms the result stays on screen
+      pulseDuration: 2000   // ms producing number discs pulse
     };
     
     // Initialize the game
@@ -224,460 +381,527 @@ class SphericalCatan {
   }
   
   init() {
-    this.createBoard();
     this.setupEventListeners();
+    this.createHud();
+    this.tradePanel = new TradePanel(this);
+    
+    // Start right away when players were passed in, otherwise get back into
+    // the online game of this tab or pick up the auto-saved game, otherwise
+    // ask for players
+    const onlineSeat = readOnlineSeat();
+    const autosave = readAutosave();
+    if (this.options.players) {
+      this.startGame(this.options.players);
+    } else if (onlineSeat) {
+      this.rejoinOnline(onlineSeat);
+    } else if (!autosave || !this.restoreGame(autosave)) {
+      this.showNewGameDialog();
+    }
   }
   
-  createBoard() {
-    const radius = 5;
-    const geometry = new this.THREE.IcosahedronGeometry(radius);
-    
-    // Store original vertices before truncation
-    const originalVertices = [];
-    const positions = geometry.attributes.position;
-    for (let i = 0; i < positions.count; i++) {
-      originalVertices.push(new this.THREE.Vector3(
-        positions.getX(i),
-        positions.getY(i),
-        positions.getZ(i)
-      ));
-    }
-    
-    // Truncate the icosahedron to create pentagons and hexagons
-    this.truncateIcosahedron(geometry);
-    
-    // Create points to visualize vertices
-    const pointsMaterial = new this.THREE.PointsMaterial({ 
-      color: 0xffffff,
-      size: 0.2,
-      sizeAttenuation: true
-    });
-    
-    this.board = new this.THREE.Points(geometry, pointsMaterial);
-    this.scene.add(this.board);
-    
-    // Store vertices for later use
-    this.truncatedVertices = [];
-    const newPositions = geometry.attributes.position;
-    for (let i = 0; i < newPositions.count; i++) {
-      this.truncatedVertices.push(new this.THREE.Vector3(
-        newPositions.getX(i),
-        newPositions.getY(i),
-        newPositions.getZ(i)
-      ));
+  // Rebuild a saved game through the same visual builders as a new one
+  restoreGame(text) {
+    try {
+      const { options, state, log } = parseSave(text);
+      // Checked before the board goes into the scene, which a failed
+      // restore would leave behind
+      this.checkSavedBoard(options, state);
+      this.gameOptions = defaultGameOptions(options);
+      this.createBoardGeometry(options.boardSize);
+      this.state = restoreState(state, this.faces);
+      this.log = restoreLog(log, this.state);
+    } catch (error) {
+      console.warn('Could not restore the saved game:', error);
+      clearAutosave();
+      return false;
     }
-    
-    // Add edges, faces, and vertices visualization
-    this.addEdgeVisualization();
-    this.addFaceVisualization();
-    this.addVertexVisualization();
+    this.playerConfig = this.state.players.map(({ name, color }) => ({ name, color }));
+    this.createBoardVisuals();
+    this.showState();
+    return true;
   }
   
-  mergeCloseVertices(vertices, tolerance = 0.001) {
-    const mergedVertices = [];
-    const vertexMap = new Map(); // Maps original index to merged index
-    
-    for (let i = 0; i < vertices.length; i++) {
-      const v1 = vertices[i];
-      let foundMatch = false;
-      
-      // Check if this vertex is close to any existing merged vertex
-      for (let j = 0; j < mergedVertices.length; j++) {
-        const v2 = mergedVertices[j];
-        if (v1.distanceTo(v2) < tolerance) {
-          vertexMap.set(i, j);
-          foundMatch = true;
-          break;
-        }
-      }
-      
-      // If no match found, add as new vertex
-      if (!foundMatch) {
-        vertexMap.set(i, mergedVertices.length);
-        mergedVertices.push(v1.clone());
-      }
+  // Throws unless the save was made on one of the board sizes
+  checkSavedBoard(options, state) {
+    const size = BOARD_SIZES[options.boardSize];
+    if (!size || !Array.isArray(state.tiles) || boardTileCount(size) !== state.tiles.length) {
+      throw new Error('The saved board does not match any board size');
     }
-    
-    return {
-      vertices: mergedVertices,
-      vertexMap: vertexMap
+  }
+  
+  saveGame() {
+    const blob = new Blob([serializeGame(this.state, this.gameOptions, this.log)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `spherical-catan-${this.state.seed}-turn-${this.state.turnNumber}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+  
+  // Loading goes through the auto-save slot and a fresh page, like New Game
+  loadGame() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.onchange = () => {
+      const file = input.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        const { options, state } = parseSave(text);
+        this.checkSavedBoard(options, state);
+        writeAutosave(text);
+        window.location.reload();
+      }).catch(error => this.showMessage(error.message));
     };
+    input.click();
   }
   
-  truncateIcosahedron(geometry) {
-    // Get the original vertices and faces
-    const positions = geometry.attributes.position;
-    const originalVertices = [];
-    const originalFaces = [];
-    
-    // Store original vertices
-    for (let i = 0; i < positions.count; i++) {
-      originalVertices.push(new this.THREE.Vector3(
-        positions.getX(i),
-        positions.getY(i),
-        positions.getZ(i)
-      ));
+  newGame() {
+    if (this.state && this.state.phase !== 'end' && !window.confirm('Abandon the current game?')) return;
+    // Leaving an online game keeps the local auto-save
+    if (this.net) this.leaveOnline();
+    else clearAutosave();
+    window.location.reload();
+  }
+  
+  autosave() {
+    writeAutosave(serializeGame(this.state, this.gameOptions, this.log));
+  }
+  
+  // Online games: host, join or watch a room on the game server. The lobby
+  // dialog takes over once the server answers; until then errors go to
+  // onError.
+  goOnline(url, type, message, onError) {
+    if (this.net) return;
+    this.serverUrl = url;
+    this.onlineError = onError;
+    this.connect(type, message);
+  }
+  
+  connect(type, message) {
+    try {
+      this.net = new GameConnection(this.serverUrl, reply => this.handleServerMessage(reply), closeCode => this.connectionClosed(closeCode));
+    } catch (error) {
+      this.net = null;
+      this.onlineError(`${this.serverUrl} is not a server address`);
+      return;
     }
-    
-    // Create indices for the original icosahedron faces
-    // Each face is a triangle with 3 vertices
-    for (let i = 0; i < positions.count; i += 3) {
-      originalFaces.push([i, i + 1, i + 2]);
+    this.net.send(type, message);
+  }
+  
+  // Pick up the seat this tab played in, e.g. after a reload
+  rejoinOnline({ url, code, token }) {
+    this.goOnline(url, token ? 'rejoin' : 'watch', { code, token }, reason => {
+      console.warn('Could not rejoin the online game:', reason);
+      this.leaveOnline();
+      this.showNewGameDialog();
+    });
+  }
+  
+  leaveOnline() {
+    clearOnlineSeat();
+    clearTimeout(this.reconnectTimer);
+    if (this.net) this.net.close();
+    this.net = null;
+    this.room = null;
+    this.seat = null;
+  }
+  
+  // Keep trying to get back into the seat while the board stays read-only
+  // behind the dialog, unless another window took the seat over
+  connectionClosed(closeCode) {
+    if (!this.room) {
+      this.net = null;
+      this.onlineError(`Could not reach the game server at ${this.serverUrl}`);
+      return;
     }
-    
-    // Create new vertices for the truncated icosahedron
-    const newVertices = [];
-    const newFaces = [];
-    
-    // First pass: create hexagons from original faces
-    for (let i = 0; i < originalFaces.length; i++) {
-      const face = originalFaces[i];
-      const v1 = originalVertices[face[0]];
-      const v2 = originalVertices[face[1]];
-      const v3 = originalVertices[face[2]];
-      
-      const hexagonVertices = [
-        this.truncatePoint(v1, v2, 0.33333),
-        this.truncatePoint(v2, v1, 0.33333),
-        this.truncatePoint(v2, v3, 0.33333),
-        this.truncatePoint(v3, v2, 0.33333),
-        this.truncatePoint(v3, v1, 0.33333),
-        this.truncatePoint(v1, v3, 0.33333)
-      ];
-      
-      const hexagonIndices = hexagonVertices.map(v => {
-        const index = newVertices.length;
-        newVertices.push(v);
-        return index;
-      });
-      
-      newFaces.push({
-        type: 'hexagon',
-        vertices: hexagonIndices,
-        indices: this.createPolygonIndices(hexagonIndices)
-      });
+    if (closeCode === SEAT_TAKEN_CLOSE_CODE) {
+      const { dialog } = this.createDialog('Playing elsewhere');
+      const text = document.createElement('p');
+      text.textContent = 'Your seat was taken over by another window.';
+      dialog.appendChild(text);
+      dialog.appendChild(this.createHudButton('New Game', () => {
+        this.leaveOnline();
+        window.location.reload();
+      }));
+      return;
     }
     
-    console.log('=== Hexagon Creation ===');
-    console.log(`Created ${newFaces.length} hexagons`);
-    console.log(`Total hexagon vertices before merging: ${newVertices.length}`);
-    
-    // Merge close vertices
-    const { vertices: mergedVertices, vertexMap } = this.mergeCloseVertices(newVertices);
-    console.log(`Total vertices after merging: ${mergedVertices.length}`);
-    
-    // Update face indices to use merged vertices
-    newFaces.forEach(face => {
-      face.vertices = face.vertices.map(v => vertexMap.get(v));
-      face.indices = this.createPolygonIndices(face.vertices);
-    });
-    
-    // Second pass: create edges between hexagon vertices
-    const edges = new Set();
-    const TOLERANCE = this.EDGE_TOLERANCE;
-    
-    // Helper function to get the other vertex of an edge
-    const getOtherVertex = (edge, vertex) => {
-      const [v1, v2] = edge.split(',').map(Number);
-      return v1 === vertex ? v2 : v1;
-    };
-    
-    console.log('\n=== Edge Creation ===');
-    console.log(`Looking for edges with length ${this.CORRECT_EDGE_LENGTH} ± ${TOLERANCE}`);
-    
-    // First, find all edges between hexagon vertices
-    const allEdges = new Set();
-    for (let i = 0; i < mergedVertices.length; i++) {
-      for (let j = i + 1; j < mergedVertices.length; j++) {
-        const v1 = mergedVertices[i];
-        const v2 = mergedVertices[j];
-        const distance = v1.distanceTo(v2);
-        
-        if (Math.abs(distance - this.CORRECT_EDGE_LENGTH) < TOLERANCE) {
-          const edgeKey = `${Math.min(i, j)},${Math.max(i, j)}`;
-          allEdges.add(edgeKey);
-        }
-      }
+    if (!this.reconnectDialog) {
+      const { overlay, dialog } = this.createDialog('Connection lost');
+      this.reconnectDialog = overlay;
+      const text = document.createElement('p');
+      text.textContent = 'Reconnecting to the game server…';
+      dialog.appendChild(text);
+      dialog.appendChild(this.createHudButton('Leave', () => {
+        this.leaveOnline();
+        window.location.reload();
+      }));
+      this.onlineError = reason => {
+        text.textContent = reason;
+        clearTimeout(this.reconnectTimer);
+      };
     }
-    
-    console.log(`Found ${allEdges.size} total edges between hexagon vertices`);
-    
-    // Find edges that are shared between hexagons
-    const sharedEdges = new Set();
-    for (const edge of allEdges) {
-      const [v1, v2] = edge.split(',').map(Number);
-      let sharedCount = 0;
-      
-      // Count how many hexagons share this edge
-      for (const face of newFaces) {
-        if (face.type === 'hexagon') {
-          const vertices = face.vertices;
-          // Check if both vertices of the edge are in this hexagon
-          if (vertices.includes(v1) && vertices.includes(v2)) {
-            sharedCount++;
-          }
-        }
+    const { token } = this.room;
+    this.reconnectTimer = setTimeout(() => {
+      this.connect(token ? 'rejoin' : 'watch', { code: this.room.code, token });
+    }, this.RECONNECT_DELAY);
+  }
+  
+  handleServerMessage(message) {
+    if (message.type === 'lobby') {
+      this.room = message;
+      this.seat = message.seat;
+      saveOnlineSeat({ url: this.serverUrl, code: message.code, token: message.token });
+      if (this.reconnectDialog) {
+        this.reconnectDialog.remove();
+        this.reconnectDialog = null;
       }
-      
-      // If edge is shared by two hexagons, add it to shared edges
-      if (sharedCount === 2) {
-        sharedEdges.add(edge);
+      if (!message.started) {
+        this.showLobbyDialog();
+      } else if (this.lobbyDialog) {
+        this.lobbyDialog.remove();
+        this.lobbyDialog = null;
+      }
+      if (this.state) {
+        this.onlineError = reason => this.showMessage(reason);
+        this.updateHud();
       }
+    } else if (message.type === 'state') {
+      this.receiveState(message);
+    } else if (message.type === 'rejected') {
+      this.showMessage(message.reason);
+      // Bring back a dialog whose answer was refused
+      this.robberDialogKey = null;
+      if (this.state) this.updateRobberUi();
+    } else if (message.type === 'error') {
+      // Without a room there is nothing to stay connected for
+      if (!this.room) {
+        this.net.close();
+        this.net = null;
+      }
+      this.onlineError(message.reason);
     }
-    
-    console.log(`Found ${sharedEdges.size} edges shared between hexagons`);
-    
-    // The remaining edges should form our pentagons
-    const pentagonEdges = new Set([...allEdges].filter(edge => !sharedEdges.has(edge)));
-    console.log(`Found ${pentagonEdges.size} edges for pentagons`);
-    
-    // Group pentagon edges by vertex
-    const vertexEdges = new Map();
-    for (const edge of pentagonEdges) {
-      const [v1, v2] = edge.split(',').map(Number);
-      
-      // Add edge to v1's list
-      if (!vertexEdges.has(v1)) vertexEdges.set(v1, new Set());
-      vertexEdges.get(v1).add(edge);
-      
-      // Add edge to v2's list
-      if (!vertexEdges.has(v2)) vertexEdges.set(v2, new Set());
-      vertexEdges.get(v2).add(edge);
+  }
+  
+  // Snapshots come without the topology; it follows from the board size.
+  // The first one builds the board, also when rejoining after a reload.
+  receiveState({ state, event, undo, redo, timeLeft }) {
+    this.remoteHistory = { undo, redo };
+    this.turnDeadline = timeLeft === null ? null : performance.now() + timeLeft;
+    if (!this.state) {
+      this.gameOptions = this.room.options;
+      this.createBoardGeometry(this.gameOptions.boardSize);
+      this.topology = buildTopology(this.faces);
+      this.state = { ...state, topology: this.topology };
+      this.playerConfig = this.state.players.map(({ name, color }) => ({ name, color }));
+      this.onlineError = reason => this.showMessage(reason);
+      this.createBoardVisuals();
+      this.showState();
+      this.animations.push(() => this.updateTurnClock());
+      return;
     }
     
-    // Find cycles of 5 edges to form pentagons
-    const processedEdges = new Set();
-    let pentagonCount = 0;
-    
-    // Try to find cycles starting from each edge
-    for (const startEdge of pentagonEdges) {
-      if (processedEdges.has(startEdge)) continue;
-      
-      const [startV1, startV2] = startEdge.split(',').map(Number);
-      const cycle = [startEdge];
-      let currentVertex = startV2;
-      let foundCycle = false;
-      
-      // Try to find a cycle of 5 edges
-      while (cycle.length < 5) {
-        const connectedEdges = vertexEdges.get(currentVertex);
-        if (!connectedEdges) break;
-        
-        let nextEdge = null;
-        // Find an unprocessed edge that connects to current vertex
-        for (const edge of connectedEdges) {
-          if (!processedEdges.has(edge) && !cycle.includes(edge)) {
-            nextEdge = edge;
-            break;
-          }
-        }
-        
-        if (!nextEdge) break;
-        
-        cycle.push(nextEdge);
-        currentVertex = getOtherVertex(nextEdge, currentVertex);
-        
-        // If we've reached the start vertex, we found a cycle
-        if (currentVertex === startV1) {
-          foundCycle = true;
-          break;
-        }
+    const next = { ...state, topology: this.topology };
+    if (this.rolling) {
+      // Shown once the dice have landed
+      this.pendingState = next;
+    } else if (event && event.type === 'rollDice') {
+      this.rolling = true;
+      this.playDiceAnimation(next.dice, () => {
+        this.rolling = false;
+        this.state = this.pendingState || next;
+        this.pendingState = null;
+        this.showState();
+        this.pulseProducingTiles();
+      });
+    } else {
+      this.state = next;
+      this.showState();
+      if (event && event.type === 'timeout') {
+        this.showMessage(`${this.state.players[event.player].name} ran out of time`);
       }
-      
-      // If we found a cycle of 5 edges, create a pentagon
-      if (foundCycle && cycle.length === 5) {
-        console.log(`\n=== Found pentagon! ===`);
-        console.log(`Edges: ${cycle.join(' -> ')}`);
-        
-        pentagonCount++;
-        
-        // Create vertices for the pentagon
-        const faceVertices = [];
-        currentVertex = startV1;
-        
-        // Add vertices in order around the cycle
-        for (const edge of cycle) {
-          faceVertices.push(currentVertex);
-          currentVertex = getOtherVertex(edge, currentVertex);
-          processedEdges.add(edge);
-        }
-        
-        newFaces.push({
-            type: 'pentagon',
-          vertices: faceVertices,
-          indices: this.createPolygonIndices(faceVertices)
-          });
-        }
+    }
+  }
+  
+  // Seconds left on the turn timer, ticking in the HUD line updateHud made
+  updateTurnClock() {
+    if (this.turnClock) {
+      const seconds = this.turnDeadline === null ? null :
+        Math.max(0, Math.ceil((this.turnDeadline - performance.now()) / 1000));
+      this.turnClock.textContent = seconds === null ? '' : `⏱ ${seconds}s left in this turn`;
+    }
+    return true;
+  }
+  
+  // Waiting room: who has joined, and the Start button for the host
+  showLobbyDialog() {
+    if (this.newGameDialog) {
+      this.newGameDialog.remove();
+      this.newGameDialog = null;
+    }
+    if (this.lobbyDialog) this.lobbyDialog.remove();
+    const room = this.room;
+    const isHost = room.seat !== null && room.seat === room.host;
+    const { overlay, dialog } = this.createDialog(`Room ${room.code}`);
+    this.lobbyDialog = overlay;
+    
+    const hint = document.createElement('div');
+    hint.style.color = '#aaa';
+    hint.style.fontSize = '13px';
+    hint.style.marginBottom = '10px';
+    hint.textContent = 'Others join or watch with this room code from the New Game dialog.';
+    dialog.appendChild(hint);
+    
+    const options = document.createElement('div');
+    options.style.fontSize = '13px';
+    options.style.marginBottom = '10px';
+    options.textContent = [
+      `${BOARD_SIZES[room.options.boardSize].label} board`,
+      `${this.PENTAGON_RULES[room.options.pentagonRule].label} pentagons`,
+      `${room.options.targetScore} points to win`,
+      room.options.turnSeconds ? `${room.options.turnSeconds}s per turn` : 'no turn timer'
+    ].join(' · ');
+    dialog.appendChild(options);
+    
+    const toHex = color => `#${color.toString(16).padStart(6, '0')}`;
+    room.players.forEach((player, index) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.marginBottom = '4px';
+      const swatch = document.createElement('span');
+      swatch.style.display = 'inline-block';
+      swatch.style.width = '12px';
+      swatch.style.height = '12px';
+      swatch.style.borderRadius = '2px';
+      swatch.style.backgroundColor = toHex(player.color);
+      const name = document.createElement('span');
+      const notes = [index === room.host && 'host', index === room.seat && 'you'].filter(Boolean);
+      name.textContent = `${player.name}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+      row.appendChild(swatch);
+      row.appendChild(name);
+      if (isHost && index !== room.seat) {
+        row.appendChild(this.createHostButton(index));
       }
+      dialog.appendChild(row);
+    });
     
-    console.log('\n=== Final Results ===');
-    console.log(`Found ${pentagonCount} pentagons`);
-    console.log('Processed edges:', Array.from(processedEdges).join('\n'));
+    if (room.spectators > 0) {
+      const spectators = document.createElement('div');
+      spectators.style.color = '#aaa';
+      spectators.style.fontSize = '13px';
+      spectators.textContent = `${room.spectators} watching${room.seat === null ? ', you included' : ''}`;
+      dialog.appendChild(spectators);
+    }
     
-    // Update the geometry with merged vertices
-    const newPositions = new Float32Array(mergedVertices.length * 3);
-    for (let i = 0; i < mergedVertices.length; i++) {
-      newPositions[i * 3] = mergedVertices[i].x;
-      newPositions[i * 3 + 1] = mergedVertices[i].y;
-      newPositions[i * 3 + 2] = mergedVertices[i].z;
+    const error = document.createElement('div');
+    error.style.color = '#ff6666';
+    error.style.margin = '10px 0';
+    dialog.appendChild(error);
+    this.onlineError = reason => error.textContent = reason;
+    
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '10px';
+    if (isHost) {
+      buttons.appendChild(this.createHudButton('Start Game', () => this.net.send('start'),
+        room.players.length >= rules.MIN_PLAYERS));
+    } else {
+      const waiting = document.createElement('span');
+      waiting.style.color = '#aaa';
+      waiting.textContent = 'Waiting for the host to start';
+      buttons.appendChild(waiting);
     }
+    buttons.appendChild(this.createHudButton('Leave', () => {
+      this.leaveOnline();
+      window.location.reload();
+    }));
+    dialog.appendChild(buttons);
+  }
+  
+  // Small button for the host to hand the host role to another player
+  createHostButton(seat) {
+    const button = this.createHudButton('Make host', () => this.net.send('transfer', { seat }),
+      this.room.players[seat].connected);
+    button.style.padding = '2px 6px';
+    button.style.fontSize = '12px';
+    return button;
+  }
+  
+  startGame(players, options = {}) {
+    this.playerConfig = players;
+    this.gameOptions = defaultGameOptions(options);
+    this.createBoard();
+    this.showState();
+    this.autosave();
+  }
+  
+  // Goldberg polyhedron for the chosen board size, scaled so tiles keep the
+  // same size on every board
+  createBoardGeometry(size) {
+    const { vertices, faces } = buildGoldbergBoard(BOARD_SIZES[size]);
+    const edges = buildTopology(faces).edgeIds.map(id => parseEdgeId(id));
+    const unitEdge = edges.reduce((sum, [i, j]) =>
+      sum + Math.hypot(...vertices[i].map((value, axis) => value - vertices[j][axis])), 0) / edges.length;
+    this.boardRadius = this.BOARD_GEOMETRY.edgeLength / unitEdge;
+    
+    this.faces = faces;
+    this.boardVertices = vertices.map(([x, y, z]) =>
+      new this.THREE.Vector3(x, y, z).multiplyScalar(this.boardRadius));
     
-    // Create indices for all faces
-    const allIndices = [];
-    newFaces.forEach(face => {
-      allIndices.push(...face.indices);
+    // Create points to visualize vertices
+    const geometry = new this.THREE.BufferGeometry().setFromPoints(this.boardVertices);
+    const pointsMaterial = new this.THREE.PointsMaterial({ 
+      color: 0xffffff,
+      size: 0.2,
+      sizeAttenuation: true
     });
     
-    geometry.setAttribute('position', new this.THREE.BufferAttribute(newPositions, 3));
-    geometry.setIndex(allIndices);
-    geometry.computeVertexNormals();
-    
-    // Store vertices and faces for later use
-    this.truncatedVertices = mergedVertices;
-    this.faces = newFaces;
+    this.board = new this.THREE.Points(geometry, pointsMaterial);
+    this.scene.add(this.board);
     
-    // Log counts for debugging
-    console.log(`Created ${newFaces.filter(f => f.type === 'pentagon').length} pentagons`);
-    console.log(`Created ${newFaces.filter(f => f.type === 'hexagon').length} hexagons`);
-    console.log(`Total faces: ${newFaces.length}`);
+    this.camera.position.setLength(this.boardRadius * this.BOARD_GEOMETRY.cameraDistance);
   }
   
-  createPolygonIndices(vertices) {
-    const indices = [];
-    // Create triangles for the polygon using fan triangulation
-    for (let i = 1; i < vertices.length - 1; i++) {
-      indices.push(vertices[0], vertices[i], vertices[i + 1]);
-    }
-    // Add the final triangle to close the polygon
-    indices.push(vertices[0], vertices[vertices.length - 1], vertices[1]);
-    return indices;
+  createBoard() {
+    this.createBoardGeometry(this.gameOptions.boardSize);
+    this.state = createInitialState(this.faces, this.playerConfig, this.gameOptions);
+    this.log = new ActionLog(this.state);
+    this.createBoardVisuals();
   }
   
-  findNeighbors(vertices, vertex) {
-    const neighbors = [];
-    const EDGE_LENGTH = 4; // Length of icosahedron edge
-    const TOLERANCE = 0.1;
-    
-    for (const v of vertices) {
-      if (v !== vertex) {
-        const distance = v.distanceTo(vertex);
-        if (Math.abs(distance - EDGE_LENGTH) < TOLERANCE) {
-          neighbors.push(v);
-        }
-      }
-    }
-    
-    // Sort neighbors clockwise around the vertex
-    if (neighbors.length >= 5) {
-      const normal = vertex.clone().normalize();
-      const firstNeighbor = neighbors[0];
-      const tangent = firstNeighbor.clone().sub(vertex).normalize();
-      const bitangent = normal.clone().cross(tangent);
-      
-      neighbors.sort((a, b) => {
-        const aDir = a.clone().sub(vertex);
-        const bDir = b.clone().sub(vertex);
-        const aAngle = Math.atan2(aDir.dot(bitangent), aDir.dot(tangent));
-        const bAngle = Math.atan2(bDir.dot(bitangent), bDir.dot(tangent));
-        return aAngle - bAngle;
-      });
-    }
+  // Meshes and panels for the board of this.state
+  createBoardVisuals() {
+    this.boardCode = encodeBoard(this.state);
+    this.boardReport = evaluateLayout(this.state.topology, this.state.tiles, this.gameOptions.balance || {});
     
-    return neighbors;
+    // Add edges, faces, and vertices visualization
+    this.addEdgeVisualization();
+    this.addFaceVisualization();
+    this.addVertexVisualization();
+    this.addHarborVisualization();
+    this.createBoardLegend();
   }
   
-  truncatePoint(v1, v2, ratio = 0.33) {
-    const direction = v2.clone().sub(v1);
-    const distance = direction.length();
-    return v1.clone().add(
-      direction.normalize().multiplyScalar(distance * ratio)
-    );
+  // Tile colors on this board and what the pentagons do
+  createBoardLegend() {
+    const legend = document.createElement('div');
+    legend.style.position = 'absolute';
+    legend.style.bottom = '20px';
+    legend.style.right = '20px';
+    legend.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    legend.style.padding = '10px 15px';
+    legend.style.borderRadius = '8px';
+    legend.style.color = 'white';
+    legend.style.fontFamily = 'Arial, sans-serif';
+    legend.style.fontSize = '12px';
+    legend.style.maxWidth = '220px';
+    
+    const toHex = color => `#${color.toString(16).padStart(6, '0')}`;
+    const resources = new Set(this.state.tiles.map(tile => tile.resource));
+    Object.entries(this.TILE_COLORS)
+      .filter(([resource]) => resources.has(resource))
+      .forEach(([resource, color]) => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '6px';
+        row.style.marginBottom = '3px';
+        const swatch = document.createElement('span');
+        swatch.style.width = '12px';
+        swatch.style.height = '12px';
+        swatch.style.borderRadius = '2px';
+        swatch.style.backgroundColor = toHex(color);
+        row.appendChild(swatch);
+        row.appendChild(document.createTextNode(resource));
+        legend.appendChild(row);
+      });
+    
+    const rule = this.PENTAGON_RULES[this.state.pentagonRule];
+    const pentagons = document.createElement('div');
+    pentagons.style.marginTop = '8px';
+    pentagons.style.paddingTop = '6px';
+    pentagons.style.borderTop = '1px solid rgba(255,255,255,0.2)';
+    pentagons.style.color = '#ccc';
+    pentagons.innerHTML = `<b>Pentagons: ${rule.label}</b><br>${rule.description}`;
+    legend.appendChild(pentagons);
+    
+    this.container.appendChild(legend);
+    this.legend = legend;
   }
   
   addEdgeVisualization() {
-    // Create a Set to store edges we've already added (to avoid duplicates)
-    const addedEdges = new Set();
-    
     // Store edges for interaction
     this.edgeObjects = [];
-    
-    // Use class property instead of defining a new local constant
-    const TOLERANCE = this.EDGE_TOLERANCE;
-    
-    // For each vertex, find its valid neighbors
-    for (let i = 0; i < this.truncatedVertices.length; i++) {
-      for (let j = i + 1; j < this.truncatedVertices.length; j++) {
-        const v1 = this.truncatedVertices[i];
-        const v2 = this.truncatedVertices[j];
-        const distance = v1.distanceTo(v2);
-        
-        // Only create edge if vertices are the correct distance apart
-        if (Math.abs(distance - this.CORRECT_EDGE_LENGTH) < TOLERANCE) {
-          const edgeKey = `${Math.min(i, j)},${Math.max(i, j)}`;
-          
-          if (!addedEdges.has(edgeKey)) {
-            // Create slightly elevated vertices to ensure edges appear above faces
-            const elevatedV1 = v1.clone().multiplyScalar(this.ELEVATION.edges);
-            const elevatedV2 = v2.clone().multiplyScalar(this.ELEVATION.edges);
-            
-            // Create a cylinder between the two points to represent the edge
-            // Direction from v1 to v2
-            const direction = new this.THREE.Vector3().subVectors(elevatedV2, elevatedV1);
-            const length = direction.length();
-            
-            // Create a cylinder with small radius (thin line)
-            const edgeGeometry = new this.THREE.CylinderGeometry(
-              this.EDGE_GEOMETRY.visual.default.radius,
-              this.EDGE_GEOMETRY.visual.default.radius,
-              length,
-              this.EDGE_GEOMETRY.visual.default.segments,
-              1
-            );
-            
-            // Shift the cylinder so its center is at the origin and it extends along the Y axis
-            edgeGeometry.translate(0, length / 2, 0);
-            
-            // Create the mesh with the geometry
-            const edgeMaterial = new this.THREE.MeshBasicMaterial({
-              color: 0xFFFFFF,
-              opacity: 1.0,
-              transparent: false
-            });
-            
-            const edge = new this.THREE.Mesh(edgeGeometry, edgeMaterial);
-            edge.renderOrder = 1;
-            
-            // Store original info for selection and highlighting
-            edge.userData = {
-              type: 'edge',
-              v1: i,
-              v2: j,
-              defaultColor: 0xFFFFFF,
-              isSelected: false,
-              normalRadius: this.EDGE_GEOMETRY.visual.default.radius,
-              selectedRadius: this.EDGE_GEOMETRY.visual.selected.radius
-            };
-            
-            // Position and orient the cylinder
-            // First position at v1
-            edge.position.copy(elevatedV1);
-            
-            // Then orient along the direction from v1 to v2
-            // We need to find the rotation that takes us from the Y axis to our direction vector
-            const yAxis = new this.THREE.Vector3(0, 1, 0);
-            direction.normalize();
-            
-            // Get quaternion rotation from Y axis to direction
-            const quaternion = new this.THREE.Quaternion().setFromUnitVectors(yAxis, direction);
-            edge.quaternion.copy(quaternion);
-            
-            this.scene.add(edge);
-            this.edgeObjects.push(edge);
-            addedEdges.add(edgeKey);
-          }
-        }
-      }
-    }
+    this.edgeMeshes = new Map(); // edgeId -> mesh
+    
+    // One cylinder per edge of the board topology
+    Object.values(this.state.topology.edges).forEach(({ id, vertices: [i, j] }) => {
+      const v1 = this.boardVertices[i];
+      const v2 = this.boardVertices[j];
+      
+      // Create slightly elevated vertices to ensure edges appear above faces
+      const elevatedV1 = v1.clone().multiplyScalar(this.ELEVATION.edges);
+      const elevatedV2 = v2.clone().multiplyScalar(this.ELEVATION.edges);
+      
+      // Create a cylinder between the two points to represent the edge
+      // Direction from v1 to v2
+      const direction = new this.THREE.Vector3().subVectors(elevatedV2, elevatedV1);
+      const length = direction.length();
+      
+      // Create a cylinder with small radius (thin line)
+      const edgeGeometry = new this.THREE.CylinderGeometry(
+        this.EDGE_GEOMETRY.visual.default.radius,
+        this.EDGE_GEOMETRY.visual.default.radius,
+        length,
+        this.EDGE_GEOMETRY.visual.default.segments,
+        1
+      );
+      
+      // Shift the cylinder so its center is at the origin and it extends along the Y axis
+      edgeGeometry.translate(0, length / 2, 0);
+      
+      // Create the mesh with the geometry
+      const edgeMaterial = new this.THREE.MeshBasicMaterial({
+        color: 0xFFFFFF,
+        opacity: 1.0,
+        transparent: false
+      });
+      
+      const edge = new this.THREE.Mesh(edgeGeometry, edgeMaterial);
+      edge.renderOrder = 1;
+      
+      // Store original info for selection and highlighting
+      edge.userData = {
+        type: 'edge',
+        edgeId: id,
+        v1: i,
+        v2: j,
+        defaultColor: 0xFFFFFF,
+        isSelected: false,
+        normalRadius: this.EDGE_GEOMETRY.visual.default.radius,
+        selectedRadius: this.EDGE_GEOMETRY.visual.selected.radius
+      };
+      
+      // Position and orient the cylinder
+      // First position at v1
+      edge.position.copy(elevatedV1);
+      
+      // Then orient along the direction from v1 to v2
+      // We need to find the rotation that takes us from the Y axis to our direction vector
+      const yAxis = new this.THREE.Vector3(0, 1, 0);
+      direction.normalize();
+      
+      // Get quaternion rotation from Y axis to direction
+      const quaternion = new this.THREE.Quaternion().setFromUnitVectors(yAxis, direction);
+      edge.quaternion.copy(quaternion);
+      
+      this.scene.add(edge);
+      this.edgeObjects.push(edge);
+      this.edgeMeshes.set(id, edge);
+    });
   }
   
   createVertexLabel(vertexIndex, position) {
@@ -714,59 +938,31 @@ class SphericalCatan {
     
     const sprite = new this.THREE.Sprite(material);
     sprite.scale.set(0.3, 0.3, 1);
-    sprite.position.copy(position.normalize().multiplyScalar(5.2));
+    sprite.position.copy(position.normalize().multiplyScalar(this.boardRadius * 1.04));
     sprite.visible = false; // Hidden by default
     
     return sprite;
   }
   
   addFaceVisualization() {
-    // Define Catan resource colors
-    const resourceColors = {
-      wheat: 0xFFEB3B,    // Yellow for fields
-      wood: 0x33691E,     // Dark green for forest
-      sheep: 0x81C784,    // Light green for pastures
-      ore: 0x757575,      // Gray for mountains
-      brick: 0xD32F2F,    // Red for hills
-      desert: 0xD2B48C    // Tan for desert
-    };
-    
-    // Create resource distribution for all 32 tiles (12 pentagons + 20 hexagons)
-    const allResources = [
-      // 6 of each resource (30 resource tiles total)
-      'wheat', 'wheat', 'wheat', 'wheat', 'wheat', 'wheat',
-      'wood', 'wood', 'wood', 'wood', 'wood', 'wood',
-      'sheep', 'sheep', 'sheep', 'sheep', 'sheep', 'sheep',
-      'ore', 'ore', 'ore', 'ore', 'ore', 'ore',
-      'brick', 'brick', 'brick', 'brick', 'brick', 'brick',
-      // 2 deserts
-      'desert', 'desert'
-    ];
-    this.shuffle(allResources);
-    
-    // Create dice number distribution (3 of each number 2-12, excluding 7)
-    const diceNumbers = [];
-    for (let num = 2; num <= 12; num++) {
-      if (num !== 7) {
-        for (let i = 0; i < 3; i++) {
-          diceNumbers.push(num);
-        }
-      }
-    }
-    this.shuffle(diceNumbers);
+    const resourceColors = this.TILE_COLORS;
+    const pentagonStyle = this.PENTAGON_RULES[this.state.pentagonRule];
     
     let tileCount = 0;
     let diceIndex = 0;
     this.faceObjects = [];  // Store faces for interaction
+    this.numberMeshes = new Map(); // faceIndex -> number disc mesh
+    this.tileCenters = []; // faceIndex -> center point on the face
     
     // Create meshes for each face using the pre-identified faces
     this.faces.forEach((face, faceIndex) => {
-      const vertices = face.vertices.map(i => this.truncatedVertices[i]);
+      const vertices = face.vertices.map(i => this.boardVertices[i]);
       
       // Calculate center
       const center = new this.THREE.Vector3();
       vertices.forEach(v => center.add(v.clone())); // Clone vertices before adding
       center.divideScalar(vertices.length);
+      this.tileCenters[faceIndex] = center.clone();
       
       // Create geometry
       const geometry = new this.THREE.BufferGeometry();
@@ -794,8 +990,9 @@ class SphericalCatan {
       geometry.setIndex(indices);
       geometry.computeVertexNormals();
       
-      // Assign resource type from shuffled resources
-      const resourceType = allResources[tileCount];
+      // Resource type and number come from the game state layout
+      const tile = this.state.tiles[faceIndex];
+      const resourceType = tile.resource;
       const color = resourceColors[resourceType];
       
       if (!color) {
@@ -805,7 +1002,9 @@ class SphericalCatan {
       const material = new this.THREE.MeshPhongMaterial({
         color: color || 0x808080, // Fallback to gray if color is undefined
         side: this.THREE.DoubleSide,
-        shininess: face.type === 'pentagon' ? 30 : 10
+        shininess: face.type === 'pentagon' ? 30 : 10,
+        // Pentagons with their own rules glow in the ruleset's tint
+        emissive: face.type === 'pentagon' && pentagonStyle.emissive ? pentagonStyle.emissive : 0x000000
       });
       
       const mesh = new this.THREE.Mesh(geometry, material);
@@ -848,7 +1047,7 @@ class SphericalCatan {
         context.font = 'bold 36px Arial'; // Larger font to fill the space
         context.textAlign = 'center';
         context.textBaseline = 'middle';
-        context.fillText(diceNumbers[diceIndex].toString(), 32, 32);
+        context.fillText(tile.number.toString(), 32, 32);
         
         // Create texture and material
         const texture = new this.THREE.CanvasTexture(canvas);
@@ -860,14 +1059,15 @@ class SphericalCatan {
         
         // Create mesh for the number
         const numberMesh = new this.THREE.Mesh(numberGeometry, numberMaterial);
-        numberMesh.position.copy(center.normalize().multiplyScalar(4.1)); // Move very slightly outward
+        numberMesh.position.copy(center.clone().normalize().multiplyScalar(center.length() * 1.01)); // Just outside the face
         
         // Make the number face outward and fix mirroring
         numberMesh.lookAt(new this.THREE.Vector3(0, 0, 0));
         numberMesh.rotateY(Math.PI); // Fix mirroring by rotating 180 degrees
         
         this.scene.add(numberMesh);
-        mesh.userData.diceValue = diceNumbers[diceIndex];
+        this.numberMeshes.set(faceIndex, numberMesh);
+        mesh.userData.diceValue = tile.number;
         diceIndex++;
       }
       
@@ -882,6 +1082,62 @@ class SphericalCatan {
     console.log(`Assigned ${diceIndex} dice numbers`);
   }
   
+  // A marker disc next to each harbor edge, showing its trade ratio
+  addHarborVisualization() {
+    this.harborObjects = [];
+    
+    this.state.harbors.forEach(harbor => {
+      const canvas = document.createElement('canvas');
+      const context = canvas.getContext('2d');
+      canvas.width = 64;
+      canvas.height = 64;
+      
+      const style = this.RESOURCE_STYLES[harbor.type];
+      context.beginPath();
+      context.arc(32, 32, 28, 0, Math.PI * 2);
+      context.fillStyle = style ? style.color : '#1565C0';
+      context.fill();
+      context.strokeStyle = 'white';
+      context.lineWidth = 3;
+      context.stroke();
+      
+      context.fillStyle = 'white';
+      context.textAlign = 'center';
+      context.textBaseline = 'middle';
+      context.font = 'bold 18px Arial';
+      context.fillText(`${harbor.ratio}:1`, 32, style ? 22 : 32);
+      if (style) {
+        context.font = '18px Arial';
+        context.fillText(style.icon, 32, 44);
+      }
+      
+      const material = new this.THREE.MeshBasicMaterial({
+        map: new this.THREE.CanvasTexture(canvas),
+        side: this.THREE.DoubleSide,
+        transparent: true
+      });
+      const marker = new this.THREE.Mesh(
+        new this.THREE.PlaneGeometry(this.HARBOR_GEOMETRY.size, this.HARBOR_GEOMETRY.size),
+        material
+      );
+      
+      // Between the edge midpoint and the pentagon center
+      const [v1, v2] = harbor.vertices.map(i => this.boardVertices[i]);
+      const midpoint = v1.clone().add(v2).multiplyScalar(0.5);
+      const towardCenter = this.tileCenters[harbor.tile].clone().sub(midpoint).multiplyScalar(this.HARBOR_GEOMETRY.inset);
+      const position = midpoint.clone().add(towardCenter);
+      marker.position.copy(position.normalize().multiplyScalar(midpoint.length() * this.HARBOR_GEOMETRY.elevation));
+      
+      // Face outward like the number discs
+      marker.lookAt(new this.THREE.Vector3(0, 0, 0));
+      marker.rotateY(Math.PI);
+      marker.userData = { type: 'harbor', ...harbor };
+      
+      this.scene.add(marker);
+      this.harborObjects.push(marker);
+    });
+  }
+  
   addDiceValueIndicators() {
     // Add dice value indicators as sprites
     this.faces.forEach((face, index) => {
@@ -920,7 +1176,7 @@ class SphericalCatan {
         });
         const textSprite = new this.THREE.Sprite(textMaterial);
         textSprite.scale.set(0.5, 0.5, 1);
-        textSprite.position.copy(center.normalize().multiplyScalar(5.1));
+        textSprite.position.copy(center.normalize().multiplyScalar(this.boardRadius * 1.02));
         
         // Make the sprite face outward
         textSprite.lookAt(new this.THREE.Vector3(0, 0, 0));
@@ -960,24 +1216,22 @@ class SphericalCatan {
         this.EDGE_GEOMETRY.visual.selected.radius : 
         (isHovered ? this.EDGE_GEOMETRY.visual.hover.radius : this.EDGE_GEOMETRY.visual.default.radius);
       
-      this.edgeObjects.forEach(edge => {
-        if (face.userData.vertices.includes(edge.userData.v1) && 
-            face.userData.vertices.includes(edge.userData.v2)) {
-          const geometry = edge.geometry;
-          const height = geometry.parameters.height;
-          geometry.dispose();
-          
-          const newGeometry = new this.THREE.CylinderGeometry(
-            radius,
-            radius,
-            height,
-            this.EDGE_GEOMETRY.visual.default.segments,
-            1
-          );
-          newGeometry.translate(0, height / 2, 0);
-          edge.geometry = newGeometry;
-          edge.material.color.setHex(color);
-        }
+      this.state.topology.tileEdges[face.userData.faceIndex].forEach(id => {
+        const edge = this.edgeMeshes.get(id);
+        const geometry = edge.geometry;
+        const height = geometry.parameters.height;
+        geometry.dispose();
+        
+        const newGeometry = new this.THREE.CylinderGeometry(
+          radius,
+          radius,
+          height,
+          this.EDGE_GEOMETRY.visual.default.segments,
+          1
+        );
+        newGeometry.translate(0, height / 2, 0);
+        edge.geometry = newGeometry;
+        edge.material.color.setHex(color);
       });
     };
     
@@ -990,6 +1244,7 @@ class SphericalCatan {
     
     // Handle mouse move for hover effect
     this.container.addEventListener('mousemove', (event) => {
+      if (!this.state) return;
       updateMousePosition(event);
       
       // Cast a ray
@@ -1036,7 +1291,7 @@ class SphericalCatan {
           );
           vertex.geometry = newGeometry;
           vertex.rotation.copy(vertex.userData.originalRotation);
-          vertex.material.color.setHex(DEFAULT_COLOR);
+          vertex.material.color.setHex(vertex.userData.defaultColor);
         }
       });
       
@@ -1046,9 +1301,11 @@ class SphericalCatan {
           (!vertexIntersects.length || vertexIntersects[0].distance > faceIntersects[0].distance + 0.1)) {
         const face = faceIntersects[0].object;
         updateFaceEdges(face, false, true);
+        this.showTooltip(this.describeTile(face.userData.faceIndex), event);
       } else if (edgeIntersects.length > 0 && 
                  (!vertexIntersects.length || edgeIntersects[0].distance > vertexIntersects[0].distance + 0.1)) {
         const edge = edgeIntersects[0].object;
+        this.hideTooltip();
         if (!edge.userData.isSelected) {
           const geometry = edge.geometry;
           const height = geometry.parameters.height;
@@ -1066,6 +1323,7 @@ class SphericalCatan {
         }
       } else if (vertexIntersects.length > 0) {
         const vertex = vertexIntersects[0].object;
+        this.showTooltip(this.describeVertex(vertex.userData.vertexIndex), event);
         if (!vertex.userData.isSelected) {
           const geometry = vertex.geometry;
           geometry.dispose();
@@ -1079,11 +1337,15 @@ class SphericalCatan {
           vertex.rotation.copy(vertex.userData.originalRotation);
           vertex.material.color.setHex(HOVER_COLOR);
         }
+      } else {
+        this.hideTooltip();
       }
     });
+    this.container.addEventListener('mouseleave', () => this.hideTooltip());
     
     // Handle click
     this.container.addEventListener('click', (event) => {
+      if (!this.state || this.replay || !this.canActFor(this.state.currentPlayer)) return;
       updateMousePosition(event);
       
       // Cast a ray
@@ -1093,10 +1355,14 @@ class SphericalCatan {
       raycaster.params.Line.threshold = this.EDGE_GEOMETRY.interaction.threshold;
       raycaster.params.Points.threshold = 0.2;
       
-      // Check for intersections in order of priority
-      const faceIntersects = raycaster.intersectObjects(this.faceObjects);
-      const edgeIntersects = raycaster.intersectObjects(this.edgeObjects);
-      const vertexIntersects = raycaster.intersectObjects(this.vertexObjects);
+      // Check for intersections in order of priority. During setup only the
+      // piece the snake draft expects next can be picked.
+      // While the robber has to move only faces can be picked.
+      const setupStep = this.state.phase === 'setup' ? this.state.setup.step : null;
+      const robberStep = setupStep === 'robber' || this.state.turnStep === 'robber';
+      const faceIntersects = setupStep && !robberStep ? [] : raycaster.intersectObjects(this.faceObjects);
+      const edgeIntersects = setupStep === 'settlement' || robberStep ? [] : raycaster.intersectObjects(this.edgeObjects);
+      const vertexIntersects = setupStep === 'road' || robberStep ? [] : raycaster.intersectObjects(this.vertexObjects);
       
       // Reset all highlights first
       this.edgeObjects.forEach(edge => {
@@ -1129,7 +1395,7 @@ class SphericalCatan {
         );
         vertex.geometry = newGeometry;
         vertex.rotation.copy(vertex.userData.originalRotation);
-        vertex.material.color.setHex(DEFAULT_COLOR);
+        vertex.material.color.setHex(vertex.userData.defaultColor);
       });
       
       // Handle selection based on priority
@@ -1137,12 +1403,16 @@ class SphericalCatan {
           (!edgeIntersects.length || edgeIntersects[0].distance > faceIntersects[0].distance + 0.1) &&
           (!vertexIntersects.length || vertexIntersects[0].distance > faceIntersects[0].distance + 0.1)) {
         const face = faceIntersects[0].object;
+        
+        // Faces are robber targets whenever the robber has to move
+        if (robberStep) {
+          this.moveRobber(face.userData.faceIndex);
+          return;
+        }
+        
         // Mark all edges of the face as selected
-        this.edgeObjects.forEach(edge => {
-          if (face.userData.vertices.includes(edge.userData.v1) && 
-              face.userData.vertices.includes(edge.userData.v2)) {
-            edge.userData.isSelected = true;
-          }
+        this.state.topology.tileEdges[face.userData.faceIndex].forEach(id => {
+          this.edgeMeshes.get(id).userData.isSelected = true;
         });
         updateFaceEdges(face, true, false);
         selectedFace = face;
@@ -1171,8 +1441,7 @@ class SphericalCatan {
         selectedVertex = null;
         
         // Show build options for edge
-        const edgeKey = `${edge.userData.v1},${edge.userData.v2}`;
-        this.showBuildOptions('edge', edgeKey);
+        this.showBuildOptions('edge', edge.userData.edgeId);
       } else if (vertexIntersects.length > 0) {
         const vertex = vertexIntersects[0].object;
         vertex.userData.isSelected = true;
@@ -1196,128 +1465,767 @@ class SphericalCatan {
         this.showBuildOptions('vertex', vertex.userData.vertexIndex);
       }
     });
+    
+    // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) take back and redo build moves
+    window.addEventListener('keydown', (event) => {
+      if (!this.state || ['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+      const key = event.key.toLowerCase();
+      // V: back to the view the camera was flown away from
+      if (key === 'v' && !(event.ctrlKey || event.metaKey || event.altKey)) {
+        if (!this.director.returnToLastView()) this.showMessage('No earlier view to return to');
+        return;
+      }
+      if (!(event.ctrlKey || event.metaKey)) return;
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        this.redo();
+      }
+    });
   }
   
-  handleTileClick(tileIndex) {
-    console.log(`Clicked on tile ${tileIndex}:`, this.tiles[tileIndex]);
-    // Implement game logic for tile interactions
-  }
-  
   animate() {
     requestAnimationFrame(this.animate.bind(this));
+    
+    // Step running animations; each returns false once it is finished
+    const now = performance.now();
+    this.animations = this.animations.filter(step => step(now) !== false);
+    this.director.update(now);
+    
     this.controls.update();
     this.renderer.render(this.scene, this.camera);
   }
   
-  // Helper methods
-  shuffle(array) {
-    let currentIndex = array.length, randomIndex;
+  // Game actions - the rules engine decides, we only render the outcome.
+  // Actions go through the log so they can be undone and replayed.
+  // Online the server decides: the action is only sent, and the outcome
+  // arrives as a new snapshot.
+  act(type, ...args) {
+    if (this.replay) {
+      this.showMessage('Leave the replay to play on');
+      return false;
+    }
+    if (this.net) {
+      this.net.send('action', { action: type, args });
+      return true;
+    }
+    return this.applyResult(this.log.perform(type, ...args));
+  }
+  
+  undo() {
+    if (this.net) this.net.send('undo');
+    else if (!this.replay && this.canActFor(this.state.currentPlayer)) this.applyResult(this.log.undo());
+  }
+  
+  redo() {
+    if (this.net) this.net.send('redo');
+    else if (!this.replay && this.canActFor(this.state.currentPlayer)) this.applyResult(this.log.redo());
+  }
+  
+  // Player whose hand this screen shows: your seat online, otherwise the
+  // last human player who had to act (nobody while a hot-seat screen is
+  // being passed on)
+  viewingPlayer() {
+    if (this.net) return this.seat;
+    if (this.replay) return this.state.currentPlayer;
+    if (this.passing !== null) return null;
+    if (this.screenPlayer !== null) return this.screenPlayer;
+    // AI seats opened the game
+    const human = this.state.players.findIndex((player, index) => !this.aiLevel(index));
+    return human === -1 ? this.state.currentPlayer : human;
+  }
+  
+  // Whether this screen may act or answer for the player. In hot seat that
+  // is only the player holding the screen.
+  canActFor(player) {
+    if (this.net) return player === this.seat;
+    if (this.passing !== null || this.aiLevel(player)) return false;
+    return !this.gameOptions.hotSeat || player === this.screenPlayer;
+  }
+  
+  // Level of the AI playing the seat, null for a human
+  aiLevel(player) {
+    if (this.net) return null;
+    return this.gameOptions.aiPlayers[player] || null;
+  }
+  
+  applyResult(result) {
+    if (!result.ok) {
+      this.showMessage(result.reason);
+      return false;
+    }
     
-    // While there remain elements to shuffle
-    while (currentIndex !== 0) {
-      // Pick a remaining element
-      randomIndex = Math.floor(Math.random() * currentIndex);
-      currentIndex--;
-      
-      // And swap it with the current element
-      [array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
+    this.state = result.state;
+    this.showState();
+    this.autosave();
+    return true;
+  }
+  
+  // Bring meshes, HUD and dialogs in line with this.state
+  showState() {
+    this.updatePassScreen();
+    this.syncBuildings();
+    this.updateHeatmap();
+    this.directCamera();
+    this.syncRobber();
+    this.updateHud();
+    this.tradePanel.render();
+    // A replay only shows the board, nobody answers dialogs
+    if (this.replay) return;
+    this.updateRobberUi();
+    this.scheduleAiMove();
+    if (this.state.phase === 'end') {
+      this.showEndGameDialog();
+    }
+  }
+  
+  // Hot-seat: the player who has to do something next, including players
+  // picking gold, discarding or answering a trade offer outside their own
+  // turn
+  actingPlayer() {
+    const state = this.state;
+    const owed = state.turnStep === 'gold' ? state.goldPicks :
+      state.turnStep === 'discard' ? state.discards : {};
+    const waiting = Object.keys(owed);
+    if (waiting.length) return Number(waiting[0]);
+    const offer = state.tradeOffer;
+    const answering = offer ? offer.to.find(player => offer.responses[player] === 'pending') : undefined;
+    return answering === undefined ? state.currentPlayer : answering;
+  }
+  
+  // Hand the screen on whenever another human has to act next; AI seats
+  // play on the screen of whoever had it last
+  updatePassScreen() {
+    if (this.net || this.replay || this.state.phase === 'end') return;
+    const player = this.actingPlayer();
+    if (this.aiLevel(player) || player === this.screenPlayer || player === this.passing) return;
+    if (this.gameOptions.hotSeat) this.showPassScreen(player);
+    else this.screenPlayer = player;
+  }
+  
+  showPassScreen(player) {
+    if (this.screenPlayer !== null) {
+      this.viewpoints[this.screenPlayer] = this.camera.position.clone();
+    }
+    if (this.passScreen) this.passScreen.remove();
+    this.passing = player;
+    
+    const name = this.state.players[player].name;
+    const { overlay, dialog } = this.createDialog(`Pass to ${name}`);
+    // Dark enough that nobody reads the board over the next player's shoulder
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.95)';
+    this.passScreen = overlay;
+    
+    const text = document.createElement('p');
+    text.textContent = `Hand the screen to ${name}; their cards show once they take it.`;
+    dialog.appendChild(text);
+    dialog.appendChild(this.createHudButton(`I'm ${name}`, () => {
+      overlay.remove();
+      this.passScreen = null;
+      this.passing = null;
+      this.screenPlayer = player;
+      // Offers are answered in the trade panel
+      const offer = this.state.tradeOffer;
+      if (offer && offer.responses[player] === 'pending') this.tradePanel.visible = true;
+      this.director.flyTo(this.playerViewpoint(player), { remember: false });
+      this.showState();
+    }));
+    document.body.appendChild(overlay);
+  }
+  
+  // Where the player last looked from, or their buildings the first time
+  // the screen reaches them
+  playerViewpoint(player) {
+    return this.viewpoints[player] || this.playerFocus(player);
+  }
+  
+  // Middle of the player's settlements and cities (roads while they have
+  // none), or the first of them when they are spread around the sphere
+  playerFocus(player) {
+    const { roads, settlements, cities } = this.state.buildings;
+    const owned = (owners, position) => Object.keys(owners)
+      .filter(key => owners[key] === player)
+      .map(position);
+    let points = owned({ ...settlements, ...cities }, vertex => this.boardVertices[Number(vertex)]);
+    if (points.length === 0) points = owned(roads, edgeKey => this.edgeMidpoint(edgeKey));
+    return this.focusPoint(points);
+  }
+  
+  // Point of view that shows all of points, null for none
+  focusPoint(points) {
+    if (points.length === 0) return null;
+    const sum = points.reduce((total, point) => total.add(point), new this.THREE.Vector3());
+    // Points on opposite sides average out near the center
+    return sum.length() > this.boardRadius * points.length * 0.3 ? sum : points[0].clone();
+  }
+  
+  edgeMidpoint(edgeKey) {
+    const [v1, v2] = parseEdgeId(edgeKey);
+    return this.boardVertices[v1].clone().add(this.boardVertices[v2]).multiplyScalar(0.5);
+  }
+  
+  flyToPlayer(player) {
+    const focus = this.playerFocus(player);
+    if (focus) this.director.flyTo(focus);
+    else this.showMessage(`${this.state.players[player].name} has nothing on the board yet`);
+  }
+  
+  // Follow what changed since the last state shown: the robber moving, an
+  // opponent building, tiles producing or the start of your turn, in that
+  // order of interest
+  directCamera() {
+    const previous = this.directedState;
+    const state = this.state;
+    this.directedState = state;
+    // The hot-seat pass screen turns the camera itself
+    if (!previous || this.passing !== null) return;
+    const viewer = this.viewingPlayer();
+    
+    if (state.robber !== null && state.robber !== previous.robber && state.currentPlayer !== viewer) {
+      this.director.follow(this.tileCenters[state.robber]);
+      return;
     }
     
-    return array;
+    const built = [];
+    const added = (owners, before, position) => {
+      Object.keys(owners)
+        .filter(k => before[k] === undefined && owners[k] !== viewer)
+        .forEach(k => built.push(position(k)));
+    };
+    const { roads, settlements, cities } = state.buildings;
+    added(roads, previous.buildings.roads, edgeKey => this.edgeMidpoint(edgeKey));
+    added(settlements, previous.buildings.settlements, vertex => this.boardVertices[Number(vertex)]);
+    added(cities, previous.buildings.cities, vertex => this.boardVertices[Number(vertex)]);
+    if (built.length > 0) {
+      this.director.follow(this.focusPoint(built));
+      return;
+    }
+    
+    if (state.dice !== previous.dice && state.production.length > 0) {
+      const tiles = [...new Set(state.production.map(payout => payout.tile))];
+      this.director.follow(this.focusPoint(tiles.map(tile => this.tileCenters[tile])));
+      return;
+    }
+    
+    const turnStarted = state.currentPlayer !== previous.currentPlayer || state.turnNumber !== previous.turnNumber;
+    if (turnStarted && state.phase === 'main' && state.currentPlayer === viewer) {
+      this.director.follow(this.playerFocus(viewer));
+    }
   }
   
-  // Game mechanics methods
-  rollDice() {
-    const die1 = Math.floor(Math.random() * 6) + 1;
-    const die2 = Math.floor(Math.random() * 6) + 1;
-    return die1 + die2;
+  // Let the next AI seat with something to do make its move after a pause
+  scheduleAiMove() {
+    if (this.net || this.aiTimer !== null || this.state.phase === 'end') return;
+    if (Object.keys(this.gameOptions.aiPlayers).length === 0) return;
+    this.aiTimer = setTimeout(() => {
+      this.aiTimer = null;
+      this.playAiMove();
+    }, this.AI_MOVE_MS);
   }
   
-  distributeResources(diceValue) {
-    // Find all tiles with the rolled dice value
-    const matchingTiles = this.tiles.filter(tile => tile.diceValue === diceValue);
+  // AI moves take the same paths as clicks, dice animation included; the
+  // resulting state schedules the move after
+  playAiMove() {
+    if (this.replay || this.rolling || this.state.phase === 'end') return;
+    for (const [player, level] of Object.entries(this.gameOptions.aiPlayers)) {
+      const move = aiMove(this.state, Number(player), level);
+      if (!move) continue;
+      const [action, ...args] = move;
+      if (action === 'rollDice') this.rollDice();
+      else if (!this.act(action, ...args)) this.recoverAiMove(Number(player));
+      return;
+    }
+  }
+  
+  // A rejected move leaves no new state to schedule the next one from, and
+  // the AI would only pick the same move again. Fall back on the simplest
+  // legal move instead, the one timed-out turns make online.
+  recoverAiMove(player) {
+    const move = idleMove(this.state, player);
+    if (!move) return;
+    const [action, ...args] = move;
+    if (action === 'rollDice') this.rollDice();
+    else this.act(action, ...args);
+  }
+  
+  // Settlement spots of the viewing player (or the player on turn) by
+  // score, best first; spots they cannot settle are left out
+  scoreSpots() {
+    const state = this.state;
+    const viewer = this.viewingPlayer();
+    const player = viewer === null ? state.currentPlayer : viewer;
+    return this.vertexObjects
+      .map(vertex => vertex.userData.vertexIndex)
+      .filter(vertex => rules.canPlaceSettlement(state, vertex, player).ok)
+      .map(vertex => ({ vertex, score: spotValue(state, vertex, player) }))
+      .sort((a, b) => b.score - a.score);
+  }
+  
+  // Color every vertex from red (worst open spot) to green (best), dimming
+  // the ones nobody can settle right now; white again once switched off
+  updateHeatmap() {
+    const spots = this.heatmap ? this.scoreSpots() : [];
+    const scores = new Map(spots.map(({ vertex, score }) => [vertex, score]));
+    const best = spots.length ? spots[0].score : 0;
+    const worst = spots.length ? spots[spots.length - 1].score : 0;
+    const color = new this.THREE.Color();
+    
+    this.vertexObjects.forEach(mesh => {
+      const score = scores.get(mesh.userData.vertexIndex);
+      if (!this.heatmap) {
+        color.setHex(0xFFFFFF);
+      } else if (score === undefined) {
+        color.setHex(this.HEATMAP.dimColor);
+      } else {
+        const share = best > worst ? (score - worst) / (best - worst) : 1;
+        color.setHSL(share / 3, 1, 0.5);
+      }
+      mesh.userData.defaultColor = color.getHex();
+      if (!mesh.userData.isSelected) mesh.material.color.copy(color);
+    });
+  }
+  
+  toggleHeatmap() {
+    this.heatmap = !this.heatmap;
+    this.heatmapJump = 0;
+    this.updateHeatmap();
+    this.updateHud();
+  }
+  
+  // Orbit to the next of the best few spots
+  jumpToBestSpot() {
+    const spots = this.scoreSpots().slice(0, this.HEATMAP.candidates);
+    if (spots.length === 0) {
+      this.showMessage('There is no open spot to settle');
+      return;
+    }
+    const index = this.heatmapJump % spots.length;
+    this.heatmapJump++;
+    const { vertex, score } = spots[index];
+    this.director.flyTo(this.boardVertices[vertex]);
+    this.showMessage(`Spot ${index + 1} of ${spots.length} · score ${score.toFixed(1)}`);
+  }
+  
+  // Replay mode: step through the logged game with play/pause and a scrubber
+  startReplay() {
+    this.replay = {
+      steps: this.log.timeline(),
+      index: 0,
+      playing: false,
+      lastStep: 0
+    };
+    this.createReplayBar();
+    this.showReplayStep(0);
+  }
+  
+  stopReplay() {
+    this.replay = null;
+    this.replayBar.remove();
+    this.replayBar = null;
+    this.state = this.log.state;
+    this.showState();
+  }
+  
+  showReplayStep(index) {
+    const replay = this.replay;
+    replay.index = Math.max(0, Math.min(index, replay.steps.length - 1));
+    const { event, state } = replay.steps[replay.index];
+    this.state = state;
+    this.showState();
+    
+    this.replayBar.slider.value = replay.index;
+    this.replayBar.label.textContent = `${replay.index}/${replay.steps.length - 1} · ${this.describeEvent(event, replay.steps[replay.index - 1])}`;
+    this.replayBar.playButton.textContent = replay.playing ? 'Pause' : 'Play';
+  }
+  
+  toggleReplayPlayback() {
+    const replay = this.replay;
+    if (replay.playing) {
+      replay.playing = false;
+      this.showReplayStep(replay.index);
+      return;
+    }
     
-    // For each matching tile, give resources to players with adjacent settlements/cities
-    matchingTiles.forEach(tile => {
-      // Find all vertices connected to this tile
-      const tileVertices = this.vertices.filter(v => v.tiles.includes(tile.index));
-      
-      // For each vertex with a settlement/city, give resources to the owner
-      tileVertices.forEach(vertex => {
-        if (vertex.owner !== null && vertex.level > 0) {
-          const player = this.players[vertex.owner];
-          const resourceAmount = vertex.level; // 1 for settlement, 2 for city
-          
-          player.resources[tile.resourceType] += resourceAmount;
-        }
-      });
+    // Start over when the end was reached
+    if (replay.index === replay.steps.length - 1) replay.index = 0;
+    replay.playing = true;
+    replay.lastStep = performance.now();
+    this.showReplayStep(replay.index);
+    this.animations.push(now => {
+      if (this.replay !== replay || !replay.playing) return false;
+      if (now - replay.lastStep < this.REPLAY_STEP_MS) return true;
+      replay.lastStep = now;
+      if (replay.index === replay.steps.length - 1) {
+        replay.playing = false;
+      }
+      this.showReplayStep(replay.index + (replay.playing ? 1 : 0));
+      return replay.playing;
     });
   }
   
-  // Methods for building roads, settlements, cities, etc.
+  createReplayBar() {
+    const bar = document.createElement('div');
+    bar.style.position = 'absolute';
+    bar.style.bottom = '20px';
+    bar.style.left = '50%';
+    bar.style.transform = 'translateX(-50%)';
+    bar.style.display = 'flex';
+    bar.style.alignItems = 'center';
+    bar.style.gap = '10px';
+    bar.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    bar.style.padding = '10px 15px';
+    bar.style.borderRadius = '8px';
+    bar.style.color = 'white';
+    bar.style.fontFamily = 'Arial, sans-serif';
+    bar.style.fontSize = '13px';
+    
+    bar.playButton = this.createHudButton('Play', () => this.toggleReplayPlayback());
+    bar.appendChild(bar.playButton);
+    
+    bar.slider = document.createElement('input');
+    bar.slider.type = 'range';
+    bar.slider.min = 0;
+    bar.slider.max = this.replay.steps.length - 1;
+    bar.slider.style.width = '300px';
+    bar.slider.oninput = () => this.showReplayStep(Number(bar.slider.value));
+    bar.appendChild(bar.slider);
+    
+    bar.label = document.createElement('span');
+    bar.label.style.minWidth = '260px';
+    bar.appendChild(bar.label);
+    
+    bar.appendChild(this.createHudButton('Exit Replay', () => this.stopReplay()));
+    
+    this.container.appendChild(bar);
+    this.replayBar = bar;
+  }
+  
+  // One line for a logged event, e.g. "Turn 4 · Red: build road"
+  describeEvent(event, previous) {
+    if (!event) return 'Start of the game';
+    if (event.type === 'undo' || event.type === 'redo') {
+      return this.ACTION_LABELS[event.type];
+    }
+    const name = previous.state.players[event.player].name;
+    const dice = event.type === 'rollDice' ? ` ${this.replay.steps[this.replay.index].state.dice.join(' + ')}` : '';
+    return `Turn ${event.turn + 1} · ${name}: ${this.ACTION_LABELS[event.type]}${dice}`;
+  }
+  
   buildRoad(edgeKey) {
-    const edge = this.edgeObjects.find(e => 
-      `${e.userData.v1},${e.userData.v2}` === edgeKey || 
-      `${e.userData.v2},${e.userData.v1}` === edgeKey
-    );
+    if (this.act('buildRoad', edgeKey)) {
+      this.hideBuildOptions();
+    }
+  }
+  
+  buildSettlement(vertexIndex) {
+    if (this.act('buildSettlement', vertexIndex)) {
+      this.hideBuildOptions();
+    }
+  }
+  
+  upgradeToCity(vertexIndex) {
+    if (this.act('upgradeToCity', vertexIndex)) {
+      this.hideBuildOptions();
+    }
+  }
+  
+  rollDice() {
+    if (this.rolling) return;
+    if (this.replay) {
+      this.showMessage('Leave the replay to play on');
+      return;
+    }
+    // The dice animation starts when the server's snapshot comes in
+    if (this.net) {
+      this.act('rollDice');
+      return;
+    }
     
-    if (edge && !this.buildings.roads.has(edgeKey)) {
-      // Get the vertices of the edge
-      const v1 = this.truncatedVertices[edge.userData.v1];
-      const v2 = this.truncatedVertices[edge.userData.v2];
-      
-      // Calculate road position and direction
-      const roadStart = v1.clone().multiplyScalar(this.ELEVATION.roads);
-      const roadEnd = v2.clone().multiplyScalar(this.ELEVATION.roads);
-      const roadCenter = roadStart.clone().add(roadEnd).multiplyScalar(0.5);
-      const roadLength = roadStart.distanceTo(roadEnd);
-      const roadDirection = roadEnd.clone().sub(roadStart).normalize();
-      
-      // Create road geometry - note the swapped dimensions to align with direction
-      const roadGeometry = new this.THREE.BoxGeometry(
-        this.ROAD_GEOMETRY.width,
-        roadLength,
-        this.ROAD_GEOMETRY.height
-      );
-      const roadMaterial = new this.THREE.MeshBasicMaterial({ color: this.currentPlayer.color });
-      const road = new this.THREE.Mesh(roadGeometry, roadMaterial);
-      
-      // Position road at center
-      road.position.copy(roadCenter);
-      
-      // Orient road along the edge
-      const yAxis = new this.THREE.Vector3(0, 1, 0);
-      road.quaternion.setFromUnitVectors(yAxis, roadDirection);
+    const result = this.log.perform('rollDice');
+    if (!result.ok) {
+      this.applyResult(result);
+      return;
+    }
+    
+    // Only reveal the outcome once the dice have landed
+    this.rolling = true;
+    this.playDiceAnimation(result.state.dice, () => {
+      this.rolling = false;
+      if (this.applyResult(result)) {
+        this.pulseProducingTiles();
+      }
+    });
+  }
+  
+  createDice() {
+    // Pips for each face value as fractions of the face
+    const pipLayouts = {
+      1: [[0.5, 0.5]],
+      2: [[0.25, 0.25], [0.75, 0.75]],
+      3: [[0.25, 0.25], [0.5, 0.5], [0.75, 0.75]],
+      4: [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]],
+      5: [[0.25, 0.25], [0.75, 0.25], [0.5, 0.5], [0.25, 0.75], [0.75, 0.75]],
+      6: [[0.25, 0.25], [0.75, 0.25], [0.25, 0.5], [0.75, 0.5], [0.25, 0.75], [0.75, 0.75]]
+    };
+    
+    // BoxGeometry material order is +x, -x, +y, -y, +z, -z; opposite faces sum to 7
+    this.DIE_FACES = [1, 6, 2, 5, 3, 4];
+    const materials = this.DIE_FACES.map(value => {
+      const canvas = document.createElement('canvas');
+      const context = canvas.getContext('2d');
+      canvas.width = 64;
+      canvas.height = 64;
+      
+      context.fillStyle = 'white';
+      context.fillRect(0, 0, 64, 64);
+      context.fillStyle = 'black';
+      pipLayouts[value].forEach(([x, y]) => {
+        context.beginPath();
+        context.arc(x * 64, y * 64, 6, 0, Math.PI * 2);
+        context.fill();
+      });
       
-      this.scene.add(road);
-      this.buildings.roads.set(edgeKey, road);
+      return new this.THREE.MeshBasicMaterial({ map: new this.THREE.CanvasTexture(canvas) });
+    });
+    
+    // The dice hang in front of the camera so they are visible from any angle
+    const size = this.DICE_ANIMATION.size;
+    this.dice = [0, 1].map(i => {
+      const die = new this.THREE.Mesh(new this.THREE.BoxGeometry(size, size, size), materials);
+      die.position.set(2.4 + i * 0.9, -2.2, -6);
+      die.visible = false;
+      this.camera.add(die);
+      return die;
+    });
+    this.scene.add(this.camera);
+  }
+  
+  // Rotation that turns the given face value towards the camera (+z)
+  dieRotation(value) {
+    const rotations = {
+      1: [0, -Math.PI / 2, 0],
+      6: [0, Math.PI / 2, 0],
+      2: [Math.PI / 2, 0, 0],
+      5: [-Math.PI / 2, 0, 0],
+      3: [0, 0, 0],
+      4: [0, Math.PI, 0]
+    };
+    return new this.THREE.Quaternion().setFromEuler(new this.THREE.Euler(...rotations[value]));
+  }
+  
+  playDiceAnimation(values, onLanded) {
+    if (!this.dice) this.createDice();
+    const { rollDuration, settleDuration, hideDelay } = this.DICE_ANIMATION;
+    
+    const start = performance.now();
+    const spins = this.dice.map(() => new this.THREE.Vector3(
+      8 + Math.random() * 6,
+      8 + Math.random() * 6,
+      4 + Math.random() * 4
+    ));
+    const targets = values.map(value => this.dieRotation(value));
+    let tumbleEnd = null;
+    let landed = false;
+    
+    clearTimeout(this.diceHideTimeout);
+    this.dice.forEach(die => die.visible = true);
+    
+    this.animations.push(now => {
+      const elapsed = now - start;
+      
+      if (elapsed < rollDuration) {
+        // Tumble, bouncing a little
+        this.dice.forEach((die, i) => {
+          const t = elapsed / 1000;
+          die.rotation.set(spins[i].x * t, spins[i].y * t, spins[i].z * t);
+          die.position.y = -2.2 + Math.abs(Math.sin(t * 10 + i)) * 0.3 * (1 - elapsed / rollDuration);
+        });
+        return true;
+      }
       
-      // Deduct resources
-      this.currentPlayer.resources.wood--;
-      this.currentPlayer.resources.brick--;
+      // Settle onto the rolled faces
+      if (!tumbleEnd) tumbleEnd = this.dice.map(die => die.quaternion.clone());
+      const t = Math.min((elapsed - rollDuration) / settleDuration, 1);
+      this.dice.forEach((die, i) => {
+        die.quaternion.slerpQuaternions(tumbleEnd[i], targets[i], t);
+        die.position.y = -2.2;
+      });
       
+      if (t < 1) return true;
+      if (!landed) {
+        landed = true;
+        onLanded();
+        this.diceHideTimeout = setTimeout(() => {
+          this.dice.forEach(die => die.visible = false);
+        }, hideDelay);
+      }
+      return false;
+    });
+  }
+  
+  // Pulse the number discs of the tiles that just paid out
+  pulseProducingTiles() {
+    const tiles = new Set(this.state.production.map(payout => payout.tile));
+    const discs = [...tiles].map(tile => this.numberMeshes.get(tile)).filter(Boolean);
+    if (discs.length === 0) return;
+    
+    const start = performance.now();
+    const duration = this.DICE_ANIMATION.pulseDuration;
+    this.animations.push(now => {
+      const t = (now - start) / duration;
+      const scale = t < 1 ? 1 + 0.4 * Math.abs(Math.sin(t * Math.PI * 4)) : 1;
+      discs.forEach(disc => disc.scale.set(scale, scale, scale));
+      return t < 1;
+    });
+  }
+  
+  buyDevCard() {
+    if (this.act('buyDevCard')) {
       this.hideBuildOptions();
     }
   }
   
-  buildSettlement(vertexIndex) {
-    if (!this.buildings.settlements.has(vertexIndex)) {
-      const position = this.truncatedVertices[vertexIndex].clone().multiplyScalar(this.ELEVATION.buildings);
-      const settlement = this.createSettlementVisual(vertexIndex, position);
-      this.scene.add(settlement);
-      this.buildings.settlements.set(vertexIndex, settlement);
-      
-      // Deduct resources
-      this.currentPlayer.resources.wood--;
-      this.currentPlayer.resources.brick--;
-      this.currentPlayer.resources.wheat--;
-      this.currentPlayer.resources.sheep--;
-      
+  playDevCard(type) {
+    switch (type) {
+      case 'yearOfPlenty':
+        this.showResourcePicker('Year of Plenty: take two resources', 2, resources => {
+          this.act('playDevCard', type, { resources });
+        });
+        break;
+        
+      case 'monopoly':
+        this.showResourcePicker('Monopoly: take every card of', 1, ([resource]) => {
+          this.act('playDevCard', type, { resource });
+        });
+        break;
+        
+      default:
+        // Knights continue through the robber flow, Road Building through edge clicks
+        this.act('playDevCard', type);
+    }
+  }
+  
+  moveRobber(tileIndex) {
+    this.act('moveRobber', tileIndex);
+  }
+  
+  createRobberVisual() {
+    const { body, head } = this.ROBBER_GEOMETRY;
+    const material = new this.THREE.MeshPhongMaterial({ color: 0x333333, shininess: 60 });
+    
+    const bodyMesh = new this.THREE.Mesh(
+      new this.THREE.CylinderGeometry(body.topRadius, body.bottomRadius, body.height, body.segments),
+      material
+    );
+    bodyMesh.position.y = body.height / 2;
+    
+    const headMesh = new this.THREE.Mesh(
+      new this.THREE.SphereGeometry(head.radius, head.segments, head.segments),
+      material
+    );
+    headMesh.position.y = body.height + head.radius * 0.6;
+    
+    const group = new this.THREE.Group();
+    group.add(bodyMesh);
+    group.add(headMesh);
+    return group;
+  }
+  
+  // Stand the robber upright on the tile it occupies
+  syncRobber() {
+    if (!this.robberMesh) {
+      this.robberMesh = this.createRobberVisual();
+      this.scene.add(this.robberMesh);
+    }
+    
+    const tile = this.state.robber;
+    this.robberMesh.visible = tile !== null;
+    if (tile === null) return;
+    
+    const center = this.tileCenters[tile];
+    const up = center.clone().normalize();
+    // Stand beside the number disc rather than on top of it
+    const side = this.boardVertices[this.faces[tile].vertices[0]].clone().sub(center).multiplyScalar(0.45);
+    this.robberMesh.position.copy(center).add(side).multiplyScalar(this.ELEVATION.buildings);
+    this.robberMesh.quaternion.setFromUnitVectors(new this.THREE.Vector3(0, 1, 0), up);
+  }
+  
+  endTurn() {
+    if (this.act('endTurn')) {
       this.hideBuildOptions();
     }
   }
   
-  createSettlementVisual(vertexIndex, position) {
+  // Bring the building meshes in line with the buildings in the game state
+  syncBuildings() {
+    const { roads, settlements, cities } = this.state.buildings;
+    
+    // Object keys are strings; vertex-keyed maps use numeric indices
+    const sync = (meshes, owners, createVisual, parseKey = Number) => {
+      // Remove meshes that are no longer in the state
+      for (const [key, mesh] of meshes) {
+        if (owners[key] === undefined) {
+          this.scene.remove(mesh);
+          meshes.delete(key);
+        }
+      }
+      
+      // Add meshes for new buildings
+      Object.entries(owners).forEach(([key, owner]) => {
+        const mapKey = parseKey(key);
+        if (!meshes.has(mapKey)) {
+          const mesh = createVisual(mapKey, owner);
+          this.scene.add(mesh);
+          meshes.set(mapKey, mesh);
+        }
+      });
+    };
+    
+    sync(this.buildings.roads, roads, (edgeKey, owner) => this.createRoadVisual(edgeKey, owner), String);
+    sync(this.buildings.settlements, settlements, (vertexIndex, owner) => {
+      const position = this.boardVertices[vertexIndex].clone().multiplyScalar(this.ELEVATION.buildings);
+      return this.createSettlementVisual(vertexIndex, position, owner);
+    });
+    sync(this.buildings.cities, cities, (vertexIndex, owner) => {
+      const position = this.boardVertices[vertexIndex].clone().multiplyScalar(this.ELEVATION.buildings);
+      return this.createCityVisual(vertexIndex, position, owner);
+    });
+  }
+  
+  createRoadVisual(edgeKey, owner) {
+    const [i, j] = parseEdgeId(edgeKey);
+    const v1 = this.boardVertices[i];
+    const v2 = this.boardVertices[j];
+    
+    // Calculate road position and direction
+    const roadStart = v1.clone().multiplyScalar(this.ELEVATION.roads);
+    const roadEnd = v2.clone().multiplyScalar(this.ELEVATION.roads);
+    const roadCenter = roadStart.clone().add(roadEnd).multiplyScalar(0.5);
+    const roadLength = roadStart.distanceTo(roadEnd);
+    const roadDirection = roadEnd.clone().sub(roadStart).normalize();
+    
+    // Create road geometry - note the swapped dimensions to align with direction
+    const roadGeometry = new this.THREE.BoxGeometry(
+      this.ROAD_GEOMETRY.width,
+      roadLength,
+      this.ROAD_GEOMETRY.height
+    );
+    const roadMaterial = new this.THREE.MeshBasicMaterial({ color: this.state.players[owner].color });
+    const road = new this.THREE.Mesh(roadGeometry, roadMaterial);
+    
+    // Position road at center
+    road.position.copy(roadCenter);
+    
+    // Orient road along the edge
+    const yAxis = new this.THREE.Vector3(0, 1, 0);
+    road.quaternion.setFromUnitVectors(yAxis, roadDirection);
+    
+    return road;
+  }
+  
+  createSettlementVisual(vertexIndex, position, owner) {
     // Simple house shape
     const houseGeometry = new this.THREE.BoxGeometry(
       this.SETTLEMENT_GEOMETRY.house.size,
@@ -1333,7 +2241,7 @@ class SphericalCatan {
       this.SETTLEMENT_GEOMETRY.roof.segments
     );
     
-    const houseMaterial = new this.THREE.MeshBasicMaterial({ color: this.currentPlayer.color });
+    const houseMaterial = new this.THREE.MeshBasicMaterial({ color: this.state.players[owner].color });
     const roofMaterial = new this.THREE.MeshBasicMaterial({ color: 0x8B4513 }); // Brown roof
     
     const house = new this.THREE.Mesh(houseGeometry, houseMaterial);
@@ -1349,7 +2257,7 @@ class SphericalCatan {
     return group;
   }
   
-  createCityVisual(vertexIndex, position) {
+  createCityVisual(vertexIndex, position, owner) {
     // Larger, rounder building
     const baseGeometry = new this.THREE.CylinderGeometry(
       this.CITY_GEOMETRY.base.radius,
@@ -1363,7 +2271,7 @@ class SphericalCatan {
       this.CITY_GEOMETRY.roof.segments
     );
     
-    const baseMaterial = new this.THREE.MeshBasicMaterial({ color: this.currentPlayer.color });
+    const baseMaterial = new this.THREE.MeshBasicMaterial({ color: this.state.players[owner].color });
     const roofMaterial = new this.THREE.MeshBasicMaterial({ color: 0x8B4513 }); // Brown roof
     
     const base = new this.THREE.Mesh(baseGeometry, baseMaterial);
@@ -1401,17 +2309,11 @@ class SphericalCatan {
     content.style.flexDirection = 'column';
     content.style.gap = '8px';
     
-    // Resource colors and icons
-    const resourceStyles = {
-      wood: { color: '#8B4513', icon: '🌳' },
-      brick: { color: '#D32F2F', icon: '🧱' },
-      wheat: { color: '#FFD700', icon: '🌾' },
-      sheep: { color: '#81C784', icon: '🐑' },
-      ore: { color: '#757575', icon: '⛏️' }
-    };
+    const resourceStyles = this.RESOURCE_STYLES;
     
-    // Helper function to create a button with resource costs
-    const createButton = (text, onClick, costs = null) => {
+    // Helper function to create a button with resource costs.
+    // A failed rules check disables the button and shows the reason.
+    const createButton = (text, onClick, costs = null, check = { ok: true }) => {
       const buttonContainer = document.createElement('div');
       buttonContainer.style.display = 'flex';
       buttonContainer.style.flexDirection = 'column';
@@ -1428,10 +2330,16 @@ class SphericalCatan {
       button.style.fontSize = '14px';
       button.style.transition = 'background-color 0.2s';
       
-      button.onmouseover = () => button.style.backgroundColor = '#45a049';
-      button.onmouseout = () => button.style.backgroundColor = '#4CAF50';
-      
-      button.onclick = onClick;
+      if (check.ok) {
+        button.onmouseover = () => button.style.backgroundColor = '#45a049';
+        button.onmouseout = () => button.style.backgroundColor = '#4CAF50';
+        button.onclick = onClick;
+      } else {
+        button.disabled = true;
+        button.style.backgroundColor = '#555';
+        button.style.color = '#999';
+        button.style.cursor = 'not-allowed';
+      }
       
       if (costs) {
         const costsDiv = document.createElement('div');
@@ -1470,45 +2378,61 @@ class SphericalCatan {
       }
       
       buttonContainer.appendChild(button);
+      
+      if (!check.ok) {
+        const reason = document.createElement('div');
+        reason.textContent = check.reason;
+        reason.style.fontSize = '12px';
+        reason.style.color = '#ff8a80';
+        reason.style.maxWidth = '220px';
+        buttonContainer.appendChild(reason);
+      }
+      
       return buttonContainer;
     };
     
+    // Setup pieces and Road Building roads are free
+    const inSetup = this.state.phase === 'setup';
+    const freeRoad = inSetup || this.state.freeRoads > 0;
+    
     switch(type) {
       case 'edge':
-        title.textContent = 'Build Road';
+        title.textContent = inSetup ? 'Place Setup Road' : 'Build Road';
         content.appendChild(createButton(
-          'Build Road',
+          freeRoad ? 'Place Road' : 'Build Road',
           () => this.buildRoad(data),
-          {
-            wood: 1,
-            brick: 1
-          }
+          freeRoad ? null : rules.BUILD_COSTS.road,
+          rules.canBuildRoad(this.state, data)
+        ));
+        break;
+        
+      case 'devCard':
+        title.textContent = 'Development Card';
+        content.appendChild(createButton(
+          `Buy Development Card (${this.state.devDeck.length} left)`,
+          () => this.buyDevCard(),
+          rules.BUILD_COSTS.devCard,
+          rules.canBuyDevCard(this.state)
         ));
         break;
         
       case 'vertex':
         const vertexIndex = data;
-        if (this.buildings.settlements.has(vertexIndex)) {
+        if (this.state.buildings.settlements[vertexIndex] !== undefined) {
           title.textContent = 'Upgrade to City';
           content.appendChild(createButton(
             'Upgrade to City',
             () => this.upgradeToCity(vertexIndex),
-            {
-              wheat: 2,
-              ore: 3
-            }
+            rules.BUILD_COSTS.city,
+            rules.canUpgradeToCity(this.state, vertexIndex)
           ));
         } else {
-          title.textContent = 'Build Settlement';
+          title.textContent = inSetup ? 'Place Setup Settlement' : 'Build Settlement';
           content.appendChild(createButton(
-            'Build Settlement',
+            inSetup ? 'Place Settlement' : 'Build Settlement',
             () => this.buildSettlement(vertexIndex),
-            {
-              wood: 1,
-              brick: 1,
-              wheat: 1,
-              sheep: 1
-            }
+            inSetup ? null : rules.BUILD_COSTS.settlement,
+            rules.canBuildSettlement(this.state, vertexIndex)
           ));
         }
         break;
@@ -1546,25 +2470,1031 @@ class SphericalCatan {
     this.uiContainer.style.display = 'none';
   }
   
-  upgradeToCity(vertexIndex) {
-    if (this.buildings.settlements.has(vertexIndex) && !this.buildings.cities.has(vertexIndex)) {
-      // Remove settlement
-      const settlement = this.buildings.settlements.get(vertexIndex);
-      this.scene.remove(settlement);
-      this.buildings.settlements.delete(vertexIndex);
-      
-      // Add city
-      const position = this.truncatedVertices[vertexIndex].clone().multiplyScalar(this.ELEVATION.buildings);
-      const city = this.createCityVisual(vertexIndex, position);
-      this.scene.add(city);
-      this.buildings.cities.set(vertexIndex, city);
-      
-      // Deduct resources
-      this.currentPlayer.resources.wheat -= 2;
-      this.currentPlayer.resources.ore -= 3;
+  // Modal dialog over the whole page; returns the overlay and the dialog body
+  createDialog(titleText) {
+    const overlay = document.createElement('div');
+    overlay.style.position = 'fixed';
+    overlay.style.inset = '0';
+    overlay.style.display = 'flex';
+    overlay.style.alignItems = 'center';
+    overlay.style.justifyContent = 'center';
+    overlay.style.backgroundColor = 'rgba(0, 0, 0, 0.6)';
+    overlay.style.zIndex = '2000';
+    
+    const dialog = document.createElement('div');
+    dialog.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    dialog.style.color = 'white';
+    dialog.style.padding = '20px';
+    dialog.style.borderRadius = '8px';
+    dialog.style.minWidth = '280px';
+    dialog.style.fontFamily = 'Arial, sans-serif';
+    
+    const title = document.createElement('h3');
+    title.textContent = titleText;
+    title.style.margin = '0 0 10px 0';
+    title.style.borderBottom = '1px solid rgba(255,255,255,0.2)';
+    title.style.paddingBottom = '5px';
+    dialog.appendChild(title);
+    
+    overlay.appendChild(dialog);
+    document.body.appendChild(overlay);
+    return { overlay, dialog };
+  }
+  
+  showNewGameDialog() {
+    const { overlay, dialog } = this.createDialog('New Game');
+    this.newGameDialog = overlay;
+    
+    // Player count
+    const countLabel = document.createElement('label');
+    countLabel.textContent = 'Players ';
+    const countSelect = document.createElement('select');
+    for (let count = rules.MIN_PLAYERS; count <= rules.MAX_PLAYERS; count++) {
+      const option = document.createElement('option');
+      option.value = count;
+      option.textContent = count;
+      countSelect.appendChild(option);
+    }
+    countSelect.value = 4;
+    countLabel.appendChild(countSelect);
+    dialog.appendChild(countLabel);
+    
+    // One row per player with a name and a color
+    const rows = document.createElement('div');
+    rows.style.display = 'flex';
+    rows.style.flexDirection = 'column';
+    rows.style.gap = '6px';
+    rows.style.margin = '10px 0';
+    dialog.appendChild(rows);
+    
+    const renderRows = () => {
+      rows.innerHTML = '';
+      for (let i = 0; i < Number(countSelect.value); i++) {
+        const preset = this.PLAYER_PRESETS[i];
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.gap = '6px';
+        
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.value = preset.name;
+        name.className = 'player-name';
+        
+        const color = document.createElement('input');
+        color.type = 'color';
+        color.value = `#${preset.color.toString(16).padStart(6, '0')}`;
+        color.className = 'player-color';
+        
+        // Human or an AI seat of some level
+        const type = document.createElement('select');
+        type.className = 'player-type';
+        [['', 'Human'], ...Object.keys(AI_LEVELS).map(level => [level, `AI (${level})`])].forEach(([value, text]) => {
+          const option = document.createElement('option');
+          option.value = value;
+          option.textContent = text;
+          type.appendChild(option);
+        });
+        
+        row.appendChild(name);
+        row.appendChild(color);
+        row.appendChild(type);
+        rows.appendChild(row);
+      }
+    };
+    countSelect.onchange = renderRows;
+    renderRows();
+    
+    // Where the robber starts: one of the two deserts
+    const robberLabel = document.createElement('label');
+    robberLabel.textContent = 'Robber starts ';
+    robberLabel.style.display = 'block';
+    robberLabel.style.marginBottom = '10px';
+    const robberSelect = document.createElement('select');
+    [['random', 'on a random desert'], ['choose', 'where the first player picks']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      robberSelect.appendChild(option);
+    });
+    robberLabel.appendChild(robberSelect);
+    dialog.appendChild(robberLabel);
+    
+    // Points needed to win
+    const targetLabel = document.createElement('label');
+    targetLabel.textContent = 'Points to win ';
+    targetLabel.style.display = 'block';
+    targetLabel.style.marginBottom = '10px';
+    const targetInput = document.createElement('input');
+    targetInput.type = 'number';
+    targetInput.min = 3;
+    targetInput.max = 30;
+    targetInput.value = rules.DEFAULT_TARGET_SCORE;
+    targetInput.style.width = '50px';
+    targetLabel.appendChild(targetInput);
+    dialog.appendChild(targetLabel);
+    
+    // Board size: larger Goldberg polyhedra for bigger tables
+    const sizeLabel = document.createElement('label');
+    sizeLabel.textContent = 'Board size ';
+    sizeLabel.style.display = 'block';
+    sizeLabel.style.marginBottom = '10px';
+    const sizeSelect = document.createElement('select');
+    Object.entries(BOARD_SIZES).forEach(([value, size]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = `${size.label} (${boardTileCount(size)} tiles)`;
+      sizeSelect.appendChild(option);
+    });
+    sizeSelect.value = DEFAULT_BOARD_SIZE;
+    sizeLabel.appendChild(sizeSelect);
+    dialog.appendChild(sizeLabel);
+    
+    // What the 12 pentagons do
+    const pentagonLabel = document.createElement('label');
+    pentagonLabel.textContent = 'Pentagons ';
+    pentagonLabel.style.display = 'block';
+    pentagonLabel.style.marginBottom = '10px';
+    const pentagonSelect = document.createElement('select');
+    rules.PENTAGON_RULES.forEach(rule => {
+      const option = document.createElement('option');
+      option.value = rule;
+      option.textContent = this.PENTAGON_RULES[rule].label;
+      option.title = this.PENTAGON_RULES[rule].description;
+      pentagonSelect.appendChild(option);
+    });
+    pentagonLabel.appendChild(pentagonSelect);
+    dialog.appendChild(pentagonLabel);
+    
+    // Plain shuffle or a search for a board meeting the fairness constraints
+    const boardLabel = document.createElement('label');
+    boardLabel.textContent = 'Board ';
+    boardLabel.style.display = 'block';
+    boardLabel.style.marginBottom = '10px';
+    const boardSelect = document.createElement('select');
+    [['random', 'random shuffle'], ['balanced', 'balanced']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      boardSelect.appendChild(option);
+    });
+    boardLabel.appendChild(boardSelect);
+    dialog.appendChild(boardLabel);
+    
+    const balanceOptions = document.createElement('div');
+    balanceOptions.style.display = 'none';
+    balanceOptions.style.margin = '0 0 10px 12px';
+    balanceOptions.style.fontSize = '13px';
+    dialog.appendChild(balanceOptions);
+    boardSelect.onchange = () => {
+      balanceOptions.style.display = boardSelect.value === 'balanced' ? 'block' : 'none';
+    };
+    
+    const balanceField = (labelText, type, value) => {
+      const label = document.createElement('label');
+      label.style.display = 'block';
+      label.style.marginBottom = '4px';
+      const input = document.createElement('input');
+      input.type = type;
+      if (type === 'checkbox') {
+        input.checked = value;
+        label.appendChild(input);
+        label.appendChild(document.createTextNode(` ${labelText}`));
+      } else {
+        input.value = value;
+        input.style.width = '50px';
+        label.appendChild(document.createTextNode(`${labelText} `));
+        label.appendChild(input);
+      }
+      balanceOptions.appendChild(label);
+      return input;
+    };
+    const redInput = balanceField('No adjacent 6 and 8', 'checkbox', DEFAULT_BALANCE.noAdjacentRed);
+    const sameInput = balanceField('No same-resource neighbours', 'checkbox', DEFAULT_BALANCE.noSameResourceNeighbors);
+    const pipsInput = balanceField('Max pips per vertex', 'number', DEFAULT_BALANCE.maxVertexPips);
+    const coverageInput = balanceField('Min resource coverage %', 'number', DEFAULT_BALANCE.minResourceCoverage * 100);
+    
+    // Same seed, same board, deck and dice; a board code replays just the board
+    const textField = (labelText, placeholder) => {
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      label.style.display = 'block';
+      label.style.marginBottom = '10px';
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = placeholder;
+      input.style.width = '180px';
+      label.appendChild(input);
+      dialog.appendChild(label);
+      return input;
+    };
+    const seedInput = textField('Seed ', 'random');
+    const codeInput = textField('Board code ', 'optional');
+    
+    // Several players sharing one screen
+    const hotSeatLabel = document.createElement('label');
+    hotSeatLabel.style.display = 'block';
+    hotSeatLabel.style.marginBottom = '10px';
+    const hotSeatInput = document.createElement('input');
+    hotSeatInput.type = 'checkbox';
+    hotSeatLabel.appendChild(hotSeatInput);
+    hotSeatLabel.appendChild(document.createTextNode(' Hot seat: hide hands between turns'));
+    dialog.appendChild(hotSeatLabel);
+    
+    const error = document.createElement('div');
+    error.style.color = '#ff6666';
+    error.style.marginBottom = '10px';
+    dialog.appendChild(error);
+    
+    const readPlayers = () => [...rows.children].map((row, i) => ({
+      name: row.querySelector('.player-name').value.trim() || this.PLAYER_PRESETS[i].name,
+      color: parseInt(row.querySelector('.player-color').value.slice(1), 16)
+    }));
+    
+    // Players and options as entered, null when the board code is invalid
+    const readGame = () => {
+      // A board code brings its own size
+      const boardCode = codeInput.value.trim() || null;
+      let boardSize = sizeSelect.value;
+      if (boardCode) {
+        try {
+          const tileCount = boardCodeTileCount(boardCode);
+          boardSize = Object.keys(BOARD_SIZES).find(size => boardTileCount(BOARD_SIZES[size]) === tileCount);
+          if (!boardSize) throw new Error(`There is no board with ${tileCount} tiles`);
+          const { faces } = buildGoldbergBoard(BOARD_SIZES[boardSize]);
+          decodeBoardForRule(boardCode, faces, buildTopology(faces), pentagonSelect.value);
+        } catch (decodeError) {
+          error.textContent = decodeError.message;
+          return null;
+        }
+      }
+      return {
+        players: readPlayers(),
+        options: {
+          robberStart: robberSelect.value,
+          targetScore: Number(targetInput.value) || rules.DEFAULT_TARGET_SCORE,
+          seed: seedInput.value.trim() || randomSeed(),
+          boardCode,
+          boardSize,
+          pentagonRule: pentagonSelect.value,
+          hotSeat: hotSeatInput.checked,
+          aiPlayers: Object.fromEntries([...rows.children]
+            .map((row, i) => [i, row.querySelector('.player-type').value])
+            .filter(([, level]) => level)),
+          balance: boardSelect.value === 'balanced' ? {
+            noAdjacentRed: redInput.checked,
+            noSameResourceNeighbors: sameInput.checked,
+            maxVertexPips: Number(pipsInput.value) || null,
+            minResourceCoverage: (Number(coverageInput.value) || 0) / 100
+          } : null
+        }
+      };
+    };
+    
+    const startButton = this.createHudButton('Start Game', () => {
+      const game = readGame();
+      if (!game) return;
+      overlay.remove();
+      this.newGameDialog = null;
+      this.startGame(game.players, game.options);
+    });
+    dialog.appendChild(startButton);
+    
+    // Online play: you are the first player row, the server picks the seed
+    const online = document.createElement('div');
+    online.style.marginTop = '15px';
+    online.style.paddingTop = '10px';
+    online.style.borderTop = '1px solid rgba(255,255,255,0.2)';
+    online.style.color = '#aaa';
+    online.style.fontSize = '13px';
+    online.style.marginBottom = '10px';
+    online.textContent = 'Play online as the first player above';
+    dialog.appendChild(online);
+    
+    const serverInput = textField('Server ', defaultServerUrl());
+    serverInput.value = defaultServerUrl();
+    
+    // Idle turns are played out and ended by the server
+    const timerLabel = document.createElement('label');
+    timerLabel.textContent = 'Turn timer ';
+    timerLabel.style.display = 'block';
+    timerLabel.style.marginBottom = '10px';
+    const timerSelect = document.createElement('select');
+    [['', 'off'], ['60', '1 minute'], ['120', '2 minutes'], ['300', '5 minutes']].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      timerSelect.appendChild(option);
+    });
+    timerLabel.appendChild(timerSelect);
+    dialog.appendChild(timerLabel);
+    
+    const roomInput = textField('Room code ', 'to join or watch a game');
+    
+    const showError = reason => error.textContent = reason;
+    const roomCode = () => {
+      const code = roomInput.value.trim();
+      if (!code) showError('Enter the room code first');
+      return code;
+    };
+    const onlineButtons = document.createElement('div');
+    onlineButtons.style.display = 'flex';
+    onlineButtons.style.gap = '10px';
+    onlineButtons.appendChild(this.createHudButton('Host Online Game', () => {
+      const game = readGame();
+      if (!game) return;
+      const options = { ...game.options, hotSeat: false, aiPlayers: {}, turnSeconds: Number(timerSelect.value) || null };
+      this.goOnline(serverInput.value.trim(), 'create', { ...game.players[0], options }, showError);
+    }));
+    onlineButtons.appendChild(this.createHudButton('Join', () => {
+      const code = roomCode();
+      if (code) this.goOnline(serverInput.value.trim(), 'join', { code, ...readPlayers()[0] }, showError);
+    }));
+    onlineButtons.appendChild(this.createHudButton('Watch', () => {
+      const code = roomCode();
+      if (code) this.goOnline(serverInput.value.trim(), 'watch', { code }, showError);
+    }));
+    dialog.appendChild(onlineButtons);
+  }
+  
+  // After a 7: ask each player over the limit which cards to discard
+  showDiscardDialog(player, owed) {
+    const hand = this.state.players[player].resources;
+    this.showCardCountDialog(`${this.state.players[player].name}: discard ${owed} cards`, owed, {
+      label: resource => `${resource} (${hand[resource]})`,
+      max: resource => hand[resource],
+      confirmText: chosen => `Discard ${chosen}/${owed}`,
+      onConfirm: selection => this.act('discard', player, selection)
+    });
+  }
+  
+  // After gold fields produced: each producer picks their resources
+  showGoldDialog(player, owed) {
+    this.showCardCountDialog(`${this.state.players[player].name}: pick ${owed} from the gold fields`, owed, {
+      label: resource => resource,
+      max: () => owed,
+      confirmText: chosen => `Take ${chosen}/${owed}`,
+      onConfirm: selection => this.act('pickGold', player, selection)
+    });
+  }
+  
+  // +/- counters per resource that must add up to exactly `owed` cards
+  showCardCountDialog(titleText, owed, { label, max, confirmText, onConfirm }) {
+    const selection = rules.emptyResources();
+    const { overlay, dialog } = this.createDialog(titleText);
+    this.robberDialog = overlay;
+    
+    const rows = document.createElement('div');
+    rows.style.display = 'flex';
+    rows.style.flexDirection = 'column';
+    rows.style.gap = '6px';
+    rows.style.marginBottom = '10px';
+    dialog.appendChild(rows);
+    
+    const confirmHolder = document.createElement('div');
+    dialog.appendChild(confirmHolder);
+    
+    const render = () => {
+      const chosen = Object.values(selection).reduce((sum, amount) => sum + amount, 0);
+      rows.innerHTML = '';
+      rules.RESOURCE_TYPES.forEach(resource => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '8px';
+        
+        const name = document.createElement('span');
+        name.style.flex = '1';
+        name.textContent = label(resource);
+        
+        const minus = this.createHudButton('−', () => { selection[resource]--; render(); }, selection[resource] > 0);
+        const count = document.createElement('span');
+        count.textContent = selection[resource];
+        const plus = this.createHudButton('+', () => { selection[resource]++; render(); },
+          selection[resource] < max(resource) && chosen < owed);
+        
+        row.appendChild(name);
+        row.appendChild(minus);
+        row.appendChild(count);
+        row.appendChild(plus);
+        rows.appendChild(row);
+      });
       
-      this.hideBuildOptions();
+      confirmHolder.innerHTML = '';
+      confirmHolder.appendChild(this.createHudButton(confirmText(chosen), () => {
+        overlay.remove();
+        this.robberDialog = null;
+        onConfirm(selection);
+      }, chosen === owed));
+    };
+    render();
+  }
+  
+  showStealDialog(victims) {
+    const { overlay, dialog } = this.createDialog('Steal a card from');
+    this.robberDialog = overlay;
+    
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '8px';
+    victims.forEach(victim => {
+      const player = this.state.players[victim];
+      buttons.appendChild(this.createHudButton(`${player.name} (${rules.handSize(player)})`, () => {
+        overlay.remove();
+        this.robberDialog = null;
+        this.act('steal', victim);
+      }));
+    });
+    dialog.appendChild(buttons);
+  }
+  
+  // Open whichever robber dialog the current turn step needs from a player
+  // this screen answers for
+  updateRobberUi() {
+    const state = this.state;
+    const owedBy = owed => Object.entries(owed).find(([player]) => this.canActFor(Number(player)));
+    let key = null;
+    let open = null;
+    if (state.turnStep === 'gold' || state.turnStep === 'discard') {
+      const entry = owedBy(state.turnStep === 'gold' ? state.goldPicks : state.discards);
+      if (entry) {
+        const [player, owed] = entry;
+        key = `${state.turnStep}:${player}:${owed}`;
+        open = state.turnStep === 'gold' ?
+          () => this.showGoldDialog(Number(player), owed) :
+          () => this.showDiscardDialog(Number(player), owed);
+      }
+    } else if (state.turnStep === 'steal' && this.canActFor(state.currentPlayer)) {
+      key = `steal:${state.robberVictims}`;
+      open = () => this.showStealDialog(state.robberVictims);
+    }
+    
+    // Online, other players answering must not reset a half-filled dialog
+    if (this.robberDialog && key === this.robberDialogKey) return;
+    if (this.robberDialog) {
+      this.robberDialog.remove();
+      this.robberDialog = null;
+    }
+    this.robberDialogKey = key;
+    if (open) open();
+  }
+  
+  // Heads-up display: whose turn it is, the turn step and turn controls
+  createHud() {
+    this.hud = document.createElement('div');
+    this.hud.style.position = 'absolute';
+    this.hud.style.top = '20px';
+    this.hud.style.left = '20px';
+    this.hud.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    this.hud.style.padding = '15px';
+    this.hud.style.borderRadius = '8px';
+    this.hud.style.color = 'white';
+    this.hud.style.fontFamily = 'Arial, sans-serif';
+    this.hud.style.fontSize = '14px';
+    this.hud.style.minWidth = '200px';
+    this.hud.style.display = 'none';
+    this.container.appendChild(this.hud);
+    
+    // Hover details of tiles and vertices, follows the mouse
+    this.tooltip = document.createElement('div');
+    this.tooltip.style.position = 'absolute';
+    this.tooltip.style.pointerEvents = 'none';
+    this.tooltip.style.backgroundColor = 'rgba(0, 0, 0, 0.85)';
+    this.tooltip.style.color = 'white';
+    this.tooltip.style.padding = '8px 10px';
+    this.tooltip.style.borderRadius = '6px';
+    this.tooltip.style.fontFamily = 'Arial, sans-serif';
+    this.tooltip.style.fontSize = '12px';
+    this.tooltip.style.whiteSpace = 'pre-line';
+    this.tooltip.style.display = 'none';
+    this.container.appendChild(this.tooltip);
+  }
+  
+  showTooltip(lines, event) {
+    const rect = this.container.getBoundingClientRect();
+    this.tooltip.textContent = lines.join('\n');
+    this.tooltip.style.left = `${event.clientX - rect.left + 16}px`;
+    this.tooltip.style.top = `${event.clientY - rect.top + 16}px`;
+    this.tooltip.style.display = 'block';
+  }
+  
+  hideTooltip() {
+    if (this.tooltip) this.tooltip.style.display = 'none';
+  }
+  
+  // "ore 8", "gold 5" or "desert"
+  tileName(tileIndex) {
+    const tile = this.state.tiles[tileIndex];
+    return tile.number ? `${tile.resource} ${tile.number}` : tile.resource;
+  }
+  
+  // Tooltip of a vertex: its tiles and odds, its harbor and building, and
+  // whether the player on turn may settle there
+  describeVertex(vertexIndex) {
+    const state = this.state;
+    const tiles = state.topology.vertexTiles[vertexIndex];
+    const lines = tiles.map(tile => {
+      const tilePips = pips(state.tiles[tile].number);
+      return `${this.tileName(tile)}${tilePips ? ` · ${tilePips} pips` : ''}${tile === state.robber ? ' · robber' : ''}`;
+    });
+    
+    const totalPips = tiles.reduce((sum, tile) => sum + pips(state.tiles[tile].number), 0);
+    const owner = rules.buildingOwner(state, vertexIndex);
+    const isCity = state.buildings.cities[vertexIndex] !== undefined;
+    const cards = tiles.reduce((sum, tile) => sum + tileYield(state, tile), 0) * (isCity ? 2 : 1);
+    lines.push(`${totalPips} pips · ${cards} cards per 36 rolls${owner !== undefined ? ` for the ${isCity ? 'city' : 'settlement'}` : ''}`);
+    
+    state.harbors
+      .filter(harbor => harbor.vertices.includes(vertexIndex))
+      .forEach(harbor => lines.push(`Harbor ${harbor.ratio}:1${harbor.type === 'generic' ? '' : ` ${harbor.type}`}`));
+    
+    const player = state.currentPlayer;
+    const name = state.players[player].name;
+    if (owner !== undefined) {
+      lines.push(`${state.players[owner].name}'s ${isCity ? 'city' : 'settlement'}`);
+    } else if (state.phase !== 'end') {
+      const place = rules.canPlaceSettlement(state, vertexIndex, player);
+      // Online another seat's hand is hidden; only the spot can be checked
+      const build = state.players[player].resources ? rules.canBuildSettlement(state, vertexIndex, player) : place;
+      if (!place.ok) lines.push(`Not legal for ${name}: ${place.reason}`);
+      else if (!build.ok) lines.push(`Legal for ${name}, not now: ${build.reason}`);
+      else lines.push(`Legal for ${name}`);
+    }
+    return lines;
+  }
+  
+  // Tooltip of a tile: resource, number and its odds, the robber and the
+  // buildings around it
+  describeTile(tileIndex) {
+    const state = this.state;
+    const tile = state.tiles[tileIndex];
+    const lines = [this.tileName(tileIndex)];
+    if (tile.number) {
+      const tilePips = pips(tile.number);
+      lines.push(`${tilePips}/36 per roll (${(tilePips / 36 * 100).toFixed(1)}%)`);
+    }
+    if (tile.type === 'pentagon' && state.pentagonRule === 'double') lines.push('Pays out twice');
+    if (tile.type === 'pentagon' && state.pentagonRule === 'volcano') lines.push('Volcano: erupts on its number');
+    if (tileIndex === state.robber) lines.push('Robber: produces nothing');
+    
+    const buildings = state.topology.tileVertices[tileIndex]
+      .filter(vertex => rules.buildingOwner(state, vertex) !== undefined)
+      .map(vertex => `${state.players[rules.buildingOwner(state, vertex)].name}'s ` +
+        (state.buildings.cities[vertex] !== undefined ? 'city' : 'settlement'));
+    lines.push(buildings.length ? buildings.join(', ') : 'No buildings');
+    return lines;
+  }
+  
+  createHudButton(text, onClick, enabled = true) {
+    const button = document.createElement('button');
+    button.textContent = text;
+    button.style.padding = '8px 12px';
+    button.style.border = 'none';
+    button.style.borderRadius = '4px';
+    button.style.fontSize = '14px';
+    button.style.color = enabled ? 'white' : '#999';
+    button.style.backgroundColor = enabled ? '#4CAF50' : '#555';
+    button.style.cursor = enabled ? 'pointer' : 'not-allowed';
+    button.disabled = !enabled;
+    if (enabled) {
+      button.onmouseover = () => button.style.backgroundColor = '#45a049';
+      button.onmouseout = () => button.style.backgroundColor = '#4CAF50';
+      button.onclick = onClick;
+    }
+    return button;
+  }
+  
+  updateHud() {
+    if (!this.state) return;
+    
+    const state = this.state;
+    const current = state.players[state.currentPlayer];
+    const stepLabels = {
+      roll: 'Roll the dice',
+      gold: 'Pick gold field resources',
+      discard: 'Waiting for discards',
+      robber: 'Move the robber',
+      steal: 'Choose a player to rob',
+      trade: 'Trade',
+      build: 'Build'
+    };
+    const toHex = color => `#${color.toString(16).padStart(6, '0')}`;
+    
+    this.hud.innerHTML = '';
+    this.hud.style.display = 'block';
+    
+    const title = document.createElement('h3');
+    title.style.margin = '0 0 10px 0';
+    title.style.fontSize = '16px';
+    title.style.borderBottom = `3px solid ${toHex(current.color)}`;
+    title.style.paddingBottom = '5px';
+    title.textContent = `${current.name}'s turn${this.net && state.currentPlayer === this.seat ? ' (you)' : ''}`;
+    this.hud.appendChild(title);
+    
+    const target = document.createElement('div');
+    target.style.fontSize = '12px';
+    target.style.color = '#aaa';
+    target.textContent = `First to ${state.targetScore} points wins`;
+    this.hud.appendChild(target);
+    
+    const board = document.createElement('div');
+    board.style.display = 'flex';
+    board.style.alignItems = 'center';
+    board.style.gap = '6px';
+    board.style.fontSize = '12px';
+    board.style.color = '#aaa';
+    const violations = this.gameOptions.balance && this.boardReport.violations > 0 ?
+      ` (${this.boardReport.violations} constraint violations)` : '';
+    // Online games keep the seed on the server
+    const seed = state.seed !== null ? `Seed ${state.seed} · ` : '';
+    board.textContent = `${seed}Fairness ${this.boardReport.score}/100${violations}`;
+    const copyButton = this.createHudButton('Copy board code', () => this.copyBoardCode());
+    copyButton.style.padding = '2px 6px';
+    copyButton.style.fontSize = '12px';
+    board.appendChild(copyButton);
+    this.hud.appendChild(board);
+    
+    const step = document.createElement('div');
+    step.style.color = '#aaa';
+    step.style.marginBottom = '8px';
+    if (state.phase === 'end') {
+      title.textContent = `${state.players[state.winner].name} wins!`;
+      step.textContent = 'Game over';
+    } else if (state.phase === 'setup') {
+      const round = state.setup.index < state.players.length ? 1 : 2;
+      step.textContent = state.setup.step === 'robber' ?
+        'Setup: pick the desert the robber starts on' :
+        `Setup round ${round}: place a ${state.setup.step}`;
+    } else {
+      step.textContent = state.dice ?
+        `Rolled ${state.dice[0] + state.dice[1]} · ${stepLabels[state.turnStep]}` :
+        stepLabels[state.turnStep];
+    }
+    this.hud.appendChild(step);
+    
+    // Online turn timer, ticked by updateTurnClock
+    this.turnClock = null;
+    if (this.net && this.turnDeadline !== null) {
+      this.turnClock = document.createElement('div');
+      this.turnClock.style.fontSize = '12px';
+      this.turnClock.style.color = '#ffd54f';
+      this.turnClock.style.marginBottom = '8px';
+      this.hud.appendChild(this.turnClock);
+      this.updateTurnClock();
     }
+    
+    // What the last roll paid out
+    if (state.dice && state.production.length === 0) {
+      step.textContent += ' · nothing produced';
+    } else if (state.production.length > 0) {
+      // Sum payouts per player and resource
+      const totals = new Map();
+      state.production.forEach(({ player, resource, amount }) => {
+        const key = `${player}:${resource}`;
+        const total = totals.get(key) || { player, resource, amount: 0 };
+        total.amount += amount;
+        totals.set(key, total);
+      });
+      const production = document.createElement('div');
+      production.style.fontSize = '12px';
+      production.style.color = '#c5e1a5';
+      production.style.marginBottom = '8px';
+      production.textContent = [...totals.values()]
+        .map(({ player, resource, amount }) => `${state.players[player].name} +${amount} ${resource}`)
+        .join(', ');
+      this.hud.appendChild(production);
+    }
+    
+    // Volcanoes that erupted on the last roll
+    state.eruptions.forEach(({ player, destroyed }) => {
+      const eruption = document.createElement('div');
+      eruption.style.fontSize = '12px';
+      eruption.style.color = '#ff8a65';
+      eruption.style.marginBottom = '8px';
+      if (destroyed !== null) {
+        eruption.textContent = `A volcano erupted: ${state.players[player].name}'s ${destroyed} was ${destroyed === 'city' ? 'reduced to a settlement' : 'destroyed'}`;
+      } else if (player !== null) {
+        eruption.textContent = `A volcano erupted: ${state.players[player].name}'s last settlement was spared`;
+      } else {
+        eruption.textContent = 'A volcano erupted, nobody was hit';
+      }
+      this.hud.appendChild(eruption);
+    });
+    
+    // Players and their card counts; the viewing player also sees their hand
+    const list = document.createElement('div');
+    list.style.display = 'flex';
+    list.style.flexDirection = 'column';
+    list.style.gap = '4px';
+    state.players.forEach((player, index) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.fontWeight = index === state.currentPlayer ? 'bold' : 'normal';
+      
+      const swatch = document.createElement('span');
+      swatch.style.display = 'inline-block';
+      swatch.style.width = '12px';
+      swatch.style.height = '12px';
+      swatch.style.borderRadius = '2px';
+      swatch.style.backgroundColor = toHex(player.color);
+      
+      // Everyone sees public points; your own hidden VP cards show separately
+      const points = rules.victoryPoints(state, index, { includeHidden: false });
+      const hidden = index === this.viewingPlayer() ? rules.victoryPoints(state, index) - points : 0;
+      const cards = rules.handSize(player);
+      const offline = this.room && !this.room.players[index].connected ? ' · offline' : '';
+      const ai = this.aiLevel(index) ? ` · AI ${this.aiLevel(index)}` : '';
+      const label = document.createElement('span');
+      label.style.cursor = 'pointer';
+      label.title = `Show ${player.name}'s buildings`;
+      label.onclick = () => this.flyToPlayer(index);
+      label.textContent = `${player.name} · ${points}${hidden ? ` (+${hidden})` : ''} VP · ${cards} cards · ${player.devCards.length} dev${offline}${ai}`;
+      
+      row.appendChild(swatch);
+      row.appendChild(label);
+      
+      if (this.room && index === this.room.host) {
+        const host = document.createElement('span');
+        host.title = 'Host';
+        host.textContent = '👑';
+        row.appendChild(host);
+      } else if (this.room && this.seat === this.room.host) {
+        row.appendChild(this.createHostButton(index));
+      }
+      
+      const awards = [];
+      if (state.longestRoad && state.longestRoad.player === index) awards.push(`🛣️${state.longestRoad.length}`);
+      if (state.largestArmy && state.largestArmy.player === index) awards.push(`⚔️${state.largestArmy.size}`);
+      if (awards.length > 0) {
+        const badge = document.createElement('span');
+        badge.style.fontSize = '12px';
+        badge.title = 'Longest Road / Largest Army';
+        badge.textContent = awards.join(' ');
+        row.appendChild(badge);
+      }
+      list.appendChild(row);
+    });
+    this.hud.appendChild(list);
+    
+    // Spectators have no hand
+    const own = this.viewingPlayer() === null ? null : state.players[this.viewingPlayer()];
+    const hand = document.createElement('div');
+    hand.style.margin = '10px 0';
+    hand.style.color = '#ddd';
+    if (own) {
+      hand.textContent = rules.RESOURCE_TYPES.map(resource => `${resource} ${own.resources[resource]}`).join(' · ');
+    } else if (this.net) {
+      hand.textContent = `Watching · ${this.room.spectators} spectator${this.room.spectators === 1 ? '' : 's'}`;
+    } else {
+      // Hot-seat, between players
+      hand.textContent = 'Hand hidden';
+    }
+    this.hud.appendChild(hand);
+    
+    const controls = document.createElement('div');
+    controls.style.display = 'flex';
+    controls.style.gap = '8px';
+    const myTurn = this.canActFor(state.currentPlayer);
+    const inMain = state.phase === 'main';
+    const midTurn = inMain && myTurn && ['trade', 'build'].includes(state.turnStep);
+    controls.appendChild(this.createHudButton('Roll Dice', () => this.rollDice(), inMain && myTurn && state.turnStep === 'roll'));
+    controls.appendChild(this.createHudButton('Trade', () => this.tradePanel.toggle(), inMain));
+    controls.appendChild(this.createHudButton('Dev Card', () => this.showBuildOptions('devCard'), midTurn));
+    controls.appendChild(this.createHudButton('End Turn', () => this.endTurn(), midTurn));
+    this.hud.appendChild(controls);
+    
+    // Take back misclicks within the turn
+    const history = document.createElement('div');
+    history.style.display = 'flex';
+    history.style.gap = '6px';
+    history.style.marginTop = '8px';
+    const checks = this.net ? this.remoteHistory : { undo: this.log.canUndo(), redo: this.log.canRedo() };
+    [['Undo', () => this.undo(), checks.undo], ['Redo', () => this.redo(), checks.redo]]
+      .forEach(([text, onClick, check]) => {
+        const button = this.createHudButton(text, onClick, check.ok && myTurn && !this.replay);
+        button.style.padding = '4px 8px';
+        button.style.fontSize = '12px';
+        button.title = check.ok ? `${text} (Ctrl+${text === 'Undo' ? 'Z' : 'Y'})` : check.reason;
+        history.appendChild(button);
+      });
+    this.hud.appendChild(history);
+    
+    if (state.freeRoads > 0) {
+      const freeRoads = document.createElement('div');
+      freeRoads.style.marginTop = '8px';
+      freeRoads.style.color = '#c5e1a5';
+      freeRoads.textContent = `Road Building: place ${state.freeRoads} free road${state.freeRoads > 1 ? 's' : ''}`;
+      this.hud.appendChild(freeRoads);
+    }
+    
+    if (own && own.devCards.length > 0) {
+      this.hud.appendChild(this.createDevCardPanel());
+    }
+    
+    // Placement heatmap and the camera jump to its best spots; whether the
+    // camera follows game events (V flies back to where it was)
+    const view = document.createElement('div');
+    view.style.display = 'flex';
+    view.style.gap = '6px';
+    view.style.marginTop = '10px';
+    [
+      [this.heatmap ? 'Hide heatmap' : 'Heatmap', () => this.toggleHeatmap(), true],
+      ['Jump to best', () => this.jumpToBestSpot(), this.heatmap],
+      [this.director.following ? 'Follow: on' : 'Follow: off', () => {
+        this.director.setFollowing(!this.director.following);
+        this.updateHud();
+      }, true]
+    ].forEach(([text, onClick, enabled]) => {
+      const button = this.createHudButton(text, onClick, enabled);
+      button.style.padding = '4px 8px';
+      button.style.fontSize = '12px';
+      view.appendChild(button);
+    });
+    this.hud.appendChild(view);
+    
+    // Saved games: file export/import on top of the auto-save. Online games
+    // live on the server and can only be left.
+    const files = document.createElement('div');
+    files.style.display = 'flex';
+    files.style.alignItems = 'center';
+    files.style.gap = '6px';
+    files.style.marginTop = '10px';
+    if (this.room) {
+      const code = document.createElement('span');
+      code.style.fontSize = '12px';
+      code.style.color = '#aaa';
+      code.textContent = `Room ${this.room.code}`;
+      files.appendChild(code);
+    }
+    const fileActions = this.net ?
+      [['Leave', () => this.newGame()]] :
+      [['Save', () => this.saveGame()], ['Load', () => this.loadGame()], ['New Game', () => this.newGame()]];
+    fileActions.forEach(([text, onClick]) => {
+      const button = this.createHudButton(text, onClick);
+      button.style.padding = '4px 8px';
+      button.style.fontSize = '12px';
+      files.appendChild(button);
+    });
+    this.hud.appendChild(files);
+    
+    this.hudMessage = document.createElement('div');
+    this.hudMessage.style.marginTop = '8px';
+    this.hudMessage.style.fontSize = '12px';
+    this.hudMessage.style.color = '#ff8a80';
+    this.hudMessage.style.maxWidth = '220px';
+    this.hud.appendChild(this.hudMessage);
+  }
+  
+  // Final standings with every hidden victory point card revealed
+  showEndGameDialog() {
+    const state = this.state;
+    const { overlay, dialog } = this.createDialog(`${state.players[state.winner].name} wins!`);
+    
+    const count = (owners, player) => Object.values(owners).filter(owner => owner === player).length;
+    const standings = state.players
+      .map((player, index) => ({ player, index, points: rules.victoryPoints(state, index) }))
+      .sort((a, b) => b.points - a.points);
+    
+    const table = document.createElement('table');
+    table.style.borderCollapse = 'collapse';
+    table.style.marginBottom = '10px';
+    table.style.fontSize = '14px';
+    const header = ['', 'Player', 'VP', 'Settlements', 'Cities', 'VP cards', 'Road', 'Army'];
+    [header, ...standings.map(({ player, index, points }, place) => [
+      `${place + 1}.`,
+      player.name,
+      points,
+      count(state.buildings.settlements, index),
+      count(state.buildings.cities, index),
+      player.devCards.filter(card => card.type === 'victoryPoint').length,
+      state.longestRoad && state.longestRoad.player === index ? '✓' : '',
+      state.largestArmy && state.largestArmy.player === index ? '✓' : ''
+    ])].forEach((cells, rowIndex) => {
+      const row = document.createElement('tr');
+      cells.forEach(cell => {
+        const td = document.createElement(rowIndex === 0 ? 'th' : 'td');
+        td.textContent = cell;
+        td.style.padding = '4px 8px';
+        td.style.textAlign = 'left';
+        row.appendChild(td);
+      });
+      table.appendChild(row);
+    });
+    dialog.appendChild(table);
+    
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.justifyContent = 'center';
+    buttons.style.gap = '10px';
+    // Online games keep their log on the server
+    if (!this.net) {
+      buttons.appendChild(this.createHudButton('Watch Replay', () => {
+        overlay.remove();
+        this.startReplay();
+      }));
+    }
+    buttons.appendChild(this.createHudButton('New Game', () => this.newGame()));
+    dialog.appendChild(buttons);
+  }
+  
+  // The viewing player's development cards, grouped by type
+  createDevCardPanel() {
+    const state = this.state;
+    const player = this.viewingPlayer();
+    const cards = state.players[player].devCards;
+    
+    const panel = document.createElement('div');
+    panel.style.marginTop = '10px';
+    panel.style.paddingTop = '8px';
+    panel.style.borderTop = '1px solid rgba(255,255,255,0.2)';
+    
+    const heading = document.createElement('div');
+    heading.textContent = 'Development cards';
+    heading.style.color = '#aaa';
+    heading.style.marginBottom = '4px';
+    panel.appendChild(heading);
+    
+    rules.DEV_CARD_TYPES.forEach(type => {
+      const ofType = cards.filter(card => card.type === type);
+      if (ofType.length === 0) return;
+      
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.justifyContent = 'space-between';
+      row.style.gap = '8px';
+      row.style.marginBottom = '4px';
+      
+      const fresh = ofType.filter(card => card.boughtTurn === state.turnNumber).length;
+      const label = document.createElement('span');
+      label.textContent = `${this.DEV_CARD_LABELS[type]} ×${ofType.length}${fresh ? ` (${fresh} new)` : ''}`;
+      row.appendChild(label);
+      
+      if (type !== 'victoryPoint') {
+        const check = rules.canPlayDevCard(state, type, player);
+        const button = this.createHudButton('Play', () => this.playDevCard(type), check.ok);
+        button.title = check.ok ? '' : check.reason;
+        button.style.padding = '4px 8px';
+        row.appendChild(button);
+      }
+      
+      panel.appendChild(row);
+    });
+    
+    return panel;
+  }
+  
+  // Dialog with one resource dropdown per pick
+  showResourcePicker(titleText, picks, onPicked) {
+    const { overlay, dialog } = this.createDialog(titleText);
+    
+    const selects = [];
+    for (let i = 0; i < picks; i++) {
+      const select = document.createElement('select');
+      select.style.marginRight = '8px';
+      rules.RESOURCE_TYPES.forEach(resource => {
+        const option = document.createElement('option');
+        option.value = resource;
+        option.textContent = resource;
+        select.appendChild(option);
+      });
+      selects.push(select);
+      dialog.appendChild(select);
+    }
+    
+    const buttons = document.createElement('div');
+    buttons.style.display = 'flex';
+    buttons.style.gap = '8px';
+    buttons.style.marginTop = '10px';
+    buttons.appendChild(this.createHudButton('OK', () => {
+      overlay.remove();
+      onPicked(selects.map(select => select.value));
+    }));
+    buttons.appendChild(this.createHudButton('Cancel', () => overlay.remove()));
+    dialog.appendChild(buttons);
+  }
+  
+  // Clipboard where the browser allows it, a prompt to copy from otherwise
+  copyBoardCode() {
+    const fallback = () => window.prompt('Board code', this.boardCode);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(this.boardCode)
+        .then(() => this.showMessage('Board code copied'))
+        .catch(fallback);
+    } else {
+      fallback();
+    }
+  }
+  
+  // Short-lived notice in the HUD, e.g. why an action was rejected
+  showMessage(text) {
+    if (!this.hudMessage) return;
+    this.hudMessage.textContent = text;
+    clearTimeout(this.messageTimeout);
+    this.messageTimeout = setTimeout(() => {
+      this.hudMessage.textContent = '';
+    }, 4000);
   }
   
   addVertexVisualization() {
@@ -1575,7 +3505,7 @@ class SphericalCatan {
     const elevationFactor = 1.01;
     
     // Create vertex cylinders
-    this.truncatedVertices.forEach((vertex, index) => {
+    this.boardVertices.forEach((vertex, index) => {
       const elevatedVertex = vertex.clone().multiplyScalar(elevationFactor);
       
       // Create a flat cylinder for the vertex
@@ -1624,8 +3554,8 @@ class SphericalCatan {
 }
 
 // Helper function to create the game
-function createSphericalCatan(containerId, THREE, OrbitControls) {
-  return new SphericalCatan(containerId, THREE, OrbitControls);
+function createSphericalCatan(containerId, THREE, OrbitControls, options) {
+  return new SphericalCatan(containerId, THREE, OrbitControls, options);
 }
 
 // Export the game creator function
@@ -0,0 +1,324 @@
+// Spherical Catan - Trade Panel
+//
+// Bank trades, offers between players (accept / reject / counter) and the log
+// of executed trades. All rules live in the engine; this only collects input
+// and hands it to the game as logged actions.
+import * as rules from './catan-engine.js';
+
+export class TradePanel {
+  constructor(game) {
+    this.game = game;
+    this.visible = false;
+
+    // Draft of the offer being put together by the current player
+    this.draft = this.emptyDraft();
+    // Drafts of counter-offers, per responding player
+    this.counterDrafts = {};
+
+    this.element = document.createElement('div');
+    this.element.style.position = 'absolute';
+    this.element.style.bottom = '20px';
+    this.element.style.left = '20px';
+    this.element.style.backgroundColor = 'rgba(0, 0, 0, 0.8)';
+    this.element.style.padding = '15px';
+    this.element.style.borderRadius = '8px';
+    this.element.style.color = 'white';
+    this.element.style.fontFamily = 'Arial, sans-serif';
+    this.element.style.fontSize = '13px';
+    this.element.style.minWidth = '260px';
+    this.element.style.maxHeight = '60vh';
+    this.element.style.overflowY = 'auto';
+    this.element.style.display = 'none';
+    game.container.appendChild(this.element);
+  }
+
+  emptyDraft() {
+    return { give: rules.emptyResources(), get: rules.emptyResources(), to: new Set() };
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    this.render();
+  }
+
+  render() {
+    const state = this.game.state;
+    this.element.style.display = this.visible && state ? 'block' : 'none';
+    if (!this.visible || !state) return;
+
+    // Offers end with the turn; start over with a clean draft
+    if (this.draftTurn !== state.turnNumber) {
+      this.draft = this.emptyDraft();
+      this.counterDrafts = {};
+      this.draftTurn = state.turnNumber;
+    }
+
+    this.element.innerHTML = '';
+    this.element.appendChild(this.heading('Trade'));
+    this.element.appendChild(this.createBankSection());
+
+    if (state.tradeOffer) {
+      this.element.appendChild(this.createOpenOfferSection());
+    } else if (state.phase === 'main' && state.turnStep === 'trade' && this.game.canActFor(state.currentPlayer)) {
+      this.element.appendChild(this.createOfferSection());
+    }
+
+    this.element.appendChild(this.createLogSection());
+  }
+
+  createBankSection() {
+    const state = this.game.state;
+    const section = this.section('Bank');
+
+    const giveSelect = this.resourceSelect(resource =>
+      `${resource} (${rules.tradeRatio(state, state.currentPlayer, resource)}:1)`);
+    const getSelect = this.resourceSelect(resource => resource);
+    getSelect.value = rules.RESOURCE_TYPES[1];
+
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '6px';
+    row.appendChild(giveSelect);
+    row.appendChild(document.createTextNode('→'));
+    row.appendChild(getSelect);
+
+    const enabled = state.phase === 'main' && ['trade', 'build'].includes(state.turnStep) &&
+      this.game.canActFor(state.currentPlayer);
+    const button = this.game.createHudButton('Trade', () => {
+      this.game.act('bankTrade', giveSelect.value, getSelect.value);
+    }, enabled);
+    button.style.padding = '4px 8px';
+    row.appendChild(button);
+
+    section.appendChild(row);
+    return section;
+  }
+
+  createOfferSection() {
+    const state = this.game.state;
+    const section = this.section('Offer to players');
+    const hand = state.players[state.currentPlayer].resources;
+
+    section.appendChild(this.createCardEditor('You give', this.draft.give, hand));
+    section.appendChild(this.createCardEditor('You get', this.draft.get));
+
+    // Which opponents see the offer
+    const targets = document.createElement('div');
+    targets.style.display = 'flex';
+    targets.style.flexWrap = 'wrap';
+    targets.style.gap = '8px';
+    targets.style.margin = '6px 0';
+    state.players.forEach((player, index) => {
+      if (index === state.currentPlayer) return;
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = this.draft.to.has(index);
+      checkbox.onchange = () => {
+        if (checkbox.checked) this.draft.to.add(index);
+        else this.draft.to.delete(index);
+      };
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${player.name}`));
+      targets.appendChild(label);
+    });
+    section.appendChild(targets);
+
+    section.appendChild(this.game.createHudButton('Propose', () => {
+      const offered = this.game.act('proposeTrade', {
+        to: [...this.draft.to],
+        give: this.draft.give,
+        get: this.draft.get
+      });
+      if (offered) {
+        this.draft = this.emptyDraft();
+      }
+    }));
+    return section;
+  }
+
+  createOpenOfferSection() {
+    const state = this.game.state;
+    const offer = state.tradeOffer;
+    const section = this.section('Open offer');
+
+    const summary = document.createElement('div');
+    summary.style.marginBottom = '6px';
+    summary.textContent = `${state.players[offer.from].name} gives ${this.formatCards(offer.give)} for ${this.formatCards(offer.get)}`;
+    section.appendChild(summary);
+
+    offer.to.forEach(player => {
+      const response = offer.responses[player];
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.flexWrap = 'wrap';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.style.marginBottom = '6px';
+
+      const name = document.createElement('span');
+      name.style.flex = '1';
+      name.textContent = `${state.players[player].name}: ${response}`;
+      row.appendChild(name);
+
+      const small = button => {
+        button.style.padding = '4px 8px';
+        row.appendChild(button);
+      };
+
+      // Online and in hot seat, each side only gets their own buttons
+      if (response === 'countered') {
+        const counter = offer.counters[player];
+        name.textContent = `${state.players[player].name} gives ${this.formatCards(counter.give)} for ${this.formatCards(counter.get)}`;
+        if (this.game.canActFor(offer.from)) {
+          small(this.game.createHudButton('Accept counter', () => {
+            this.game.act('acceptCounter', player);
+          }));
+        }
+      }
+      if (response !== 'rejected' && this.game.canActFor(player)) {
+        small(this.game.createHudButton('Accept', () => {
+          this.game.act('respondToTrade', player, 'accept');
+        }));
+        small(this.game.createHudButton('Reject', () => {
+          this.game.act('respondToTrade', player, 'reject');
+        }));
+        small(this.game.createHudButton('Counter', () => {
+          this.counterDrafts[player] = this.counterDrafts[player] || {
+            give: { ...rules.emptyResources(), ...offer.get },
+            get: { ...rules.emptyResources(), ...offer.give }
+          };
+          this.render();
+        }));
+      }
+      section.appendChild(row);
+
+      // Counter-offer editor, from the responding player's side
+      const draft = this.counterDrafts[player];
+      if (draft && response !== 'rejected' && this.game.canActFor(player)) {
+        const editor = document.createElement('div');
+        editor.style.margin = '0 0 8px 12px';
+        editor.appendChild(this.createCardEditor(`${state.players[player].name} gives`, draft.give, state.players[player].resources));
+        editor.appendChild(this.createCardEditor(`${state.players[player].name} gets`, draft.get));
+        editor.appendChild(this.game.createHudButton('Send counter', () => {
+          if (this.game.act('respondToTrade', player, 'counter', draft)) {
+            delete this.counterDrafts[player];
+            this.render();
+          }
+        }));
+        section.appendChild(editor);
+      }
+    });
+
+    if (this.game.canActFor(offer.from)) {
+      section.appendChild(this.game.createHudButton('Cancel offer', () => {
+        this.counterDrafts = {};
+        this.game.act('cancelTrade');
+      }));
+    }
+    return section;
+  }
+
+  createLogSection() {
+    const state = this.game.state;
+    const section = this.section('Trade log');
+
+    if (state.tradeLog.length === 0) {
+      const empty = document.createElement('div');
+      empty.style.color = '#777';
+      empty.textContent = 'No trades yet';
+      section.appendChild(empty);
+      return section;
+    }
+
+    state.tradeLog.slice(-8).reverse().forEach(trade => {
+      const entry = document.createElement('div');
+      entry.style.color = '#ccc';
+      entry.style.marginBottom = '2px';
+      const partner = trade.to === 'bank' ? 'the bank' : state.players[trade.to].name;
+      entry.textContent = `${state.players[trade.from].name} → ${partner}: ${this.formatCards(trade.give)} for ${this.formatCards(trade.get)}`;
+      section.appendChild(entry);
+    });
+    return section;
+  }
+
+  // +/- steppers for each resource; max limits what can be offered
+  createCardEditor(labelText, selection, max = null) {
+    const editor = document.createElement('div');
+    editor.style.marginBottom = '6px';
+
+    const label = document.createElement('div');
+    label.style.color = '#aaa';
+    label.textContent = labelText;
+    editor.appendChild(label);
+
+    const row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.flexWrap = 'wrap';
+    row.style.gap = '6px';
+    rules.RESOURCE_TYPES.forEach(resource => {
+      const cell = document.createElement('span');
+      cell.style.display = 'flex';
+      cell.style.alignItems = 'center';
+      cell.style.gap = '2px';
+
+      const step = (delta, enabled) => {
+        const button = this.game.createHudButton(delta > 0 ? '+' : '−', () => {
+          selection[resource] += delta;
+          this.render();
+        }, enabled);
+        button.style.padding = '0 5px';
+        return button;
+      };
+
+      const count = document.createElement('span');
+      count.textContent = `${resource} ${selection[resource]}`;
+      cell.appendChild(step(-1, selection[resource] > 0));
+      cell.appendChild(count);
+      cell.appendChild(step(1, max === null || selection[resource] < max[resource]));
+      row.appendChild(cell);
+    });
+    editor.appendChild(row);
+    return editor;
+  }
+
+  resourceSelect(labelFor) {
+    const select = document.createElement('select');
+    rules.RESOURCE_TYPES.forEach(resource => {
+      const option = document.createElement('option');
+      option.value = resource;
+      option.textContent = labelFor(resource);
+      select.appendChild(option);
+    });
+    return select;
+  }
+
+  section(titleText) {
+    const section = document.createElement('div');
+    section.style.marginBottom = '10px';
+    const title = document.createElement('div');
+    title.style.fontWeight = 'bold';
+    title.style.marginBottom = '4px';
+    title.textContent = titleText;
+    section.appendChild(title);
+    return section;
+  }
+
+  heading(text) {
+    const title = document.createElement('h3');
+    title.textContent = text;
+    title.style.margin = '0 0 10px 0';
+    title.style.fontSize = '16px';
+    title.style.borderBottom = '1px solid rgba(255,255,255,0.2)';
+    title.style.paddingBottom = '5px';
+    return title;
+  }
+
+  formatCards(cards) {
+    const parts = Object.entries(cards)
+      .filter(([, amount]) => amount > 0)
+      .map(([resource, amount]) => `${amount} ${resource}`);
+    return parts.length > 0 ? parts.join(' + ') : 'nothing';
+  }
+}